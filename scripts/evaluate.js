@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+// Retrieval evaluation against a golden dataset (see scripts/eval/sample-dataset.json).
+//
+//   node scripts/evaluate.js <dataset.json> [--k 5] [--retrieval-mode vector|hybrid]
+//     [--candidate-pool 20] [--mmr-lambda 0.7] [--reranker lexical]
+//     [--answers | --no-answers] [--out results.json] [--compare previous.json] [--db path]
+//
+// Runs against a throwaway SQLite file unless --db is given. Answer metrics run
+// when the configured LLM provider has credentials, or with --answers.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = { flags: new Set(), options: {}, positional: [] };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--answers' || arg === '--no-answers') {
+      args.flags.add(arg);
+    } else if (arg.startsWith('--')) {
+      args.options[arg.slice(2)] = argv[i + 1];
+      i += 1;
+    } else {
+      args.positional.push(arg);
+    }
+  }
+  return args;
+}
+
+function toOptionalNumber(value) {
+  return value === undefined ? undefined : Number(value);
+}
+
+const args = parseArgs(process.argv.slice(2));
+const datasetPath = args.positional[0];
+if (!datasetPath) {
+  // eslint-disable-next-line no-console
+  console.error('[evaluate] usage: node scripts/evaluate.js <dataset.json> [options]');
+  process.exit(1);
+}
+
+// The database is opened on first require, so its path has to be set before.
+const tempDbDir = args.options.db ? null : fs.mkdtempSync(path.join(os.tmpdir(), 'rag-eval-db-'));
+process.env.DB_PATH = args.options.db || path.join(tempDbDir, 'eval.sqlite');
+
+const {
+  loadDataset,
+  isLlmConfigured,
+  runEvaluation,
+  compareRuns,
+} = require(path.join(__dirname, '..', 'src', 'services', 'evaluationService'));
+
+async function main() {
+  const dataset = loadDataset(datasetPath);
+  const answers = args.flags.has('--answers') || (!args.flags.has('--no-answers') && isLlmConfigured());
+  const report = await runEvaluation(dataset, {
+    topK: toOptionalNumber(args.options.k),
+    retrievalMode: args.options['retrieval-mode'],
+    candidatePool: toOptionalNumber(args.options['candidate-pool']),
+    mmrLambda: toOptionalNumber(args.options['mmr-lambda']),
+    reranker: args.options.reranker,
+    answers,
+  });
+
+  const outPath = path.resolve(args.options.out
+    || path.join('eval-results', `${dataset.name}-${report.createdAt.replace(/[:.]/g, '-')}.json`));
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, `${JSON.stringify(report, null, 2)}\n`);
+
+  const { metrics } = report;
+  // eslint-disable-next-line no-console
+  console.log(`[evaluate] dataset=${report.dataset} questions=${metrics.questions} k=${report.config.k}`);
+  // eslint-disable-next-line no-console
+  console.log(`recall@k=${metrics.recallAtK} mrr=${metrics.mrr} ndcg@k=${metrics.ndcgAtK} meanRetrievalMs=${metrics.meanRetrievalMs}`);
+  if (metrics.answers) {
+    // eslint-disable-next-line no-console
+    console.log(`answers=${metrics.answers.evaluated} containsExpected=${metrics.answers.containsExpected} tokenF1=${metrics.answers.tokenF1} errors=${metrics.answers.errors}`);
+  }
+  if (args.options.compare) {
+    const baseline = JSON.parse(fs.readFileSync(path.resolve(args.options.compare), 'utf8'));
+    for (const [metric, { baseline: before, current, delta }] of Object.entries(compareRuns(baseline, report))) {
+      // eslint-disable-next-line no-console
+      console.log(`  ${metric}: ${before} -> ${current} (${delta === null ? 'n/a' : `${delta >= 0 ? '+' : ''}${delta}`})`);
+    }
+  }
+  // eslint-disable-next-line no-console
+  console.log(`[evaluate] report written to ${outPath}`);
+}
+
+main()
+  .catch((error) => {
+    // eslint-disable-next-line no-console
+    console.error('[evaluate] failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    if (tempDbDir) {
+      fs.rmSync(tempDbDir, { recursive: true, force: true });
+    }
+  });
@@ -6,7 +6,7 @@ const { runMigrations } = require(path.join(__dirname, '..', 'src', 'database',
 const dryRun = process.argv.includes('--dry-run');
 
 try {
-  const actions = runMigrations({ dryRun });
+  const actions = runMigrations({ dryRun, convertEmbeddings: true });
   const mode = dryRun ? 'DRY RUN' : 'EXECUTE';
   // eslint-disable-next-line no-console
   console.log(`[migrate] mode=${mode} actions=${actions.length}`);
@@ -7,6 +7,7 @@ const env = require('./config/env');
 require('./config/database');
 
 const apiV1Route = require('./routes/api/v1');
+const apiV2Route = require('./routes/api/v2');
 const rateLimiter = require('./middleware/rateLimiter');
 const { fail } = require('./routes/helpers');
 const { createHttpError, normalizeHttpError } = require('./utils/errors');
@@ -62,8 +63,11 @@ app.use(morgan('dev'));
 app.use(express.json({ limit: env.maxRequestBodySizeBytes }));
 app.use(express.urlencoded({ extended: false, limit: env.maxRequestBodySizeBytes }));
 
-// Route-level authentication is applied inside /api/v1 router.
-app.use('/api/v1', rateLimiter({ windowMs: 60_000, maxRequests: 100 }), apiV1Route);
+// Route-level authentication is applied inside /api/v1 router, which /api/v2
+// reuses. Both versions share one rate limit.
+const apiRateLimiter = rateLimiter({ windowMs: 60_000, maxRequests: 100 });
+app.use('/api/v1', apiRateLimiter, apiV1Route);
+app.use('/api/v2', apiRateLimiter, apiV2Route);
 
 app.use((err, req, res, next) => {
   if (res.headersSent) {
@@ -55,13 +55,43 @@ const env = Object.freeze({
   ragTopK: toNumber(process.env.RAG_TOP_K, 8, { min: 1 }),
   ragCandidatePageSize: toNumber(process.env.RAG_CANDIDATE_PAGE_SIZE, 400, { min: 10 }),
   ragHistoryLimit: toNumber(process.env.RAG_HISTORY_LIMIT, 12, { min: 1 }),
+  chatClientHistory: toBoolean(process.env.CHAT_CLIENT_HISTORY, true),
+  ragRetrievalMode: String(process.env.RAG_RETRIEVAL_MODE || 'hybrid').trim().toLowerCase(),
+  ragCandidatePool: toNumber(process.env.RAG_CANDIDATE_POOL, 20, { min: 1, max: 100 }),
+  ragRrfK: toNumber(process.env.RAG_RRF_K, 60, { min: 1 }),
+  ragMmrLambda: toNumber(process.env.RAG_MMR_LAMBDA, 0.7, { min: 0, max: 1 }),
+  ragReranker: String(process.env.RAG_RERANKER || 'none').trim().toLowerCase(),
+  ragQueryRewrite: toBoolean(process.env.RAG_QUERY_REWRITE, false),
+  ragGroundingCheck: String(process.env.RAG_GROUNDING_CHECK || 'off').trim().toLowerCase(),
+  ragGroundingMinOverlap: toNumber(process.env.RAG_GROUNDING_MIN_OVERLAP, 0.5, { min: 0, max: 1 }),
+  ragPromptTokenBudget: toNumber(process.env.RAG_PROMPT_TOKEN_BUDGET, 8000, { min: 500 }),
+  ragPromptHistoryShare: toNumber(process.env.RAG_PROMPT_HISTORY_SHARE, 0.3, { min: 0, max: 1 }),
+  ragAnswerCache: toBoolean(process.env.RAG_ANSWER_CACHE, true),
+  ragAnswerCacheSimilarity: toNumber(process.env.RAG_ANSWER_CACHE_SIMILARITY, 0.95, { min: 0, max: 1 }),
+  ragAnswerCacheTtlMs: toNumber(process.env.RAG_ANSWER_CACHE_TTL_MS, 86400000, { min: 0 }),
+  ragAnswerCacheMaxEntries: toNumber(process.env.RAG_ANSWER_CACHE_MAX_ENTRIES, 200, { min: 1 }),
+  ragSummaryMemory: toBoolean(process.env.RAG_SUMMARY_MEMORY, true),
+  ragSummaryMinMessages: toNumber(process.env.RAG_SUMMARY_MIN_MESSAGES, 6, { min: 1 }),
   ragResponseStyle: String(process.env.RAG_RESPONSE_STYLE || 'structured').trim().toLowerCase(),
   ragChunkTokens: toNumber(process.env.RAG_CHUNK_TOKENS, 1000, { min: 100 }),
   ragOverlapTokens: toNumber(process.env.RAG_CHUNK_OVERLAP_TOKENS, 200, { min: 0 }),
+  ragChunkStrategy: String(process.env.RAG_CHUNK_STRATEGY || 'structured').trim().toLowerCase(),
+  annEnabled: toBoolean(process.env.ANN_ENABLED, true),
+  annMinChunks: toNumber(process.env.ANN_MIN_CHUNKS, 5000, { min: 1 }),
+  annProbes: toNumber(process.env.ANN_PROBES, 12, { min: 1 }),
   ragTokenToCharRatio: toNumber(process.env.RAG_TOKEN_TO_CHAR_RATIO, 4, { min: 1 }),
   localEmbeddingBatchSize: toNumber(process.env.LOCAL_EMBEDDING_BATCH_SIZE, 24, { min: 1 }),
   localEmbeddingBatchSizeMin: toNumber(process.env.LOCAL_EMBEDDING_BATCH_SIZE_MIN, 8, { min: 1 }),
   localEmbeddingBatchSizeMax: toNumber(process.env.LOCAL_EMBEDDING_BATCH_SIZE_MAX, 64, { min: 1 }),
+  embeddingMaxTokens: toNumber(process.env.EMBEDDING_MAX_TOKENS, 256, { min: 16 }),
+  embeddingProvider: String(process.env.EMBEDDING_PROVIDER || 'transformers').trim().toLowerCase(),
+  embeddingModel: String(process.env.EMBEDDING_MODEL || '').trim(),
+  embeddingBaseUrl: String(
+    process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1'
+  ).trim(),
+  embeddingApiKey: String(process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY || '').trim(),
+  embeddingHashDimensions: toNumber(process.env.EMBEDDING_HASH_DIMENSIONS, 384, { min: 8, max: 4096 }),
+  embeddingReembedOnStartup: toBoolean(process.env.EMBEDDING_REEMBED_ON_STARTUP, false),
 
   // Auth and sessions
   authLoginWindowMs: toNumber(process.env.AUTH_LOGIN_WINDOW_MS, 15 * 60 * 1000, { min: 1000 }),
@@ -78,9 +108,18 @@ const env = Object.freeze({
   cleanupFailedJobTtlHours: toNumber(process.env.CLEANUP_FAILED_JOB_TTL_HOURS, 72, { min: 0 }),
   cleanupTempFileTtlHours: toNumber(process.env.CLEANUP_TEMP_FILE_TTL_HOURS, 6, { min: 0 }),
 
-  // Gemini
+  // LLM providers (generation only)
+  llmProvider: String(process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase(),
+  llmTimeoutMs: toNumber(process.env.LLM_TIMEOUT_MS, 25_000, { min: 1000 }),
   geminiApiKey: String(process.env.GEMINI_API_KEY || '').trim(),
   geminiModel: String(process.env.GEMINI_MODEL || 'gemini-2.5-flash').trim(),
+  openaiBaseUrl: String(process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').trim(),
+  openaiApiKey: String(process.env.OPENAI_API_KEY || '').trim(),
+  openaiModel: String(process.env.OPENAI_MODEL || 'gpt-4o-mini').trim(),
+  ollamaBaseUrl: String(process.env.OLLAMA_BASE_URL || 'http://localhost:11434').trim(),
+  ollamaModel: String(process.env.OLLAMA_MODEL || 'llama3.1').trim(),
+  fakeLlmModel: String(process.env.FAKE_LLM_MODEL || 'fake').trim(),
+  fakeLlmTokenDelayMs: toNumber(process.env.FAKE_LLM_TOKEN_DELAY_MS, 0, { min: 0 }),
 });
 
 module.exports = env;
@@ -1,22 +1,35 @@
 const { assertSessionExists } = require('../services/sessionService');
-const { getPdfReadinessBySession } = require('../services/pdfRecordService');
+const { getPdfReadinessBySession, resolvePdfScope } = require('../services/pdfRecordService');
 const {
     runChatQuery,
     runChatQueryStream,
+    explainRetrieval,
     shouldRunAsyncChat,
     normalizeResponseStyle,
     generateSessionTitle,
 } = require('../services/ragService');
-const { addMessage, listSessionHistory, clearSessionHistory, getSessionMessageCount } = require('../services/chatHistoryService');
+const {
+    addMessage,
+    listSessionHistory,
+    listRecentHistory,
+    getMessage,
+    listMessageAlternatives,
+    activateMessage,
+    clearSessionHistory,
+    getSessionMessageCount,
+    toAnswerMetadata,
+} = require('../services/chatHistoryService');
 const { recordQuery } = require('../services/metricsService');
-const { addJob, getQueuePosition } = require('../services/jobQueue');
+const { addJob, getQueuePosition, scheduleHistorySummary } = require('../services/jobQueue');
 const { parsePositiveInt, validateHistory } = require('../utils/helpers');
 const { initSse, writeSseEvent, shouldStreamChat } = require('../utils/sse');
 const { createHttpError, normalizeHttpError } = require('../utils/errors');
 const { ok, fail } = require('../routes/helpers');
 const { logInfo, logError } = require('../config/logger');
 const { renameSession } = require('../services/sessionService');
+const { assertRerankerAvailable } = require('../services/rerankService');
 const { listPdfsBySession } = require('../services/pdfRecordService');
+const env = require('../config/env');
 
 // Mutex mapping for session titles during stream
 const titleMutexes = new Map();
@@ -35,15 +48,53 @@ async function withSessionLock(sessionId, fn) {
     return nextPromise;
 }
 
-async function postChat(req, res) {
+// v1 defaults to the `history` the client sends; v2, and v1 with
+// CHAT_CLIENT_HISTORY=false, load the prompt history from the stored messages.
+// Client history is then accepted only with an explicit `historySource: 'client'`.
+function resolveHistorySource(req) {
+    const defaultSource = req.apiVersion >= 2 || !env.chatClientHistory ? 'server' : 'client';
+    const historySource = req.body.historySource || defaultSource;
+    if (!env.chatClientHistory && (historySource === 'client' || req.body.history !== undefined)) {
+        throw createHttpError(400, 'CLIENT_HISTORY_DISABLED', 'Client-sent history is disabled on this server.');
+    }
+    if (historySource === 'server' && req.body.history !== undefined) {
+        throw createHttpError(
+            400,
+            'CLIENT_HISTORY_NOT_ENABLED',
+            'history is only accepted with historySource "client"; the stored session history is used otherwise.'
+        );
+    }
+    return historySource;
+}
+
+// Answers one question. A new chat message is appended to the active branch;
+// an edited question is stored under `parentId` instead, and a regenerated
+// answer reuses the stored question `userMessageId`. Prompt history is the
+// branch ending at `historyLeafId` (the active one when undefined).
+async function answerTurn(req, res, { message, parentId, userMessageId = null, historyLeafId, useCache }) {
     const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
     const session = assertSessionExists(sessionId, req.user.id);
-    const message = req.body.message.trim();
     const { history } = req.body;
     const responseStyle = normalizeResponseStyle(req.body.responseStyle);
-
-    const normalizedHistory = validateHistory(history);
-    const readiness = getPdfReadinessBySession(sessionId, req.user.id);
+    const pdfIds = resolvePdfScope(sessionId, req.user.id, {
+        pdfIds: req.body.pdfIds?.map((id) => parsePositiveInt(id, 'pdfIds')),
+        excludePdfIds: req.body.excludePdfIds?.map((id) => parsePositiveInt(id, 'excludePdfIds')),
+    });
+    const retrievalOptions = {
+        candidatePool: req.body.candidatePool,
+        mmrLambda: req.body.mmrLambda,
+        reranker: assertRerankerAvailable(req.body.reranker),
+        rewriteQuery: req.body.rewriteQuery,
+        groundingCheck: req.body.groundingCheck,
+        useCache: useCache ?? req.body.useCache,
+        pdfIds,
+    };
+
+    // Loaded before this turn's message is stored, so it holds prior turns only.
+    const normalizedHistory = resolveHistorySource(req) === 'server'
+        ? listRecentHistory(sessionId, req.user.id, env.ragHistoryLimit, { leafId: historyLeafId })
+        : validateHistory(history);
+    const readiness = getPdfReadinessBySession(sessionId, req.user.id, pdfIds);
 
     if (readiness.uploaded === 0) {
         const guidanceMessage = "Please upload a document first so I can analyze it.\nSupported formats: PDF, DOCX, CSV, MD, TXT.";
@@ -149,20 +200,27 @@ async function postChat(req, res) {
         messageLength: message.length,
     });
 
-    try {
-        addMessage({
-            userId: req.user.id,
-            sessionId,
-            role: 'user',
-            text: message,
-        });
-    } catch (error) {
-        logError('ERROR_DB', error, {
-            route: '/api/v1/sessions/:sessionId/chat',
-            sessionId,
-            stage: 'saveUserMessage',
-        });
+    let questionId = userMessageId;
+    if (!questionId) {
+        try {
+            questionId = addMessage({
+                userId: req.user.id,
+                sessionId,
+                parentId,
+                role: 'user',
+                text: message,
+            });
+        } catch (error) {
+            logError('ERROR_DB', error, {
+                route: '/api/v1/sessions/:sessionId/chat',
+                sessionId,
+                stage: 'saveUserMessage',
+            });
+        }
     }
+    // Without a stored question the answer is appended to the active branch.
+    const answerParentId = questionId || undefined;
+    let answerId = null;
 
     if (shouldStreamChat(req)) {
         initSse(res);
@@ -226,6 +284,7 @@ async function postChat(req, res) {
                 message,
                 history: normalizedHistory,
                 responseStyle,
+                ...retrievalOptions,
             }, {
                 onProgress: ({ stage, progress }) => {
                     emitEvent('progress', {
@@ -243,11 +302,14 @@ async function postChat(req, res) {
 
             if (!clientDisconnected) {
                 try {
-                    addMessage({
+                    answerId = addMessage({
                         userId: req.user.id,
                         sessionId,
+                        parentId: answerParentId,
                         role: 'assistant',
                         text: response.answer,
+                        grounding: response.grounding,
+                        metadata: toAnswerMetadata(response),
                     });
                 } catch (error) {
                     logError('ERROR_DB', error, {
@@ -256,6 +318,7 @@ async function postChat(req, res) {
                         stage: 'streamPersistMessage',
                     });
                 }
+                scheduleHistorySummary({ userId: req.user.id, sessionId });
             }
 
             let finalSessionTitle = session.title;
@@ -302,6 +365,13 @@ async function postChat(req, res) {
                     responseStyle: response.responseStyle,
                     sources: response.sources,
                     usedChunksCount: response.usedChunksCount,
+                    rewrittenQuery: response.rewrittenQuery,
+                    grounding: response.grounding,
+                    promptTokens: response.promptTokens,
+                    model: response.model,
+                    cached: response.cached,
+                    userMessageId: questionId ? String(questionId) : null,
+                    messageId: answerId ? String(answerId) : null,
                     sessionTitle: finalSessionTitle,
                     fallback: response.fallback,
                 },
@@ -322,6 +392,13 @@ async function postChat(req, res) {
                     responseStyle,
                     sources: [],
                     usedChunksCount: 0,
+                    rewrittenQuery: null,
+                    grounding: null,
+                    promptTokens: null,
+                    model: null,
+                    cached: false,
+                    userMessageId: questionId ? String(questionId) : null,
+                    messageId: null,
                     sessionTitle: session.title,
                     fallback: true,
                 },
@@ -345,6 +422,8 @@ async function postChat(req, res) {
             message,
             history: normalizedHistory,
             responseStyle,
+            ...retrievalOptions,
+            parentMessageId: questionId,
             maxRetries: 1,
         });
 
@@ -365,15 +444,19 @@ async function postChat(req, res) {
         message,
         history: normalizedHistory,
         responseStyle,
+        ...retrievalOptions,
     });
     const durationMs = Date.now() - startedAt;
     recordQuery({ queryTimeMs: durationMs });
     try {
-        addMessage({
+        answerId = addMessage({
             userId: req.user.id,
             sessionId,
+            parentId: answerParentId,
             role: 'assistant',
             text: response.answer,
+            grounding: response.grounding,
+            metadata: toAnswerMetadata(response),
         });
     } catch (error) {
         logError('ERROR_DB', error, {
@@ -381,6 +464,7 @@ async function postChat(req, res) {
             sessionId,
         });
     }
+    scheduleHistorySummary({ userId: req.user.id, sessionId });
 
     let finalSessionTitle = session.title;
     const messageCount = getSessionMessageCount(sessionId, req.user.id);
@@ -422,11 +506,111 @@ async function postChat(req, res) {
         responseStyle: response.responseStyle,
         sources: response.sources,
         usedChunksCount: response.usedChunksCount,
+        rewrittenQuery: response.rewrittenQuery,
+        grounding: response.grounding,
+        promptTokens: response.promptTokens,
+        model: response.model,
+        cached: response.cached,
+        userMessageId: questionId ? String(questionId) : null,
+        messageId: answerId ? String(answerId) : null,
         sessionTitle: finalSessionTitle,
         fallback: response.fallback,
     });
 }
 
+async function postChat(req, res) {
+    return answerTurn(req, res, { message: req.body.message.trim() });
+}
+
+// Answers a stored question again. The new answer becomes a sibling of the
+// earlier ones, which stay listable as alternatives.
+async function postRegenerate(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = parsePositiveInt(req.params.messageId, 'messageId');
+    assertSessionExists(sessionId, req.user.id);
+
+    const target = getMessage(sessionId, req.user.id, messageId);
+    const question = target.role === 'assistant' && target.parentId
+        ? getMessage(sessionId, req.user.id, target.parentId)
+        : target;
+    if (question.role !== 'user') {
+        throw createHttpError(422, 'REGENERATE_NOT_ALLOWED', 'Only answers to a user question can be regenerated.');
+    }
+
+    return answerTurn(req, res, {
+        message: question.text,
+        userMessageId: question.id,
+        historyLeafId: question.parentId,
+        useCache: false,
+    });
+}
+
+// Stores the edited question next to the original one, starting a new branch
+// from the same point, and answers it.
+async function postEditMessage(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = parsePositiveInt(req.params.messageId, 'messageId');
+    assertSessionExists(sessionId, req.user.id);
+
+    const original = getMessage(sessionId, req.user.id, messageId);
+    if (original.role !== 'user') {
+        throw createHttpError(422, 'EDIT_NOT_ALLOWED', 'Only user messages can be edited.');
+    }
+
+    return answerTurn(req, res, {
+        message: req.body.message.trim(),
+        parentId: original.parentId,
+        historyLeafId: original.parentId,
+    });
+}
+
+async function getMessageAlternatives(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = parsePositiveInt(req.params.messageId, 'messageId');
+    assertSessionExists(sessionId, req.user.id);
+    return ok(res, listMessageAlternatives(sessionId, req.user.id, messageId));
+}
+
+async function postActivateMessage(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = parsePositiveInt(req.params.messageId, 'messageId');
+    assertSessionExists(sessionId, req.user.id);
+    return ok(res, activateMessage(sessionId, req.user.id, messageId));
+}
+
+// Debug view of retrieval for a question; see explainRetrieval.
+async function postRetrieve(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    assertSessionExists(sessionId, req.user.id);
+    const pdfIds = resolvePdfScope(sessionId, req.user.id, {
+        pdfIds: req.body.pdfIds?.map((id) => parsePositiveInt(id, 'pdfIds')),
+        excludePdfIds: req.body.excludePdfIds?.map((id) => parsePositiveInt(id, 'excludePdfIds')),
+    });
+    const history = resolveHistorySource(req) === 'server'
+        ? listRecentHistory(sessionId, req.user.id, env.ragHistoryLimit)
+        : validateHistory(req.body.history);
+
+    const result = await explainRetrieval({
+        sessionId,
+        message: req.body.message.trim(),
+        history,
+        topK: req.body.topK,
+        responseStyle: req.body.responseStyle,
+        candidatePool: req.body.candidatePool,
+        mmrLambda: req.body.mmrLambda,
+        reranker: assertRerankerAvailable(req.body.reranker),
+        rewriteQuery: req.body.rewriteQuery,
+        pdfIds,
+    });
+
+    const titles = new Map(listPdfsBySession(sessionId, req.user.id).map((pdf) => [String(pdf.id), pdf.title]));
+    return ok(res, {
+        sessionId,
+        ...result,
+        chunks: result.chunks.map((chunk) => ({ ...chunk, documentTitle: titles.get(String(chunk.pdfId)) || null })),
+    });
+}
+
 async function getChatHistory(req, res) {
     const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
     assertSessionExists(sessionId, req.user.id);
@@ -444,6 +628,11 @@ async function emptyChatHistory(req, res) {
 
 module.exports = {
     postChat,
+    postRegenerate,
+    postEditMessage,
+    getMessageAlternatives,
+    postActivateMessage,
+    postRetrieve,
     getChatHistory,
     emptyChatHistory
 };
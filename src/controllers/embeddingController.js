@@ -0,0 +1,52 @@
+const { assertSessionExists } = require('../services/sessionService');
+const { getReembeddingStatus } = require('../services/reembeddingService');
+const { addJob, findActiveJob, getQueuePosition } = require('../services/jobQueue');
+const { parsePositiveInt } = require('../utils/helpers');
+const { ok } = require('../routes/helpers');
+
+// Without a sessionId the scope is every session of the caller.
+function resolveScope(req, rawSessionId) {
+    const userId = req.user.id;
+    if (rawSessionId === undefined || rawSessionId === null || rawSessionId === '') {
+        return { userId, sessionId: null };
+    }
+    const sessionId = parsePositiveInt(rawSessionId, 'sessionId');
+    assertSessionExists(sessionId, userId);
+    return { userId, sessionId };
+}
+
+async function getReembedStatus(req, res) {
+    const scope = resolveScope(req, req.query.sessionId);
+    return ok(res, { ...scope, ...getReembeddingStatus(scope) });
+}
+
+async function postReembed(req, res) {
+    const scope = resolveScope(req, req.body.sessionId);
+    const status = getReembeddingStatus(scope);
+    if (status.staleChunks === 0) {
+        return ok(res, { ...scope, ...status, jobId: null });
+    }
+
+    const job = findActiveJob('reembedChunks', (payload) => Number(payload.userId) === scope.userId
+        && (payload.sessionId || null) === scope.sessionId)
+        || addJob({
+            type: 'reembedChunks',
+            userId: scope.userId,
+            sessionId: scope.sessionId,
+            maxRetries: 3,
+        });
+
+    return ok(res, {
+        ...scope,
+        ...status,
+        jobId: job.id,
+        progress: job.progress,
+        stage: job.stage,
+        queuePosition: getQueuePosition(job.id),
+    }, 202);
+}
+
+module.exports = {
+    getReembedStatus,
+    postReembed
+};
@@ -0,0 +1,41 @@
+const { assertSessionExists } = require('../services/sessionService');
+const { recordFeedback, getFeedbackSummary } = require('../services/feedbackService');
+const { parsePositiveInt } = require('../utils/helpers');
+const { ok } = require('../routes/helpers');
+
+async function postFeedback(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = parsePositiveInt(req.params.messageId, 'messageId');
+    assertSessionExists(sessionId, req.user.id);
+
+    const feedback = recordFeedback({
+        userId: req.user.id,
+        sessionId,
+        messageId,
+        rating: req.body.rating,
+        reasons: req.body.reasons,
+        comment: req.body.comment,
+    });
+    return ok(res, feedback);
+}
+
+async function getSummary(req, res) {
+    const sessionId = req.query.sessionId ? parsePositiveInt(req.query.sessionId, 'sessionId') : null;
+    if (sessionId) {
+        assertSessionExists(sessionId, req.user.id);
+    }
+    const limit = req.query.limit ? Math.min(parsePositiveInt(req.query.limit, 'limit'), 100) : undefined;
+
+    const summary = getFeedbackSummary({
+        userId: req.user.id,
+        sessionId,
+        since: req.query.since || null,
+        limit,
+    });
+    return ok(res, summary);
+}
+
+module.exports = {
+    postFeedback,
+    getSummary
+};
@@ -4,7 +4,8 @@ const {
     listPdfsBySession,
     createPdfRecord,
     updatePdfStorage,
-    getPdfReadinessBySession
+    getPdfReadinessBySession,
+    isStoragePathShared
 } = require('../services/pdfRecordService');
 const { assertSessionExists } = require('../services/sessionService');
 const {
@@ -121,7 +122,7 @@ async function deletePdf(req, res) {
     const removeFile = String(req.query.removeFile || 'false').toLowerCase() === 'true';
 
     const pdf = assertPdfExists(pdfId, req.user.id);
-    if (removeFile) {
+    if (removeFile && !isStoragePathShared(pdf.path, pdfId)) {
         try {
             await removeStoredPdf(pdf.path);
         } catch (error) {
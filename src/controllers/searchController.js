@@ -0,0 +1,17 @@
+const { searchLibrary } = require('../services/searchService');
+const { ok } = require('../routes/helpers');
+
+async function searchLibraryHandler(req, res) {
+    const result = await searchLibrary({
+        userId: req.user.id,
+        query: req.query.q,
+        limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined,
+        offset: req.query.offset ? parseInt(req.query.offset, 10) : undefined,
+        mode: req.query.mode,
+    });
+    return ok(res, result);
+}
+
+module.exports = {
+    searchLibraryHandler
+};
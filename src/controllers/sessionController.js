@@ -7,8 +7,10 @@ const {
     assertSessionExists,
     deleteSession,
 } = require('../services/sessionService');
+const { getSessionSettings, updateSessionSettings } = require('../services/sessionSettingsService');
 const { listPdfsBySession } = require('../services/pdfRecordService');
-const { removeJobsFromMemory } = require('../services/jobQueue');
+const { forkSession } = require('../services/sessionForkService');
+const { removeJobsFromMemory, scheduleHistorySummary } = require('../services/jobQueue');
 const { removeStoredPdf } = require('../services/uploadService');
 const { parsePositiveInt } = require('../utils/helpers');
 const { ok } = require('../routes/helpers');
@@ -50,6 +52,33 @@ async function getSession(req, res) {
     return ok(res, { ...session, pdfs });
 }
 
+async function getSettings(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const session = assertSessionExists(sessionId, req.user.id);
+    return ok(res, { sessionId: session.id, ...getSessionSettings(session.id) });
+}
+
+async function updateSettings(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const settings = updateSessionSettings(sessionId, req.user.id, req.body);
+    return ok(res, { sessionId, ...settings });
+}
+
+async function forkSessionHandler(req, res) {
+    const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
+    const messageId = req.body.messageId === undefined ? null : parsePositiveInt(req.body.messageId, 'messageId');
+    const result = await forkSession({
+        userId: req.user.id,
+        sessionId,
+        messageId,
+        title: req.body.title,
+    });
+    if (result.copiedMessages > 0) {
+        scheduleHistorySummary({ userId: req.user.id, sessionId: result.session.id });
+    }
+    return ok(res, result);
+}
+
 async function deleteSessionHandler(req, res) {
     const sessionId = parsePositiveInt(req.params.sessionId, 'sessionId');
     const result = deleteSession(sessionId, req.user.id);
@@ -78,5 +107,8 @@ module.exports = {
     renameExistingSession,
     getMetadata,
     getSession,
+    getSettings,
+    updateSettings,
+    forkSessionHandler,
     deleteSessionHandler
 };
@@ -4,6 +4,11 @@ const crypto = require('crypto');
 const Database = require('better-sqlite3');
 const bcrypt = require('bcryptjs');
 const env = require('../config/env');
+const { encodeVector, decodeVector } = require('../utils/vectorCodec');
+
+const EMBEDDING_CONVERSION_BATCH_SIZE = 500;
+// Embedding model id (`provider:model`) of chunks written before it was recorded.
+const LEGACY_EMBEDDING_MODEL = 'transformers:Xenova/all-MiniLM-L6-v2';
 
 const dbPath = path.resolve(process.cwd(), env.dbPath);
 const dataDir = path.dirname(dbPath);
@@ -67,6 +72,8 @@ function ensureNewTables(db, actions) {
         updatedAt TEXT,
         last_message_at TEXT,
         last_message_preview TEXT,
+        documentsVersion INTEGER NOT NULL DEFAULT 0,
+        activeMessageId INTEGER,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
       );`,
     },
@@ -95,8 +102,14 @@ function ensureNewTables(db, actions) {
         pdfId INTEGER,
         chunkKey TEXT,
         text TEXT NOT NULL,
-        embedding TEXT NOT NULL,
+        embedding BLOB NOT NULL,
         embeddingVectorLength INTEGER NOT NULL DEFAULT 0,
+        pageStart INTEGER,
+        pageEnd INTEGER,
+        charStart INTEGER,
+        charEnd INTEGER,
+        headingPath TEXT,
+        embeddingModel TEXT,
         createdAt TEXT NOT NULL,
         FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE,
         FOREIGN KEY (pdfId) REFERENCES pdfs(id) ON DELETE CASCADE
@@ -108,8 +121,15 @@ function ensureNewTables(db, actions) {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         user_id INTEGER NOT NULL,
         sessionId INTEGER NOT NULL,
+        parentId INTEGER,
         role TEXT NOT NULL,
         text TEXT NOT NULL,
+        grounding TEXT,
+        metadata TEXT,
+        feedbackRating TEXT,
+        feedbackReasons TEXT,
+        feedbackComment TEXT,
+        feedbackAt TEXT,
         createdAt TEXT NOT NULL,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
         FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE
@@ -193,6 +213,45 @@ function ensureNewTables(db, actions) {
         window_start INTEGER NOT NULL
       );`,
     },
+    {
+      description: 'Create session_settings table',
+      sql: `CREATE TABLE IF NOT EXISTS session_settings (
+        sessionId INTEGER PRIMARY KEY,
+        customInstruction TEXT,
+        persona TEXT NOT NULL DEFAULT 'default',
+        answerLanguage TEXT,
+        documentOnly INTEGER NOT NULL DEFAULT 0,
+        updatedAt TEXT NOT NULL,
+        FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE
+      );`,
+    },
+    {
+      description: 'Create session_summaries table',
+      sql: `CREATE TABLE IF NOT EXISTS session_summaries (
+        sessionId INTEGER PRIMARY KEY,
+        summary TEXT NOT NULL,
+        lastMessageId INTEGER NOT NULL,
+        summarizedMessages INTEGER NOT NULL DEFAULT 0,
+        updatedAt TEXT NOT NULL,
+        FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE
+      );`,
+    },
+    {
+      description: 'Create answer_cache table',
+      sql: `CREATE TABLE IF NOT EXISTS answer_cache (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sessionId INTEGER NOT NULL,
+        documentsVersion INTEGER NOT NULL,
+        optionsKey TEXT NOT NULL,
+        embeddingModel TEXT NOT NULL,
+        query TEXT NOT NULL,
+        queryEmbedding BLOB NOT NULL,
+        response TEXT NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        createdAt TEXT NOT NULL,
+        FOREIGN KEY (sessionId) REFERENCES sessions(id) ON DELETE CASCADE
+      );`,
+    },
     {
       description: 'Create pdfs sessionId index',
       sql: 'CREATE INDEX IF NOT EXISTS idx_pdfs_sessionId ON pdfs(sessionId);',
@@ -225,6 +284,10 @@ function ensureNewTables(db, actions) {
       description: 'Create chat_messages sessionId+createdAt+id index',
       sql: 'CREATE INDEX IF NOT EXISTS idx_chat_messages_sessionId_createdAt_id ON chat_messages(sessionId, createdAt, id);',
     },
+    {
+      description: 'Create answer_cache session lookup index',
+      sql: 'CREATE INDEX IF NOT EXISTS idx_answer_cache_session_lookup ON answer_cache(sessionId, documentsVersion, optionsKey);',
+    },
     {
       description: 'Create job_queue status index',
       sql: 'CREATE INDEX IF NOT EXISTS idx_job_queue_status ON job_queue(status);',
@@ -456,6 +519,14 @@ function ensureSessionMetadataColumns(db, actions) {
   db.exec(indexSql);
 }
 
+function ensureSessionDocumentsVersionColumn(db, actions) {
+  if (!columnExists(db, 'sessions', 'documentsVersion')) {
+    const sql = 'ALTER TABLE sessions ADD COLUMN documentsVersion INTEGER NOT NULL DEFAULT 0;';
+    logAction(actions, sql, 'Add sessions.documentsVersion column');
+    db.exec(sql);
+  }
+}
+
 function ensureChunkIdempotencyColumns(db, actions) {
   if (!columnExists(db, 'chunks', 'chunkKey')) {
     const sql = 'ALTER TABLE chunks ADD COLUMN chunkKey TEXT;';
@@ -478,6 +549,131 @@ function ensureChunkIdempotencyColumns(db, actions) {
   db.exec(indexSql);
 }
 
+function ensureChunkLocationColumns(db, actions) {
+  // Nullable: chunks indexed before page-aware parsing have no location until
+  // their document is re-indexed. headingPath is a JSON array of section titles.
+  const columns = [
+    ['pageStart', 'INTEGER'],
+    ['pageEnd', 'INTEGER'],
+    ['charStart', 'INTEGER'],
+    ['charEnd', 'INTEGER'],
+    ['headingPath', 'TEXT'],
+  ];
+  for (const [column, type] of columns) {
+    if (!columnExists(db, 'chunks', column)) {
+      const sql = `ALTER TABLE chunks ADD COLUMN ${column} ${type};`;
+      logAction(actions, sql, `Add chunks.${column} column`);
+      db.exec(sql);
+    }
+  }
+}
+
+function ensureChunkEmbeddingModelColumn(db, actions) {
+  if (!columnExists(db, 'chunks', 'embeddingModel')) {
+    const sql = 'ALTER TABLE chunks ADD COLUMN embeddingModel TEXT;';
+    logAction(actions, sql, 'Add chunks.embeddingModel column');
+    db.exec(sql);
+  }
+
+  // Every chunk embedded before providers became configurable came from the
+  // bundled transformers.js model.
+  const backfillSql = `UPDATE chunks SET embeddingModel = '${LEGACY_EMBEDDING_MODEL}' WHERE embeddingModel IS NULL;`;
+  logAction(actions, backfillSql, 'Backfill chunks.embeddingModel values');
+  db.exec(backfillSql);
+
+  const indexSql = 'CREATE INDEX IF NOT EXISTS idx_chunks_session_embedding_model ON chunks(sessionId, embeddingModel);';
+  logAction(actions, indexSql, 'Create chunks sessionId+embeddingModel index');
+  db.exec(indexSql);
+}
+
+function triggerExists(db, triggerName) {
+  const row = db
+    .prepare("SELECT name FROM sqlite_master WHERE type = 'trigger' AND name = ?")
+    .get(triggerName);
+  return !!row;
+}
+
+function ensureChunkSearchIndex(db, actions) {
+  if (!tableExists(db, 'chunks_fts')) {
+    // Keyed by chunks.rowid so the keyword index can be joined back to chunk rows.
+    const sql = "CREATE VIRTUAL TABLE IF NOT EXISTS chunks_fts USING fts5(text, tokenize = 'unicode61 remove_diacritics 2');";
+    logAction(actions, sql, 'Create chunks_fts full-text index');
+    db.exec(sql);
+  }
+
+  if (!tableExists(db, 'chunks') || triggerExists(db, 'chunks_fts_after_insert')) {
+    return;
+  }
+
+  // Triggers keep the index in sync on every path, cascading pdf/session/user
+  // deletes included. The index was synced by hand before, and a cascade could
+  // leave rows behind under a chunk rowid SQLite later reuses, so rebuild it.
+  const rebuildSql = 'DELETE FROM chunks_fts; INSERT INTO chunks_fts (rowid, text) SELECT rowid, text FROM chunks;';
+  logAction(actions, rebuildSql, 'Rebuild chunks_fts from existing chunks');
+  db.exec(rebuildSql);
+
+  const triggerSql = `
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_after_insert AFTER INSERT ON chunks BEGIN
+      INSERT INTO chunks_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_after_delete AFTER DELETE ON chunks BEGIN
+      DELETE FROM chunks_fts WHERE rowid = old.rowid;
+    END;
+    CREATE TRIGGER IF NOT EXISTS chunks_fts_after_update AFTER UPDATE OF text ON chunks BEGIN
+      DELETE FROM chunks_fts WHERE rowid = old.rowid;
+      INSERT INTO chunks_fts (rowid, text) VALUES (new.rowid, new.text);
+    END;
+  `;
+  logAction(actions, triggerSql.trim(), 'Create chunks_fts sync triggers');
+  db.exec(triggerSql);
+}
+
+function convertChunkEmbeddingsToBinary(db, actions, options = {}) {
+  if (!tableExists(db, 'chunks')) {
+    return;
+  }
+
+  const countSql = "SELECT COUNT(*) AS count FROM chunks WHERE typeof(embedding) = 'text';";
+  const pending = db.prepare(countSql).get().count;
+  if (pending === 0) {
+    return;
+  }
+
+  logAction(
+    actions,
+    'UPDATE chunks SET embedding = <float32 blob> WHERE typeof(embedding) = \'text\';',
+    `Convert ${pending} JSON chunk embeddings to Float32 BLOBs in batches of ${EMBEDDING_CONVERSION_BATCH_SIZE}`
+  );
+  if (options.dryRun === true) {
+    return;
+  }
+
+  // Each batch commits on its own so a restart resumes where it stopped. The
+  // server leaves this to the cleanup worker and reads both formats meanwhile.
+  const selectBatchStmt = db.prepare(`
+    SELECT rowid, embedding
+    FROM chunks
+    WHERE rowid > ? AND typeof(embedding) = 'text'
+    ORDER BY rowid ASC
+    LIMIT ?
+  `);
+  const updateStmt = db.prepare('UPDATE chunks SET embedding = ?, embeddingVectorLength = ? WHERE rowid = ?');
+  const convertBatch = db.transaction((rows) => {
+    for (const row of rows) {
+      const vector = decodeVector(row.embedding) || [];
+      updateStmt.run(encodeVector(vector), vector.length, row.rowid);
+    }
+  });
+
+  let lastRowId = 0;
+  let rows = selectBatchStmt.all(lastRowId, EMBEDDING_CONVERSION_BATCH_SIZE);
+  while (rows.length > 0) {
+    convertBatch(rows);
+    lastRowId = rows[rows.length - 1].rowid;
+    rows = selectBatchStmt.all(lastRowId, EMBEDDING_CONVERSION_BATCH_SIZE);
+  }
+}
+
 function ensureJobProgressColumns(db, actions) {
   if (!columnExists(db, 'job_queue', 'progress')) {
     const sql = 'ALTER TABLE job_queue ADD COLUMN progress INTEGER NOT NULL DEFAULT 0;';
@@ -505,6 +701,80 @@ function ensureJobProgressColumns(db, actions) {
   }
 }
 
+function ensureChatMessageGroundingColumn(db, actions) {
+  if (!columnExists(db, 'chat_messages', 'grounding')) {
+    const sql = 'ALTER TABLE chat_messages ADD COLUMN grounding TEXT;';
+    logAction(actions, sql, 'Add chat_messages.grounding column');
+    db.exec(sql);
+  }
+}
+
+// Answer metadata (model, response style, documents) and the user's rating of
+// the answer live on the assistant message itself.
+function ensureChatMessageFeedbackColumns(db, actions) {
+  const columns = ['metadata', 'feedbackRating', 'feedbackReasons', 'feedbackComment', 'feedbackAt'];
+  for (const column of columns) {
+    if (!columnExists(db, 'chat_messages', column)) {
+      const sql = `ALTER TABLE chat_messages ADD COLUMN ${column} TEXT;`;
+      logAction(actions, sql, `Add chat_messages.${column} column`);
+      db.exec(sql);
+    }
+  }
+
+  const indexSql = 'CREATE INDEX IF NOT EXISTS idx_chat_messages_user_id_feedbackRating ON chat_messages(user_id, feedbackRating);';
+  logAction(actions, indexSql, 'Create chat_messages user_id + feedbackRating index');
+  db.exec(indexSql);
+}
+
+// Messages form a tree per session: editing a question or regenerating an
+// answer adds a sibling, and sessions.activeMessageId is the leaf of the
+// branch shown as the history. Existing chats become a single branch.
+function ensureChatMessageBranchColumns(db, actions) {
+  if (!columnExists(db, 'chat_messages', 'parentId')) {
+    const sql = 'ALTER TABLE chat_messages ADD COLUMN parentId INTEGER;';
+    logAction(actions, sql, 'Add chat_messages.parentId column');
+    db.exec(sql);
+
+    const backfillSql = `
+      UPDATE chat_messages
+      SET parentId = (
+        SELECT MAX(p.id)
+        FROM chat_messages p
+        WHERE p.sessionId = chat_messages.sessionId AND p.id < chat_messages.id
+      );
+    `;
+    logAction(actions, backfillSql.trim(), 'Backfill chat_messages.parentId as a single branch');
+    db.exec(backfillSql);
+  }
+
+  if (!columnExists(db, 'sessions', 'activeMessageId')) {
+    const sql = 'ALTER TABLE sessions ADD COLUMN activeMessageId INTEGER;';
+    logAction(actions, sql, 'Add sessions.activeMessageId column');
+    db.exec(sql);
+
+    const backfillSql = `
+      UPDATE sessions
+      SET activeMessageId = (SELECT MAX(m.id) FROM chat_messages m WHERE m.sessionId = sessions.id);
+    `;
+    logAction(actions, backfillSql.trim(), 'Backfill sessions.activeMessageId');
+    db.exec(backfillSql);
+  }
+
+  const indexSql = 'CREATE INDEX IF NOT EXISTS idx_chat_messages_parentId ON chat_messages(parentId);';
+  logAction(actions, indexSql, 'Create chat_messages parentId index');
+  db.exec(indexSql);
+}
+
+// A forked document remembers the original it was copied from, so library
+// search can show the chunks the copies share once.
+function ensurePdfSourceColumn(db, actions) {
+  if (!columnExists(db, 'pdfs', 'sourcePdfId')) {
+    const sql = 'ALTER TABLE pdfs ADD COLUMN sourcePdfId INTEGER;';
+    logAction(actions, sql, 'Add pdfs.sourcePdfId column');
+    db.exec(sql);
+  }
+}
+
 function normalizeChatMessageTimestamps(db, actions) {
   if (!tableExists(db, 'chat_messages')) {
     return;
@@ -554,7 +824,9 @@ function backfillSessionMessageMetadata(db, actions) {
   db.exec(sql);
 }
 
-function runMigrations({ dryRun = false } = {}) {
+// convertEmbeddings converts every legacy JSON embedding before returning;
+// only `npm run migrate` asks for it, so startup is not held up by it.
+function runMigrations({ dryRun = false, convertEmbeddings = false } = {}) {
   const db = openDatabase();
   const actions = [];
 
@@ -565,8 +837,19 @@ function runMigrations({ dryRun = false } = {}) {
     backfillOwnershipColumns(db, actions, defaultAdminId);
     ensureSessionUpdatedAtColumn(db, actions);
     ensureSessionMetadataColumns(db, actions);
+    ensureSessionDocumentsVersionColumn(db, actions);
     ensureChunkIdempotencyColumns(db, actions);
+    ensureChunkLocationColumns(db, actions);
+    ensureChunkEmbeddingModelColumn(db, actions);
+    ensureChunkSearchIndex(db, actions);
+    if (convertEmbeddings) {
+      convertChunkEmbeddingsToBinary(db, actions, { dryRun });
+    }
     ensureJobProgressColumns(db, actions);
+    ensureChatMessageGroundingColumn(db, actions);
+    ensureChatMessageFeedbackColumns(db, actions);
+    ensureChatMessageBranchColumns(db, actions);
+    ensurePdfSourceColumn(db, actions);
     normalizeChatMessageTimestamps(db, actions);
     backfillSessionMessageMetadata(db, actions);
   };
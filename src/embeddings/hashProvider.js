@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const env = require('../config/env');
+
+const TERM_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Feature hashing over lowercased terms and adjacent term pairs: deterministic,
+// instant and dependency-free. Texts sharing words get similar vectors, which
+// is enough for tests and offline development, not for real semantic search.
+function hashTerm(term, dimensions) {
+  const digest = crypto.createHash('sha1').update(term).digest();
+  return {
+    index: digest.readUInt32BE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1,
+  };
+}
+
+function embedText(text, dimensions) {
+  const vector = new Array(dimensions).fill(0);
+  const terms = String(text || '').toLowerCase().match(TERM_PATTERN) || [];
+  const features = [...terms, ...terms.slice(1).map((term, i) => `${terms[i]} ${term}`)];
+
+  for (const feature of features) {
+    const { index, sign } = hashTerm(feature, dimensions);
+    vector[index] += sign;
+  }
+
+  const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + (value * value), 0));
+  return magnitude === 0 ? vector : vector.map((value) => value / magnitude);
+}
+
+function getModelName() {
+  return `hash-${env.embeddingHashDimensions}`;
+}
+
+// The model name carries the dimensions, so vectors of an earlier setting can
+// still be reproduced after EMBEDDING_HASH_DIMENSIONS changes.
+function getDimensions(model) {
+  const dimensions = Number(String(model).replace(/^hash-/, ''));
+  if (!Number.isInteger(dimensions) || dimensions <= 0) {
+    throw new Error(`Unknown hash embedding model "${model}".`);
+  }
+  return dimensions;
+}
+
+module.exports = {
+  name: 'hash',
+  getModelName,
+  embed: async (texts, model = getModelName()) => {
+    const dimensions = getDimensions(model);
+    return texts.map((text) => embedText(text, dimensions));
+  },
+  getTokenizer: async () => null,
+};
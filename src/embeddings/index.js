@@ -0,0 +1,69 @@
+const transformersProvider = require('./transformersProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+const hashProvider = require('./hashProvider');
+const env = require('../config/env');
+
+// An embedding provider is an object with:
+//   name
+//   getModelName() -> model identifier within the provider
+//   embed(texts, model = getModelName()) -> one vector per text, in order
+//   getTokenizer() -> { maxTokens, specialTokens, countTokens } or null
+const providers = new Map();
+
+function registerEmbeddingProvider(provider) {
+  const name = String(provider?.name || '').trim().toLowerCase();
+  const required = ['getModelName', 'embed', 'getTokenizer'];
+  if (!name || name.includes(':') || required.some((key) => typeof provider[key] !== 'function')) {
+    throw new Error('Embedding provider requires a name and the full provider interface.');
+  }
+  providers.set(name, provider);
+}
+
+registerEmbeddingProvider(transformersProvider);
+registerEmbeddingProvider(openaiCompatibleProvider);
+registerEmbeddingProvider(hashProvider);
+
+function listEmbeddingProviders() {
+  return [...providers.keys()];
+}
+
+function getEmbeddingProvider(name = env.embeddingProvider) {
+  const normalizedName = String(name || '').trim().toLowerCase();
+  const provider = providers.get(normalizedName);
+  if (!provider) {
+    const error = new Error(`Unknown embedding provider "${normalizedName}". Available: ${listEmbeddingProviders().join(', ')}.`);
+    error.statusCode = 500;
+    error.code = 'UNKNOWN_EMBEDDING_PROVIDER';
+    throw error;
+  }
+  return provider;
+}
+
+// Stored on every chunk; vectors are only ever compared within one model id.
+function getEmbeddingModelId(provider = getEmbeddingProvider()) {
+  return `${provider.name}:${provider.getModelName()}`;
+}
+
+// Inverse of getEmbeddingModelId, for embedding with the model of older chunks.
+function resolveEmbeddingModel(embeddingModel) {
+  const value = String(embeddingModel || '');
+  const separator = value.indexOf(':');
+  if (separator <= 0) {
+    const error = new Error(`Invalid embedding model id "${value}".`);
+    error.statusCode = 500;
+    error.code = 'UNKNOWN_EMBEDDING_PROVIDER';
+    throw error;
+  }
+  return {
+    provider: getEmbeddingProvider(value.slice(0, separator)),
+    model: value.slice(separator + 1),
+  };
+}
+
+module.exports = {
+  registerEmbeddingProvider,
+  listEmbeddingProviders,
+  getEmbeddingProvider,
+  getEmbeddingModelId,
+  resolveEmbeddingModel,
+};
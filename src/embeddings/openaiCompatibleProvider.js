@@ -0,0 +1,31 @@
+const { joinUrl, request } = require('../llm/http');
+const env = require('../config/env');
+
+const LABEL = 'OpenAI-compatible embeddings';
+const DEFAULT_MODEL = 'text-embedding-3-small';
+
+function getModelName() {
+  return env.embeddingModel || DEFAULT_MODEL;
+}
+
+async function embed(texts, model = getModelName()) {
+  const response = await request(LABEL, joinUrl(env.embeddingBaseUrl, '/embeddings'), {
+    method: 'POST',
+    headers: env.embeddingApiKey ? { authorization: `Bearer ${env.embeddingApiKey}` } : {},
+    body: { model, input: texts },
+  });
+  const payload = await response.json();
+  const rows = [...(payload?.data || [])].sort((a, b) => a.index - b.index);
+  if (rows.length !== texts.length) {
+    throw new Error(`${LABEL} returned ${rows.length} vectors for ${texts.length} inputs.`);
+  }
+  return rows.map((row) => row.embedding);
+}
+
+module.exports = {
+  name: 'openai',
+  getModelName,
+  embed,
+  // Remote tokenizers are unknown, so chunks are sized by the character estimate.
+  getTokenizer: async () => null,
+};
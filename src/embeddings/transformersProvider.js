@@ -0,0 +1,92 @@
+const { logInfo } = require('../config/logger');
+const env = require('../config/env');
+
+const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
+// all-MiniLM-L6-v2 was trained on 256 word pieces; anything past that is cut
+// off by the pipeline (or embedded poorly), so chunks must fit within it.
+const MAX_SEQUENCE_TOKENS = env.embeddingMaxTokens;
+
+const extractorPromises = new Map();
+
+function getModelName() {
+  return env.embeddingModel || DEFAULT_MODEL;
+}
+
+async function getExtractor(model = getModelName()) {
+  if (extractorPromises.has(model)) {
+    return extractorPromises.get(model);
+  }
+
+  // Keep CommonJS project-wide while loading ESM-only transformers package lazily.
+  const extractorPromise = (async () => {
+    logInfo('INDEX_DONE', { component: 'embeddingService', stage: 'model_load_start', model });
+    const { pipeline } = await import('@xenova/transformers');
+    const extractor = await pipeline('feature-extraction', model);
+    logInfo('INDEX_DONE', { component: 'embeddingService', stage: 'model_load_done', model });
+    return extractor;
+  })();
+  extractorPromises.set(model, extractorPromise);
+
+  return extractorPromise;
+}
+
+function toVectors(outputs) {
+  const dims = outputs?.dims || [];
+  const values = outputs?.data ? Array.from(outputs.data) : null;
+
+  if (!values || values.length === 0) {
+    throw new Error('Local embedding model returned empty vectors.');
+  }
+
+  // Expected pooled batch output shape [batch, hidden]
+  if (dims.length === 2) {
+    const [batchSize, hiddenSize] = dims;
+    const vectors = [];
+    for (let i = 0; i < batchSize; i += 1) {
+      const start = i * hiddenSize;
+      const end = start + hiddenSize;
+      vectors.push(values.slice(start, end));
+    }
+    return vectors;
+  }
+
+  // If a single vector comes back from a batch of one, normalize shape.
+  if (dims.length === 1) {
+    return [values];
+  }
+
+  throw new Error(`Unexpected embedding tensor shape from local model: ${JSON.stringify(dims)}`);
+}
+
+async function embed(texts, model = getModelName()) {
+  const extractor = await getExtractor(model);
+  const output = await extractor(texts, { pooling: 'mean', normalize: true });
+  return toVectors(output);
+}
+
+// Exposes the model's own tokenizer so chunking can be sized in word pieces.
+// countTokens excludes the [CLS]/[SEP] markers; specialTokens is what the
+// pipeline adds on top of it.
+async function getTokenizer() {
+  const extractor = await getExtractor();
+  const { tokenizer } = extractor;
+  const encode = (text, addSpecialTokens) => tokenizer.encode(String(text || ''), null, {
+    add_special_tokens: addSpecialTokens,
+  });
+  const modelMaxLength = Number(tokenizer.model_max_length);
+
+  return {
+    maxTokens: Number.isFinite(modelMaxLength) && modelMaxLength > 0
+      ? Math.min(MAX_SEQUENCE_TOKENS, modelMaxLength)
+      : MAX_SEQUENCE_TOKENS,
+    specialTokens: encode('', true).length,
+    countTokens: (text) => encode(text, false).length,
+  };
+}
+
+module.exports = {
+  name: 'transformers',
+  getModelName,
+  embed,
+  getTokenizer,
+};
@@ -0,0 +1,177 @@
+const { splitModelNames, isNotFoundError, getErrorDetails } = require('./http');
+const env = require('../config/env');
+
+// Offline stand-in for a real model. Answers are derived only from the prompt,
+// so the same retrieval always yields the same answer. Model names double as
+// failure switches: `fake-404`, `fake-429` and `fake-timeout` (never answers,
+// so LLM_TIMEOUT_MS trips) let FAKE_LLM_MODEL exercise the error paths.
+const FAILING_MODELS = {
+  'fake-404': { status: 404, message: 'Fake model not found.' },
+  'fake-429': { status: 429, message: 'Fake rate limit exceeded.' },
+};
+const CHUNK_HEADER_PATTERN = /^Chunk (\d+) \(pdfId=([^,]+), score=[^)]*\):$/;
+
+function sectionAfter(prompt, marker) {
+  const index = prompt.indexOf(marker);
+  return index === -1 ? '' : prompt.slice(index + marker.length).trim();
+}
+
+function sectionBetween(prompt, startMarker, endMarker) {
+  const rest = sectionAfter(prompt, startMarker);
+  const end = rest.indexOf(endMarker);
+  return (end === -1 ? rest : rest.slice(0, end)).trim();
+}
+
+function parseChunks(context) {
+  const chunks = [];
+  for (const line of context.split('\n')) {
+    const header = CHUNK_HEADER_PATTERN.exec(line);
+    if (header) {
+      chunks.push({ number: Number(header[1]), pdfId: header[2], text: '' });
+    } else if (chunks.length > 0) {
+      const current = chunks[chunks.length - 1];
+      current.text = `${current.text} ${line}`.trim();
+    }
+  }
+  return chunks;
+}
+
+function excerpt(text, maxLength = 160) {
+  const firstSentence = String(text || '').split(/(?<=[.!?])\s+/)[0] || '';
+  return firstSentence.length > maxLength ? `${firstSentence.slice(0, maxLength - 3).trim()}...` : firstSentence;
+}
+
+function answerQuestion(prompt) {
+  const question = sectionAfter(prompt, 'USER QUESTION:');
+  const chunks = parseChunks(sectionBetween(prompt, 'DOCUMENT CONTEXT:', 'USER QUESTION:'));
+  const cited = chunks.slice(0, 3);
+  const answer = cited.length > 0
+    ? `Chunk ${cited[0].number} says: ${excerpt(cited[0].text)}`
+    : `No document context matched "${question}".`;
+
+  if (!prompt.includes('Response format')) {
+    return answer;
+  }
+
+  const keyPoints = cited.length > 0
+    ? cited.map((chunk) => `- ${excerpt(chunk.text, 100)}`)
+    : ['- Not enough evidence was found in indexed documents.'];
+  const evidence = cited.length > 0
+    ? cited.map((chunk) => `- Chunk ${chunk.number}: pdfId ${chunk.pdfId}`)
+    : ['- None.'];
+
+  return [
+    `Answer:\n${answer}`,
+    `Key Points:\n${keyPoints.join('\n')}`,
+    `Evidence:\n${evidence.join('\n')}`,
+    `Follow-up:\n- What else does the document say about "${question}"?`,
+  ].join('\n\n');
+}
+
+function rewriteQuestion(prompt) {
+  const question = sectionAfter(prompt, 'FOLLOW-UP QUESTION:');
+  const userTurns = sectionBetween(prompt, 'CONVERSATION:', 'FOLLOW-UP QUESTION:')
+    .split('\n')
+    .filter((line) => line.startsWith('USER: '));
+  const lastUserTurn = userTurns.length > 0 ? userTurns[userTurns.length - 1].slice(6).trim() : '';
+  return lastUserTurn ? `${lastUserTurn} ${question}` : question;
+}
+
+function titleFor(prompt) {
+  const questions = sectionAfter(prompt, 'User questions:').replace(/^"|"$/g, '');
+  return questions.replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean).slice(0, 5).join(' ');
+}
+
+// Grounding verification: a claim counts as supported when at least half of
+// its longer words occur somewhere in the chunks.
+function judgeClaims(prompt) {
+  const wordsOf = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]{4,}/gu) || [];
+  const contextWords = new Set(wordsOf(sectionBetween(prompt, 'DOCUMENT CHUNKS:', 'CLAIMS:')));
+  return sectionAfter(prompt, 'CLAIMS:')
+    .split('\n')
+    .map((line) => /^(\d+)\.\s*(.*)$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, number, claim]) => {
+      const words = wordsOf(claim);
+      const found = words.filter((word) => contextWords.has(word)).length;
+      return `${number}: ${words.length > 0 && found * 2 >= words.length ? 'supported' : 'unsupported'}`;
+    })
+    .join('\n');
+}
+
+// Running summary: the earlier summary followed by the new user questions, so
+// tests can see which turns were folded in.
+function summarize(prompt) {
+  const earlier = sectionBetween(prompt, 'EARLIER SUMMARY:', 'NEW MESSAGES:');
+  const questions = sectionAfter(prompt, 'NEW MESSAGES:')
+    .split('\n')
+    .filter((line) => line.startsWith('USER: '))
+    .map((line) => line.slice(6).trim());
+  const added = questions.length > 0 ? `The user asked: ${questions.join(' | ')}` : '';
+  return [earlier === 'None.' ? '' : earlier, added].filter(Boolean).join('\n');
+}
+
+const TASK_RESPONDERS = {
+  summarize,
+  rewriteQuery: rewriteQuestion,
+  verifyClaims: judgeClaims,
+  title: titleFor,
+};
+
+function respond(prompt, task = null) {
+  const text = String(prompt || '');
+  const responder = TASK_RESPONDERS[task] || answerQuestion;
+  return responder(text);
+}
+
+async function simulateModel(model, signal) {
+  const failure = FAILING_MODELS[model];
+  if (failure) {
+    const error = new Error(failure.message);
+    error.status = failure.status;
+    throw error;
+  }
+  if (model === 'fake-timeout') {
+    await new Promise((_, reject) => {
+      if (!signal) {
+        reject(new Error('Fake model timed out.'));
+        return;
+      }
+      signal.addEventListener('abort', () => reject(new Error('Fake model timed out.')), { once: true });
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function generate({ model, prompt, signal, task }) {
+  await simulateModel(model, signal);
+  return respond(prompt, task);
+}
+
+async function openStream({ model, prompt, signal }) {
+  await simulateModel(model, signal);
+  const tokens = respond(prompt).match(/\s*\S+/g) || [];
+
+  return (async function* stream() {
+    for (const token of tokens) {
+      if (env.fakeLlmTokenDelayMs > 0) {
+        await sleep(env.fakeLlmTokenDelayMs);
+      }
+      yield token;
+    }
+  }());
+}
+
+module.exports = {
+  name: 'fake',
+  label: 'Fake LLM',
+  getModelCandidates: () => splitModelNames(env.fakeLlmModel),
+  generate,
+  openStream,
+  listModels: async () => ['fake', 'fake-404', 'fake-429', 'fake-timeout'],
+  isNotFoundError,
+  getErrorDetails,
+};
@@ -0,0 +1,60 @@
+const {
+  getGenAI,
+  getGenerationModelCandidates,
+  getGeminiErrorDetails,
+  isGeminiNotFoundError,
+} = require('../config/gemini');
+
+function toGenerationConfig(options = {}, signal) {
+  const config = { abortSignal: signal };
+  if (options.temperature !== undefined) {
+    config.temperature = options.temperature;
+  }
+  if (options.maxOutputTokens !== undefined) {
+    config.maxOutputTokens = options.maxOutputTokens;
+  }
+  return config;
+}
+
+async function generate({ model, prompt, options, signal }) {
+  const response = await getGenAI().models.generateContent({
+    model,
+    contents: prompt,
+    config: toGenerationConfig(options, signal),
+  });
+  return response?.text || '';
+}
+
+async function openStream({ model, prompt, options, signal }) {
+  const stream = await getGenAI().models.generateContentStream({
+    model,
+    contents: prompt,
+    config: toGenerationConfig(options, signal),
+  });
+
+  return (async function* tokens() {
+    for await (const chunk of stream) {
+      yield String(chunk?.text || '');
+    }
+  }());
+}
+
+async function listModels() {
+  const pager = await getGenAI().models.list();
+  const models = [];
+  for await (const model of pager) {
+    models.push(String(model.name || '').replace(/^models\//, ''));
+  }
+  return models.filter(Boolean);
+}
+
+module.exports = {
+  name: 'gemini',
+  label: 'Gemini',
+  getModelCandidates: getGenerationModelCandidates,
+  generate,
+  openStream,
+  listModels,
+  isNotFoundError: isGeminiNotFoundError,
+  getErrorDetails: getGeminiErrorDetails,
+};
@@ -0,0 +1,77 @@
+// Shared plumbing for providers that talk plain HTTP (OpenAI-compatible, Ollama).
+
+function joinUrl(baseUrl, path) {
+  return `${String(baseUrl || '').replace(/\/+$/, '')}${path}`;
+}
+
+function splitModelNames(rawValue) {
+  return [...new Set(String(rawValue || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean))];
+}
+
+async function request(provider, url, { method = 'GET', headers = {}, body, signal } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+  });
+
+  if (!response.ok) {
+    const responseBody = await response.text().catch(() => '');
+    const error = new Error(`${provider} request failed with status ${response.status}.`);
+    error.status = response.status;
+    error.responseBody = responseBody.slice(0, 2000) || null;
+    throw error;
+  }
+  return response;
+}
+
+// Yields non-empty lines of a streamed response body (SSE or NDJSON).
+async function* readLines(body) {
+  const decoder = new TextDecoder();
+  let buffered = '';
+  for await (const chunk of body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    let newline = buffered.indexOf('\n');
+    while (newline !== -1) {
+      const line = buffered.slice(0, newline).trim();
+      buffered = buffered.slice(newline + 1);
+      if (line) {
+        yield line;
+      }
+      newline = buffered.indexOf('\n');
+    }
+  }
+  buffered += decoder.decode();
+  if (buffered.trim()) {
+    yield buffered.trim();
+  }
+}
+
+function isNotFoundError(error) {
+  return Number(error?.status) === 404;
+}
+
+function getErrorDetails(error) {
+  if (!error) {
+    return null;
+  }
+  return {
+    name: error.name,
+    status: Number(error.status) || undefined,
+    message: error.message || 'Unknown provider error.',
+    responseBody: error.responseBody || null,
+  };
+}
+
+module.exports = {
+  joinUrl,
+  splitModelNames,
+  request,
+  readLines,
+  isNotFoundError,
+  getErrorDetails,
+};
@@ -0,0 +1,155 @@
+const geminiProvider = require('./geminiProvider');
+const openaiCompatibleProvider = require('./openaiCompatibleProvider');
+const ollamaProvider = require('./ollamaProvider');
+const fakeProvider = require('./fakeProvider');
+const env = require('../config/env');
+
+// A provider is an object with:
+//   name, label
+//   getModelCandidates() -> model names tried in order
+//   generate({ model, prompt, options, signal, task }) -> full text
+//   openStream({ model, prompt, options, signal }) -> async iterable of text deltas
+//   listModels() -> model names the backend offers
+//   isNotFoundError(error), getErrorDetails(error)
+// `options` is `{ temperature, maxOutputTokens }`; providers map it to their API.
+// `task` names what a generate call is for ('rewriteQuery', 'summarize',
+// 'verifyClaims', 'title'; null for answers). Real providers ignore it.
+const providers = new Map();
+
+function registerLlmProvider(provider) {
+  const name = String(provider?.name || '').trim().toLowerCase();
+  const required = ['getModelCandidates', 'generate', 'openStream', 'listModels', 'isNotFoundError', 'getErrorDetails'];
+  if (!name || required.some((key) => typeof provider[key] !== 'function')) {
+    throw new Error('LLM provider requires a name and the full provider interface.');
+  }
+  providers.set(name, provider);
+}
+
+registerLlmProvider(geminiProvider);
+registerLlmProvider(openaiCompatibleProvider);
+registerLlmProvider(ollamaProvider);
+registerLlmProvider(fakeProvider);
+
+function listLlmProviders() {
+  return [...providers.keys()];
+}
+
+function getLlmProvider(name = env.llmProvider) {
+  const normalizedName = String(name || '').trim().toLowerCase();
+  const provider = providers.get(normalizedName);
+  if (!provider) {
+    const error = new Error(`Unknown LLM provider "${normalizedName}". Available: ${listLlmProviders().join(', ')}.`);
+    error.statusCode = 500;
+    error.code = 'UNKNOWN_LLM_PROVIDER';
+    throw error;
+  }
+  return provider;
+}
+
+function createGenerationError(message, provider, details) {
+  const error = new Error(message);
+  error.statusCode = 500;
+  error.llm = { provider: provider.name, ...(details || {}) };
+  return error;
+}
+
+// Bounds how long we wait for a provider to answer (or to start streaming).
+async function withTimeout(run, label) {
+  const controller = new AbortController();
+  let timer = null;
+  try {
+    return await Promise.race([
+      run(controller.signal),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          controller.abort();
+          reject(new Error(`${label} request timeout.`));
+        }, env.llmTimeoutMs);
+      }),
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Tries each configured model in turn, moving on only when the backend says the
+// model does not exist. `meta`, when given, receives the model that answered.
+async function runWithModelFallback(provider, attempt, meta = null) {
+  const models = provider.getModelCandidates();
+  let lastError = null;
+
+  for (let i = 0; i < models.length; i += 1) {
+    const model = models[i];
+    try {
+      const result = await attempt(model);
+      if (meta) {
+        meta.provider = provider.name;
+        meta.model = model;
+      }
+      return result;
+    } catch (error) {
+      lastError = error;
+      const hasNext = i < models.length - 1;
+      if (provider.isNotFoundError(error) && hasNext) {
+        continue;
+      }
+
+      throw createGenerationError(
+        provider.isNotFoundError(error)
+          ? `Generation model "${model}" is unavailable.`
+          : `${provider.label} generation request failed.`,
+        provider,
+        provider.getErrorDetails(error)
+      );
+    }
+  }
+
+  throw createGenerationError(
+    `${provider.label} generation failed for all configured models.`,
+    provider,
+    provider.getErrorDetails(lastError)
+  );
+}
+
+async function generateText({ prompt, options = {}, meta = null, task = null }) {
+  const provider = getLlmProvider();
+  return runWithModelFallback(provider, (model) => withTimeout(
+    (signal) => provider.generate({ model, prompt, options, signal, task }),
+    provider.label
+  ), meta);
+}
+
+async function streamText({ prompt, options = {}, onToken, meta = null }) {
+  const provider = getLlmProvider();
+  return runWithModelFallback(provider, async (model) => {
+    const tokens = await withTimeout(
+      (signal) => provider.openStream({ model, prompt, options, signal }),
+      provider.label
+    );
+
+    let fullText = '';
+    for await (const token of tokens) {
+      if (!token) {
+        continue;
+      }
+      fullText += token;
+      if (typeof onToken === 'function') {
+        onToken(token);
+      }
+    }
+    return fullText;
+  }, meta);
+}
+
+async function listModels() {
+  return getLlmProvider().listModels();
+}
+
+module.exports = {
+  registerLlmProvider,
+  listLlmProviders,
+  getLlmProvider,
+  generateText,
+  streamText,
+  listModels,
+};
@@ -0,0 +1,76 @@
+const {
+  joinUrl,
+  splitModelNames,
+  request,
+  readLines,
+  isNotFoundError,
+  getErrorDetails,
+} = require('./http');
+const env = require('../config/env');
+
+const LABEL = 'Ollama';
+
+function buildBody({ model, prompt, options = {}, stream }) {
+  const modelOptions = {};
+  if (options.temperature !== undefined) {
+    modelOptions.temperature = options.temperature;
+  }
+  if (options.maxOutputTokens !== undefined) {
+    modelOptions.num_predict = options.maxOutputTokens;
+  }
+  return {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    stream,
+    options: modelOptions,
+  };
+}
+
+async function generate({ model, prompt, options, signal }) {
+  const response = await request(LABEL, joinUrl(env.ollamaBaseUrl, '/api/chat'), {
+    method: 'POST',
+    body: buildBody({ model, prompt, options, stream: false }),
+    signal,
+  });
+  const payload = await response.json();
+  return String(payload?.message?.content || '');
+}
+
+// Newline-delimited JSON objects until one arrives with `done: true`.
+async function openStream({ model, prompt, options, signal }) {
+  const response = await request(LABEL, joinUrl(env.ollamaBaseUrl, '/api/chat'), {
+    method: 'POST',
+    body: buildBody({ model, prompt, options, stream: true }),
+    signal,
+  });
+
+  return (async function* tokens() {
+    for await (const line of readLines(response.body)) {
+      const payload = JSON.parse(line);
+      if (payload.error) {
+        throw new Error(`Ollama stream failed: ${payload.error}`);
+      }
+      yield String(payload?.message?.content || '');
+      if (payload.done) {
+        return;
+      }
+    }
+  }());
+}
+
+async function listModels() {
+  const response = await request(LABEL, joinUrl(env.ollamaBaseUrl, '/api/tags'));
+  const payload = await response.json();
+  return (payload?.models || []).map((model) => String(model.name || '')).filter(Boolean);
+}
+
+module.exports = {
+  name: 'ollama',
+  label: LABEL,
+  getModelCandidates: () => splitModelNames(env.ollamaModel),
+  generate,
+  openStream,
+  listModels,
+  isNotFoundError,
+  getErrorDetails,
+};
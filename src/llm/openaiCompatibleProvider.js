@@ -0,0 +1,84 @@
+const {
+  joinUrl,
+  splitModelNames,
+  request,
+  readLines,
+  isNotFoundError,
+  getErrorDetails,
+} = require('./http');
+const env = require('../config/env');
+
+const LABEL = 'OpenAI-compatible';
+
+function buildHeaders() {
+  return env.openaiApiKey ? { authorization: `Bearer ${env.openaiApiKey}` } : {};
+}
+
+function buildBody({ model, prompt, options = {}, stream }) {
+  const body = {
+    model,
+    messages: [{ role: 'user', content: prompt }],
+    stream,
+  };
+  if (options.temperature !== undefined) {
+    body.temperature = options.temperature;
+  }
+  if (options.maxOutputTokens !== undefined) {
+    body.max_tokens = options.maxOutputTokens;
+  }
+  return body;
+}
+
+async function generate({ model, prompt, options, signal }) {
+  const response = await request(LABEL, joinUrl(env.openaiBaseUrl, '/chat/completions'), {
+    method: 'POST',
+    headers: buildHeaders(),
+    body: buildBody({ model, prompt, options, stream: false }),
+    signal,
+  });
+  const payload = await response.json();
+  return String(payload?.choices?.[0]?.message?.content || '');
+}
+
+// Server-sent events: `data: {chunk}` lines, terminated by `data: [DONE]`.
+async function openStream({ model, prompt, options, signal }) {
+  const response = await request(LABEL, joinUrl(env.openaiBaseUrl, '/chat/completions'), {
+    method: 'POST',
+    headers: buildHeaders(),
+    body: buildBody({ model, prompt, options, stream: true }),
+    signal,
+  });
+
+  return (async function* tokens() {
+    for await (const line of readLines(response.body)) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+      const payload = JSON.parse(data);
+      yield String(payload?.choices?.[0]?.delta?.content || '');
+    }
+  }());
+}
+
+async function listModels() {
+  const response = await request(LABEL, joinUrl(env.openaiBaseUrl, '/models'), {
+    headers: buildHeaders(),
+  });
+  const payload = await response.json();
+  return (payload?.data || []).map((model) => String(model.id || '')).filter(Boolean);
+}
+
+module.exports = {
+  name: 'openai',
+  label: LABEL,
+  getModelCandidates: () => splitModelNames(env.openaiModel),
+  generate,
+  openStream,
+  listModels,
+  isNotFoundError,
+  getErrorDetails,
+};
@@ -12,7 +12,7 @@ const parsers = {
   csv: csvParser,
 };
 
-async function parseFile({ filePath, fileType }) {
+function getParser(fileType) {
   const normalizedType = String(fileType || '').trim().toLowerCase();
   const parser = parsers[normalizedType];
   if (!parser || typeof parser.parse !== 'function') {
@@ -21,11 +21,25 @@ async function parseFile({ filePath, fileType }) {
     error.code = 'UNSUPPORTED_FILE_TYPE';
     throw error;
   }
+  return parser;
+}
+
+async function parseFile({ filePath, fileType }) {
+  return getParser(fileType).parse(filePath);
+}
 
-  return parser.parse(filePath);
+// `{ text, pages }`; `pages` holds `{ pageNumber, start, end }` offsets into
+// `text` and is empty for formats without pages.
+async function parseDocument({ filePath, fileType }) {
+  const parser = getParser(fileType);
+  if (typeof parser.parseDocument === 'function') {
+    return parser.parseDocument(filePath);
+  }
+  return { text: await parser.parse(filePath), pages: [] };
 }
 
 module.exports = {
   parsers,
   parseFile,
+  parseDocument,
 };
@@ -1,13 +1,14 @@
 const fs = require('fs/promises');
 const { decodeUtf8Buffer, ensureTextNotEmpty } = require('./utils');
 
+// Heading markers are kept so the structured chunker can split on sections;
+// chunkService strips them from the chunk text.
 function stripMarkdown(markdown) {
   return String(markdown || '')
     .replace(/```[\s\S]*?```/g, ' ')
     .replace(/`[^`]*`/g, ' ')
     .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
     .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1')
-    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
     .replace(/^\s{0,3}>\s?/gm, '')
     .replace(/^\s{0,3}[-*+]\s+/gm, '')
     .replace(/^\s{0,3}\d+\.\s+/gm, '')
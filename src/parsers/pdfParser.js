@@ -1,9 +1,30 @@
 const fs = require('fs/promises');
 const pdfParse = require('pdf-parse');
-const { ensureTextNotEmpty } = require('./utils');
+const { buildPagedText } = require('./utils');
 const env = require('../config/env');
 
-async function parse(filePath) {
+// Same text layout as pdf-parse's default renderer (new line whenever the
+// baseline moves), but called per page so page boundaries survive.
+async function renderPageText(pageData) {
+  const textContent = await pageData.getTextContent({
+    normalizeWhitespace: false,
+    disableCombineTextItems: false,
+  });
+
+  let lastY;
+  let text = '';
+  for (const item of textContent.items) {
+    if (lastY === item.transform[5] || !lastY) {
+      text += item.str;
+    } else {
+      text += `\n${item.str}`;
+    }
+    lastY = item.transform[5];
+  }
+  return text;
+}
+
+async function parseDocument(filePath) {
   const buffer = await fs.readFile(filePath);
   if (!buffer || !Buffer.isBuffer(buffer)) {
     const error = new Error('Invalid PDF file buffer.');
@@ -12,7 +33,16 @@ async function parse(filePath) {
     throw error;
   }
 
-  const parsed = await pdfParse(buffer);
+  const pages = [];
+  // The bundled pdf.js misreads Node Buffers ("bad XRef entry" on the first
+  // documents parsed in a process); a plain Uint8Array copy parses reliably.
+  const parsed = await pdfParse(new Uint8Array(buffer), {
+    pagerender: async (pageData) => {
+      const text = await renderPageText(pageData);
+      pages.push({ pageNumber: pageData.pageNumber, text });
+      return text;
+    },
+  });
   const numPages = Number(parsed?.numpages || 0);
   if (numPages > env.maxPdfPages) {
     const error = new Error(`PDF exceeds page limit (${env.maxPdfPages}).`);
@@ -20,9 +50,15 @@ async function parse(filePath) {
     error.code = 'PDF_PAGE_LIMIT_EXCEEDED';
     throw error;
   }
-  return ensureTextNotEmpty(parsed?.text || '', 'PDF_TEXT_EMPTY');
+  return buildPagedText(pages, 'PDF_TEXT_EMPTY');
+}
+
+async function parse(filePath) {
+  const { text } = await parseDocument(filePath);
+  return text;
 }
 
 module.exports = {
   parse,
+  parseDocument,
 };
@@ -30,6 +30,34 @@ function ensureTextNotEmpty(text, code = 'EMPTY_PARSED_TEXT') {
   return normalized;
 }
 
+const PAGE_SEPARATOR = '\n\n';
+
+// Joins per-page text into one document and records where each page lands in
+// it, so chunk offsets can be mapped back to page numbers.
+function buildPagedText(pages, code = 'EMPTY_PARSED_TEXT') {
+  let text = '';
+  const spans = [];
+  for (const page of pages) {
+    const pageText = sanitizeExtractedText(page.text);
+    if (!pageText) {
+      continue;
+    }
+    if (text) {
+      text += PAGE_SEPARATOR;
+    }
+    spans.push({ pageNumber: page.pageNumber, start: text.length, end: text.length + pageText.length });
+    text += pageText;
+  }
+
+  const normalized = ensureTextNotEmpty(text, code);
+  return {
+    text: normalized,
+    pages: spans
+      .filter((span) => span.start < normalized.length)
+      .map((span) => ({ ...span, end: Math.min(span.end, normalized.length) })),
+  };
+}
+
 function decodeUtf8Buffer(buffer) {
   const decoder = new TextDecoder('utf-8', { fatal: true });
   return decoder.decode(buffer);
@@ -38,5 +66,6 @@ function decodeUtf8Buffer(buffer) {
 module.exports = {
   sanitizeExtractedText,
   ensureTextNotEmpty,
+  buildPagedText,
   decodeUtf8Buffer,
 };
@@ -0,0 +1,15 @@
+const express = require('express');
+const { getReembedStatus, postReembed } = require('../../../controllers/embeddingController');
+const { reembedBodySchema, reembedStatusQuerySchema } = require('../../../validations/embeddingSchemas');
+const validateSchema = require('../../../middleware/validate');
+const requireAuth = require('../../../middleware/requireAuth');
+const asyncHandler = require('../../../utils/asyncHandler');
+const { strictReadLimiter, writeLimiter } = require('../../../middleware/limiters');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/reembed', strictReadLimiter, validateSchema(reembedStatusQuerySchema, 'query'), asyncHandler(getReembedStatus));
+router.post('/reembed', writeLimiter, validateSchema(reembedBodySchema), asyncHandler(postReembed));
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { getSummary } = require('../../../controllers/feedbackController');
+const { feedbackSummaryQuerySchema } = require('../../../validations/feedbackSchemas');
+const validateSchema = require('../../../middleware/validate');
+const requireAuth = require('../../../middleware/requireAuth');
+const asyncHandler = require('../../../utils/asyncHandler');
+const { strictReadLimiter } = require('../../../middleware/limiters');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/summary', strictReadLimiter, validateSchema(feedbackSummaryQuerySchema, 'query'), asyncHandler(getSummary));
+
+module.exports = router;
@@ -3,12 +3,16 @@ const os = require('os');
 const { getQueueState } = require('../../../services/jobQueue');
 const { strictReadLimiter } = require('../../../middleware/limiters');
 const { ok } = require('../../helpers');
+const env = require('../../../config/env');
 
 const authRoutes = require('./auth');
 const sessionRoutes = require('./sessions');
 const pdfRoutes = require('./pdfs');
 const jobRoutes = require('./jobs');
 const chatRoutes = require('./chat');
+const searchRoutes = require('./search');
+const embeddingRoutes = require('./embeddings');
+const feedbackRoutes = require('./feedback');
 
 const router = express.Router();
 
@@ -21,6 +25,7 @@ router.get('/health', strictReadLimiter, (req, res) => {
     return ok(res, {
         status: 'ok',
         service: 'Document-analyzer-rag Backend',
+        llmProvider: env.llmProvider,
         uptime: process.uptime(),
         queueSize: queueState.pending + queueState.processing,
         memoryUsage: {
@@ -45,5 +50,8 @@ router.use('/sessions', sessionRoutes);
 router.use('/pdfs', pdfRoutes);
 router.use('/jobs', jobRoutes);
 router.use('/chat', chatRoutes);
+router.use('/search', searchRoutes);
+router.use('/embeddings', embeddingRoutes);
+router.use('/feedback', feedbackRoutes);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const { searchLibraryHandler } = require('../../../controllers/searchController');
+const { librarySearchQuerySchema } = require('../../../validations/searchSchemas');
+const validateSchema = require('../../../middleware/validate');
+const requireAuth = require('../../../middleware/requireAuth');
+const asyncHandler = require('../../../utils/asyncHandler');
+const { strictReadLimiter } = require('../../../middleware/limiters');
+
+const router = express.Router();
+
+router.use(requireAuth);
+router.get('/', strictReadLimiter, validateSchema(librarySearchQuerySchema, 'query'), asyncHandler(searchLibraryHandler));
+
+module.exports = router;
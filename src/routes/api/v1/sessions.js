@@ -6,6 +6,9 @@ const {
     renameExistingSession,
     getMetadata,
     getSession,
+    getSettings,
+    updateSettings,
+    forkSessionHandler,
     deleteSessionHandler
 } = require('../../../controllers/sessionController');
 const {
@@ -14,15 +17,30 @@ const {
 } = require('../../../controllers/pdfController');
 const {
     postChat,
+    postRegenerate,
+    postEditMessage,
+    getMessageAlternatives,
+    postActivateMessage,
+    postRetrieve,
     getChatHistory,
     emptyChatHistory
 } = require('../../../controllers/chatController');
+const { postFeedback } = require('../../../controllers/feedbackController');
 const {
     createSessionBodySchema,
     renameSessionBodySchema,
-    sessionSearchQuerySchema
+    forkSessionBodySchema,
+    sessionSearchQuerySchema,
+    sessionSettingsBodySchema
 } = require('../../../validations/sessionSchemas');
-const { chatBodySchema, historyQuerySchema } = require('../../../validations/chatSchemas');
+const {
+    chatBodySchema,
+    retrieveBodySchema,
+    regenerateBodySchema,
+    editMessageBodySchema,
+    historyQuerySchema
+} = require('../../../validations/chatSchemas');
+const { feedbackBodySchema } = require('../../../validations/feedbackSchemas');
 
 const validateSchema = require('../../../middleware/validate');
 const requireAuth = require('../../../middleware/requireAuth');
@@ -59,8 +77,11 @@ router.post('/', writeLimiter, validateSchema(createSessionBodySchema), asyncHan
 router.get('/search', strictReadLimiter, validateSchema(sessionSearchQuerySchema, 'query'), asyncHandler(searchSessions));
 router.patch('/:sessionId', writeLimiter, validateSchema(renameSessionBodySchema), asyncHandler(renameExistingSession));
 router.get('/:sessionId/meta', strictReadLimiter, asyncHandler(getMetadata));
+router.get('/:sessionId/settings', strictReadLimiter, asyncHandler(getSettings));
+router.patch('/:sessionId/settings', writeLimiter, validateSchema(sessionSettingsBodySchema), asyncHandler(updateSettings));
 router.get('/:sessionId', strictReadLimiter, asyncHandler(getSession));
 router.delete('/:sessionId', writeLimiter, asyncHandler(deleteSessionHandler));
+router.post('/:sessionId/fork', writeLimiter, validateSchema(forkSessionBodySchema), asyncHandler(forkSessionHandler));
 
 // Nested PDF routes for a specific session
 router.post('/:sessionId/pdfs', uploadLimiter, upload.single('file'), asyncHandler(uploadPdf));
@@ -68,7 +89,13 @@ router.get('/:sessionId/pdfs', strictReadLimiter, asyncHandler(getSessionPdfs));
 
 // Nested Chat routes for a specific session
 router.post('/:sessionId/chat', chatLimiter, validateSchema(chatBodySchema), asyncHandler(postChat));
+router.post('/:sessionId/retrieve', chatLimiter, validateSchema(retrieveBodySchema), asyncHandler(postRetrieve));
 router.get('/:sessionId/history', strictReadLimiter, validateSchema(historyQuerySchema, 'query'), asyncHandler(getChatHistory));
 router.delete('/:sessionId/history', writeLimiter, asyncHandler(emptyChatHistory));
+router.post('/:sessionId/messages/:messageId/regenerate', chatLimiter, validateSchema(regenerateBodySchema), asyncHandler(postRegenerate));
+router.post('/:sessionId/messages/:messageId/edit', chatLimiter, validateSchema(editMessageBodySchema), asyncHandler(postEditMessage));
+router.get('/:sessionId/messages/:messageId/alternatives', strictReadLimiter, asyncHandler(getMessageAlternatives));
+router.post('/:sessionId/messages/:messageId/activate', writeLimiter, asyncHandler(postActivateMessage));
+router.post('/:sessionId/messages/:messageId/feedback', writeLimiter, validateSchema(feedbackBodySchema), asyncHandler(postFeedback));
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const apiV1Routes = require('../v1');
+
+const router = express.Router();
+
+// v2 serves the v1 routes and only changes defaults: chat prompt history comes
+// from the stored session messages unless the client opts in to sending it.
+router.use((req, res, next) => {
+    req.apiVersion = 2;
+    next();
+});
+router.use(apiV1Routes);
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const app = require('./app');
 const { startCleanupWorker } = require('./services/cleanupService');
+const { addJob, findActiveJob } = require('./services/jobQueue');
+const { getReembeddingStatus } = require('./services/reembeddingService');
 const { logError, logInfo } = require('./config/logger');
 const env = require('./config/env');
 
@@ -18,7 +20,30 @@ process.on('uncaughtException', (error) => {
   });
 });
 
+// Opt-in: after an embedding model switch, convert every stored chunk in the background.
+// The job holds the queue until it finishes, so uploads and async chats wait behind it.
+// A job recovered from before a restart already covers this.
+function scheduleReembedding() {
+  if (!env.embeddingReembedOnStartup) {
+    return;
+  }
+  if (findActiveJob('reembedChunks', (payload) => !payload.userId && !payload.sessionId)) {
+    return;
+  }
+
+  try {
+    const { embeddingModel, staleChunks } = getReembeddingStatus();
+    if (staleChunks > 0) {
+      const job = addJob({ type: 'reembedChunks', maxRetries: 3 });
+      logInfo('REEMBED_SCHEDULED', { jobId: job.id, embeddingModel, staleChunks });
+    }
+  } catch (error) {
+    logError('ERROR_QUEUE', error, { stage: 'scheduleReembedding' });
+  }
+}
+
 app.listen(port, host, () => {
   startCleanupWorker();
+  scheduleReembedding();
   logInfo('SERVER_READY', { url: `http://${host}:${port}` });
 });
@@ -0,0 +1,480 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('../config/database');
+const { dbPath } = require('../database/migrations');
+const { decodeVector } = require('../utils/vectorCodec');
+const { getEmbeddingModelId } = require('./embeddingService');
+const { logInfo, logError } = require('../config/logger');
+const env = require('../config/env');
+
+// IVF-flat index: spherical k-means centroids plus one inverted list of chunk ids
+// per centroid. Vectors stay in SQLite; a search probes the closest lists and
+// scores only those rows exactly.
+const INDEX_VERSION = 1;
+const INDEX_DIR = path.join(path.dirname(dbPath), 'ann-index');
+const MAX_CACHED_INDEXES = 16;
+const MAX_LISTS = 1024;
+const TRAINING_SAMPLES_PER_LIST = 32;
+const KMEANS_ITERATIONS = 8;
+const BUILD_PAGE_SIZE = 1000;
+const CANDIDATE_FETCH_BATCH_SIZE = 500;
+const REBUILD_GROWTH_FACTOR = 2;
+const ANN_MIN_CHUNKS = env.annMinChunks;
+const DEFAULT_PROBES = env.annProbes;
+// Index files written before the embedding model was recorded.
+const LEGACY_EMBEDDING_MODEL = 'transformers:Xenova/all-MiniLM-L6-v2';
+
+const indexCache = new Map();
+
+const selectDominantDimensionStmt = db.prepare(`
+  SELECT embeddingVectorLength AS dimensions, COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ? AND embeddingModel = ? AND embeddingVectorLength > 0
+  GROUP BY embeddingVectorLength
+  ORDER BY count DESC
+  LIMIT 1
+`);
+
+const selectVectorPageStmt = db.prepare(`
+  SELECT rowid, id, pdfId, embedding
+  FROM chunks
+  WHERE sessionId = ? AND embeddingModel = ? AND embeddingVectorLength = ? AND rowid > ?
+  ORDER BY rowid ASC
+  LIMIT ?
+`);
+
+const selectCandidateRowsStmt = db.prepare(`
+  SELECT id, pdfId, text, embedding
+  FROM chunks
+  WHERE sessionId = ?
+    AND embeddingModel = ?
+    AND embeddingVectorLength = ?
+    AND id IN (SELECT value FROM json_each(?))
+`);
+
+const countChunksBySessionStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ?
+`);
+
+function getIndexPath(sessionId) {
+  return path.join(INDEX_DIR, `session_${Number(sessionId)}.json`);
+}
+
+function toUnitVector(vector) {
+  const unit = Float32Array.from(vector);
+  let magnitude = 0;
+  for (let i = 0; i < unit.length; i += 1) {
+    magnitude += unit[i] * unit[i];
+  }
+  magnitude = Math.sqrt(magnitude);
+  if (magnitude === 0) {
+    return null;
+  }
+  for (let i = 0; i < unit.length; i += 1) {
+    unit[i] /= magnitude;
+  }
+  return unit;
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+function nearestCentroid(centroids, vector) {
+  let bestIndex = 0;
+  let bestScore = -Infinity;
+  for (let i = 0; i < centroids.length; i += 1) {
+    const score = dot(centroids[i], vector);
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+  }
+  return bestIndex;
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => {
+    setImmediate(resolve);
+  });
+}
+
+function cacheIndex(sessionId, index) {
+  const key = Number(sessionId);
+  indexCache.delete(key);
+  indexCache.set(key, index);
+  while (indexCache.size > MAX_CACHED_INDEXES) {
+    indexCache.delete(indexCache.keys().next().value);
+  }
+}
+
+function serializeIndex(index) {
+  return JSON.stringify({
+    version: INDEX_VERSION,
+    sessionId: index.sessionId,
+    embeddingModel: index.embeddingModel,
+    dimensions: index.dimensions,
+    builtSize: index.builtSize,
+    size: index.size,
+    builtAt: index.builtAt,
+    updatedAt: index.updatedAt,
+    centroids: index.centroids.map((centroid) => Array.from(centroid)),
+    lists: index.lists,
+  });
+}
+
+function persistIndex(index) {
+  fs.mkdirSync(INDEX_DIR, { recursive: true });
+  const targetPath = getIndexPath(index.sessionId);
+  const tempPath = `${targetPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, serializeIndex(index));
+  fs.renameSync(tempPath, targetPath);
+}
+
+function loadIndex(sessionId) {
+  const key = Number(sessionId);
+  if (indexCache.has(key)) {
+    const cached = indexCache.get(key);
+    cacheIndex(key, cached);
+    return cached;
+  }
+
+  let raw;
+  try {
+    raw = fs.readFileSync(getIndexPath(key), 'utf8');
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      logError('ERROR_ANN_INDEX', error, { sessionId: key, stage: 'load' });
+    }
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (parsed.version !== INDEX_VERSION || !Array.isArray(parsed.centroids) || !Array.isArray(parsed.lists)) {
+      return null;
+    }
+    const index = {
+      ...parsed,
+      embeddingModel: parsed.embeddingModel || LEGACY_EMBEDDING_MODEL,
+      centroids: parsed.centroids.map((centroid) => Float32Array.from(centroid)),
+    };
+    cacheIndex(key, index);
+    return index;
+  } catch (error) {
+    logError('ERROR_ANN_INDEX', error, { sessionId: key, stage: 'parse' });
+    return null;
+  }
+}
+
+function hasSessionIndex(sessionId) {
+  return !!loadIndex(sessionId);
+}
+
+async function loadSessionVectors(sessionId, embeddingModel, dimensions) {
+  const entries = [];
+  let lastRowId = 0;
+  let rows = selectVectorPageStmt.all(sessionId, embeddingModel, dimensions, lastRowId, BUILD_PAGE_SIZE);
+  while (rows.length > 0) {
+    for (const row of rows) {
+      const vector = decodeVector(row.embedding);
+      const unit = vector && vector.length === dimensions ? toUnitVector(vector) : null;
+      if (unit) {
+        entries.push({ id: row.id, pdfId: row.pdfId, vector: unit });
+      }
+    }
+    lastRowId = rows[rows.length - 1].rowid;
+    // eslint-disable-next-line no-await-in-loop
+    await yieldToEventLoop();
+    rows = selectVectorPageStmt.all(sessionId, embeddingModel, dimensions, lastRowId, BUILD_PAGE_SIZE);
+  }
+  return entries;
+}
+
+function pickEvenly(items, count) {
+  const step = items.length / count;
+  const picked = [];
+  for (let i = 0; i < count; i += 1) {
+    picked.push(items[Math.floor(i * step)]);
+  }
+  return picked;
+}
+
+async function trainCentroids(entries, listCount, dimensions) {
+  const samples = pickEvenly(entries, Math.min(entries.length, listCount * TRAINING_SAMPLES_PER_LIST))
+    .map((entry) => entry.vector);
+  let centroids = pickEvenly(samples, listCount).map((vector) => Float32Array.from(vector));
+
+  for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration += 1) {
+    const sums = centroids.map(() => new Float64Array(dimensions));
+    const counts = new Array(centroids.length).fill(0);
+
+    for (const sample of samples) {
+      const target = nearestCentroid(centroids, sample);
+      const sum = sums[target];
+      for (let d = 0; d < dimensions; d += 1) {
+        sum[d] += sample[d];
+      }
+      counts[target] += 1;
+    }
+
+    // Empty clusters keep their previous centroid rather than collapsing to zero.
+    centroids = centroids.map((centroid, i) => (counts[i] > 0 ? toUnitVector(sums[i]) || centroid : centroid));
+    // eslint-disable-next-line no-await-in-loop
+    await yieldToEventLoop();
+  }
+
+  return centroids;
+}
+
+// Indexes only the vectors of one embedding model (the active one by default).
+async function buildSessionIndex(sessionId, embeddingModel = getEmbeddingModelId()) {
+  const startedAt = Date.now();
+  const dominant = selectDominantDimensionStmt.get(sessionId, embeddingModel);
+  if (!dominant) {
+    deleteSessionIndex(sessionId);
+    return null;
+  }
+
+  const dimensions = Number(dominant.dimensions);
+  const entries = await loadSessionVectors(sessionId, embeddingModel, dimensions);
+  if (entries.length === 0) {
+    deleteSessionIndex(sessionId);
+    return null;
+  }
+
+  const listCount = Math.max(1, Math.min(MAX_LISTS, Math.round(Math.sqrt(entries.length))));
+  const centroids = await trainCentroids(entries, listCount, dimensions);
+  const lists = centroids.map(() => []);
+  for (let i = 0; i < entries.length; i += 1) {
+    const entry = entries[i];
+    lists[nearestCentroid(centroids, entry.vector)].push([entry.id, entry.pdfId]);
+    if (i % BUILD_PAGE_SIZE === BUILD_PAGE_SIZE - 1) {
+      // eslint-disable-next-line no-await-in-loop
+      await yieldToEventLoop();
+    }
+  }
+
+  const now = new Date().toISOString();
+  const index = {
+    sessionId: Number(sessionId),
+    embeddingModel,
+    dimensions,
+    builtSize: entries.length,
+    size: entries.length,
+    builtAt: now,
+    updatedAt: now,
+    centroids,
+    lists,
+  };
+  persistIndex(index);
+  cacheIndex(sessionId, index);
+
+  logInfo('ANN_INDEX_BUILT', {
+    sessionId,
+    embeddingModel,
+    vectors: entries.length,
+    lists: listCount,
+    durationMs: Date.now() - startedAt,
+  });
+  return index;
+}
+
+function isIndexStale(index) {
+  return index.size > index.builtSize * REBUILD_GROWTH_FACTOR
+    || index.size * REBUILD_GROWTH_FACTOR < index.builtSize;
+}
+
+async function buildSessionIndexIfNeeded(sessionId) {
+  if (!env.annEnabled) {
+    return null;
+  }
+
+  const chunkCount = countChunksBySessionStmt.get(sessionId).count;
+  if (chunkCount < ANN_MIN_CHUNKS) {
+    deleteSessionIndex(sessionId);
+    return null;
+  }
+
+  const embeddingModel = getEmbeddingModelId();
+  const existing = loadIndex(sessionId);
+  if (existing && existing.embeddingModel === embeddingModel && !isIndexStale(existing)) {
+    return existing;
+  }
+  return buildSessionIndex(sessionId, embeddingModel);
+}
+
+function removeEntries(index, shouldRemove) {
+  let removed = 0;
+  index.lists = index.lists.map((list) => list.filter((entry) => {
+    if (shouldRemove(entry)) {
+      removed += 1;
+      return false;
+    }
+    return true;
+  }));
+  index.size -= removed;
+  return removed;
+}
+
+// Incremental maintenance for addChunks: new vectors go to their nearest
+// existing centroid. Centroids are only retrained by a rebuild once the index
+// has drifted too far from its trained size.
+function addChunksToIndex(sessionId, {
+  pdfId = null,
+  replacePdfChunks = false,
+  chunks = [],
+  embeddingModel = null,
+}) {
+  const index = loadIndex(sessionId);
+  if (!index) {
+    return false;
+  }
+
+  try {
+    if (replacePdfChunks && pdfId) {
+      removeEntries(index, ([, entryPdfId]) => entryPdfId === pdfId);
+    }
+    const replacedIds = new Set(chunks.map((chunk) => chunk.replacedChunkId).filter(Boolean));
+    if (replacedIds.size > 0) {
+      removeEntries(index, ([entryId]) => replacedIds.has(entryId));
+    }
+
+    // Vectors from another model are left for the rebuild that follows a model switch.
+    const sameModel = !embeddingModel || embeddingModel === index.embeddingModel;
+    for (const chunk of sameModel ? chunks : []) {
+      if (!chunk.vector || chunk.vector.length !== index.dimensions) {
+        continue;
+      }
+      const unit = toUnitVector(chunk.vector);
+      if (!unit) {
+        continue;
+      }
+      index.lists[nearestCentroid(index.centroids, unit)].push([chunk.id, pdfId]);
+      index.size += 1;
+    }
+
+    index.updatedAt = new Date().toISOString();
+    persistIndex(index);
+    return true;
+  } catch (error) {
+    // A failed write leaves the in-memory copy ahead of disk; drop both so the
+    // next indexing job rebuilds from SQLite.
+    logError('ERROR_ANN_INDEX', error, { sessionId, stage: 'addChunks' });
+    deleteSessionIndex(sessionId);
+    return false;
+  }
+}
+
+function removePdfFromIndex(sessionId, pdfId) {
+  const index = loadIndex(sessionId);
+  if (!index) {
+    return 0;
+  }
+
+  try {
+    const removed = removeEntries(index, ([, entryPdfId]) => entryPdfId === pdfId);
+    if (removed > 0) {
+      index.updatedAt = new Date().toISOString();
+      persistIndex(index);
+    }
+    return removed;
+  } catch (error) {
+    logError('ERROR_ANN_INDEX', error, { sessionId, pdfId, stage: 'removePdf' });
+    deleteSessionIndex(sessionId);
+    return 0;
+  }
+}
+
+function deleteSessionIndex(sessionId) {
+  indexCache.delete(Number(sessionId));
+  try {
+    fs.unlinkSync(getIndexPath(sessionId));
+  } catch (error) {
+    if (error?.code !== 'ENOENT') {
+      logError('ERROR_ANN_INDEX', error, { sessionId, stage: 'delete' });
+    }
+  }
+}
+
+async function searchSessionIndex({
+  sessionId,
+  queryEmbedding,
+  topK = 5,
+  probes = DEFAULT_PROBES,
+  pdfIds = null,
+  embeddingModel = getEmbeddingModelId(),
+}) {
+  const loaded = loadIndex(sessionId);
+  const index = loaded && loaded.embeddingModel === embeddingModel ? loaded : null;
+  const query = index && queryEmbedding?.length === index.dimensions ? toUnitVector(queryEmbedding) : null;
+  if (!query) {
+    return null;
+  }
+
+  const probeCount = Math.max(1, Math.min(index.centroids.length, Number(probes) || DEFAULT_PROBES));
+  const probedLists = index.centroids
+    .map((centroid, listIndex) => ({ listIndex, score: dot(centroid, query) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, probeCount);
+
+  const pdfScope = Array.isArray(pdfIds) ? new Set(pdfIds.map(Number)) : null;
+  const candidateIds = probedLists.flatMap(({ listIndex }) => index.lists[listIndex]
+    .filter(([, pdfId]) => !pdfScope || pdfScope.has(Number(pdfId)))
+    .map(([id]) => id));
+  let bestMatches = [];
+  for (let offset = 0; offset < candidateIds.length; offset += CANDIDATE_FETCH_BATCH_SIZE) {
+    const batchIds = candidateIds.slice(offset, offset + CANDIDATE_FETCH_BATCH_SIZE);
+    // Ids of chunks removed by cascades simply find no row here.
+    const rows = selectCandidateRowsStmt.all(
+      sessionId,
+      index.embeddingModel,
+      index.dimensions,
+      JSON.stringify(batchIds)
+    );
+    const scored = rows
+      .map((row) => {
+        const vector = decodeVector(row.embedding);
+        const unit = vector ? toUnitVector(vector) : null;
+        if (!unit) {
+          return null;
+        }
+        return {
+          chunkId: row.id,
+          pdfId: row.pdfId,
+          text: row.text,
+          score: dot(query, unit),
+        };
+      })
+      .filter((item) => item && Number.isFinite(item.score) && item.score >= 0);
+
+    bestMatches = [...bestMatches, ...scored]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+    // eslint-disable-next-line no-await-in-loop
+    await yieldToEventLoop();
+  }
+
+  return bestMatches;
+}
+
+function shouldUseAnnIndex(chunkCount) {
+  return env.annEnabled && Number(chunkCount) >= ANN_MIN_CHUNKS;
+}
+
+module.exports = {
+  buildSessionIndex,
+  buildSessionIndexIfNeeded,
+  addChunksToIndex,
+  removePdfFromIndex,
+  deleteSessionIndex,
+  hasSessionIndex,
+  searchSessionIndex,
+  shouldUseAnnIndex,
+};
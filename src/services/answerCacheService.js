@@ -0,0 +1,189 @@
+const db = require('../config/database');
+const { generateEmbedding, getEmbeddingModelId } = require('./embeddingService');
+const { cosineSimilarity } = require('./vectorService');
+const { encodeVector, decodeVector } = require('../utils/vectorCodec');
+const { logInfo } = require('../config/logger');
+const env = require('../config/env');
+
+// Answers are stored per session together with the session's documentsVersion,
+// which moves whenever a document is indexed or deleted. Entries of an older
+// version never match, so an answer computed while the document set changed is
+// not served afterwards either.
+const MIN_SIMILARITY = env.ragAnswerCacheSimilarity;
+const TTL_MS = env.ragAnswerCacheTtlMs;
+const MAX_ENTRIES_PER_SESSION = env.ragAnswerCacheMaxEntries;
+// A follow-up is only matched after the same last exchange (question and answer).
+const HISTORY_KEY_ENTRIES = 2;
+const CACHED_FIELDS = [
+  'answer',
+  'formattedAnswer',
+  'responseSchema',
+  'responseStyle',
+  'sources',
+  'usedChunksCount',
+  'grounding',
+  'model',
+];
+
+const selectDocumentsVersionStmt = db.prepare(`
+  SELECT documentsVersion
+  FROM sessions
+  WHERE id = ?
+`);
+
+const bumpDocumentsVersionStmt = db.prepare(`
+  UPDATE sessions
+  SET documentsVersion = documentsVersion + 1
+  WHERE id = ?
+`);
+
+const selectCacheEntriesStmt = db.prepare(`
+  SELECT id, queryEmbedding, response
+  FROM answer_cache
+  WHERE sessionId = @sessionId
+    AND documentsVersion = @documentsVersion
+    AND optionsKey = @optionsKey
+    AND embeddingModel = @embeddingModel
+    AND createdAt >= @notBefore
+`);
+
+// Skipped when the session's documents changed since the lookup.
+const insertCacheEntryStmt = db.prepare(`
+  INSERT INTO answer_cache (sessionId, documentsVersion, optionsKey, embeddingModel, query, queryEmbedding, response, createdAt)
+  SELECT @sessionId, @documentsVersion, @optionsKey, @embeddingModel, @query, @queryEmbedding, @response, @createdAt
+  WHERE EXISTS (SELECT 1 FROM sessions WHERE id = @sessionId AND documentsVersion = @documentsVersion)
+`);
+
+const incrementCacheHitsStmt = db.prepare(`
+  UPDATE answer_cache
+  SET hits = hits + 1
+  WHERE id = ?
+`);
+
+const deleteCacheBySessionStmt = db.prepare(`
+  DELETE FROM answer_cache
+  WHERE sessionId = ?
+`);
+
+const pruneCacheBySessionStmt = db.prepare(`
+  DELETE FROM answer_cache
+  WHERE sessionId = @sessionId
+    AND (
+      createdAt < @notBefore
+      OR id NOT IN (
+        SELECT id
+        FROM answer_cache
+        WHERE sessionId = @sessionId
+        ORDER BY id DESC
+        LIMIT @maxEntries
+      )
+    )
+`);
+
+function getNotBefore() {
+  return new Date(Date.now() - TTL_MS).toISOString();
+}
+
+function getDocumentsVersion(sessionId) {
+  const row = selectDocumentsVersionStmt.get(sessionId);
+  return row ? Number(row.documentsVersion) || 0 : 0;
+}
+
+// Everything besides the question that shapes the answer. Options left unset
+// stay null, so an explicit default and an omitted one are cached apart.
+// `history` is the conversation a follow-up refers to; standalone questions
+// leave it out.
+function buildOptionsKey({
+  responseStyle,
+  topK,
+  candidatePool,
+  mmrLambda,
+  reranker,
+  pdfIds,
+  groundingCheck,
+  settings,
+  history,
+}) {
+  return JSON.stringify([
+    responseStyle ?? null,
+    topK ?? null,
+    candidatePool ?? null,
+    mmrLambda ?? null,
+    reranker ?? null,
+    Array.isArray(pdfIds) ? pdfIds : null,
+    groundingCheck ?? null,
+    settings
+      ? [settings.persona, settings.customInstruction, settings.answerLanguage, settings.documentOnly]
+      : null,
+    Array.isArray(history) && history.length > 0
+      ? history.slice(-HISTORY_KEY_ENTRIES).map((entry) => [entry.role, String(entry.text || '').trim()])
+      : null,
+  ]);
+}
+
+async function lookupCachedAnswer({ sessionId, query, optionsKey }) {
+  const entry = {
+    sessionId,
+    query,
+    optionsKey,
+    documentsVersion: getDocumentsVersion(sessionId),
+    embeddingModel: getEmbeddingModelId(),
+    queryEmbedding: await generateEmbedding(query),
+    hit: null,
+    similarity: null,
+  };
+
+  let best = null;
+  for (const row of selectCacheEntriesStmt.all({
+    sessionId,
+    documentsVersion: entry.documentsVersion,
+    optionsKey,
+    embeddingModel: entry.embeddingModel,
+    notBefore: getNotBefore(),
+  })) {
+    const similarity = cosineSimilarity(entry.queryEmbedding, decodeVector(row.queryEmbedding));
+    if (similarity >= MIN_SIMILARITY && (!best || similarity > best.similarity)) {
+      best = { row, similarity };
+    }
+  }
+
+  if (best) {
+    incrementCacheHitsStmt.run(best.row.id);
+    entry.hit = JSON.parse(best.row.response);
+    entry.similarity = Math.round(best.similarity * 1000) / 1000;
+    logInfo('ANSWER_CACHE_HIT', { sessionId, cacheEntryId: best.row.id, similarity: entry.similarity });
+  }
+  return entry;
+}
+
+function storeCachedAnswer(entry, response) {
+  const cached = Object.fromEntries(CACHED_FIELDS.map((field) => [field, response[field] ?? null]));
+  insertCacheEntryStmt.run({
+    sessionId: entry.sessionId,
+    documentsVersion: entry.documentsVersion,
+    optionsKey: entry.optionsKey,
+    embeddingModel: entry.embeddingModel,
+    query: entry.query,
+    queryEmbedding: encodeVector(entry.queryEmbedding),
+    response: JSON.stringify(cached),
+    createdAt: new Date().toISOString(),
+  });
+  pruneCacheBySessionStmt.run({
+    sessionId: entry.sessionId,
+    notBefore: getNotBefore(),
+    maxEntries: MAX_ENTRIES_PER_SESSION,
+  });
+}
+
+const invalidateAnswerCache = db.transaction((sessionId) => {
+  bumpDocumentsVersionStmt.run(sessionId);
+  deleteCacheBySessionStmt.run(sessionId);
+});
+
+module.exports = {
+  buildOptionsKey,
+  getDocumentsVersion,
+  lookupCachedAnswer,
+  storeCachedAnswer,
+  invalidateAnswerCache,
+};
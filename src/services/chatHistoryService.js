@@ -1,31 +1,129 @@
 const db = require('../config/database');
 const ALLOWED_ROLES = new Set(['user', 'assistant', 'system']);
 
+// Messages form a tree through parentId. The history of a session is the
+// branch from its active leaf (sessions.activeMessageId) up to the root;
+// edited questions and regenerated answers stay behind as siblings.
+const BRANCH_CTE = `
+  WITH RECURSIVE branch(id) AS (
+    SELECT @leafId WHERE @leafId IS NOT NULL
+    UNION ALL
+    SELECT m.parentId
+    FROM chat_messages m
+    JOIN branch ON m.id = branch.id
+    WHERE m.parentId IS NOT NULL
+  )
+`;
+
 const insertMessageStmt = db.prepare(`
-  INSERT INTO chat_messages (user_id, sessionId, role, text, createdAt)
-  VALUES (@userId, @sessionId, @role, @text, @createdAt)
+  INSERT INTO chat_messages (user_id, sessionId, parentId, role, text, grounding, metadata, createdAt)
+  VALUES (@userId, @sessionId, @parentId, @role, @text, @grounding, @metadata, @createdAt)
 `);
 
 const updateSessionMessageMetadataStmt = db.prepare(`
   UPDATE sessions
   SET last_message_at = @createdAt,
-      last_message_preview = @lastMessagePreview
+      last_message_preview = @lastMessagePreview,
+      activeMessageId = @activeMessageId
   WHERE id = @sessionId AND user_id = @userId
 `);
 
+const getActiveMessageIdStmt = db.prepare(`
+  SELECT activeMessageId
+  FROM sessions
+  WHERE id = ? AND user_id = ?
+`);
+
+const getMessageStmt = db.prepare(`
+  SELECT id, parentId, role, text
+  FROM chat_messages
+  WHERE id = @messageId AND sessionId = @sessionId AND user_id = @userId
+`);
+
 const listMessagesStmt = db.prepare(`
+  ${BRANCH_CTE}
   SELECT
-    id,
-    role,
-    text,
-    COALESCE(NULLIF(createdAt, ''), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) AS createdAt
-  FROM chat_messages
-  WHERE sessionId = @sessionId AND user_id = @userId
-  ORDER BY createdAt ASC, id ASC
+    m.id,
+    m.parentId,
+    m.role,
+    m.text,
+    m.grounding,
+    m.feedbackRating,
+    m.feedbackReasons,
+    m.feedbackComment,
+    m.feedbackAt,
+    (SELECT COUNT(*) FROM chat_messages s WHERE s.sessionId = m.sessionId AND s.parentId IS m.parentId) AS siblingCount,
+    (SELECT COUNT(*) FROM chat_messages s WHERE s.sessionId = m.sessionId AND s.parentId IS m.parentId AND s.id <= m.id) AS siblingIndex,
+    COALESCE(NULLIF(m.createdAt, ''), strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) AS createdAt
+  FROM chat_messages m
+  JOIN branch ON branch.id = m.id
+  WHERE m.sessionId = @sessionId AND m.user_id = @userId
+  ORDER BY m.createdAt ASC, m.id ASC
   LIMIT @limit
   OFFSET @offset
 `);
 
+const listRecentMessagesStmt = db.prepare(`
+  ${BRANCH_CTE}
+  SELECT role, text
+  FROM (
+    SELECT m.id, m.role, m.text, m.createdAt
+    FROM chat_messages m
+    JOIN branch ON branch.id = m.id
+    WHERE m.sessionId = @sessionId AND m.user_id = @userId
+    ORDER BY m.createdAt DESC, m.id DESC
+    LIMIT @limit
+  )
+  ORDER BY createdAt ASC, id ASC
+`);
+
+const listBranchForCopyStmt = db.prepare(`
+  ${BRANCH_CTE}
+  SELECT m.role, m.text, m.grounding, m.metadata, m.createdAt
+  FROM chat_messages m
+  JOIN branch ON branch.id = m.id
+  WHERE m.sessionId = @sessionId AND m.user_id = @userId
+  ORDER BY m.id ASC
+`);
+
+const listSiblingsStmt = db.prepare(`
+  ${BRANCH_CTE}
+  SELECT
+    m.id,
+    m.parentId,
+    m.role,
+    m.text,
+    m.createdAt,
+    EXISTS (SELECT 1 FROM branch WHERE branch.id = m.id) AS active
+  FROM chat_messages m
+  WHERE m.sessionId = @sessionId AND m.user_id = @userId AND m.parentId IS @parentId
+  ORDER BY m.id ASC
+`);
+
+// The newest message below a message is always a leaf, since replies are
+// created after what they answer.
+const getNewestDescendantStmt = db.prepare(`
+  WITH RECURSIVE subtree(id) AS (
+    SELECT @messageId
+    UNION ALL
+    SELECT m.id
+    FROM chat_messages m
+    JOIN subtree ON m.parentId = subtree.id
+  )
+  SELECT m.id, m.text
+  FROM chat_messages m
+  JOIN subtree ON subtree.id = m.id
+  ORDER BY m.id DESC
+  LIMIT 1
+`);
+
+const updateActiveMessageStmt = db.prepare(`
+  UPDATE sessions
+  SET activeMessageId = @activeMessageId,
+      last_message_preview = @lastMessagePreview
+  WHERE id = @sessionId AND user_id = @userId
+`);
+
 const countUserMessagesStmt = db.prepare(`
   SELECT COUNT(*) AS count
   FROM chat_messages
@@ -37,27 +135,44 @@ const deleteMessagesStmt = db.prepare(`
   WHERE sessionId = ? AND user_id = ?
 `);
 
+const deleteSessionSummaryStmt = db.prepare(`
+  DELETE FROM session_summaries
+  WHERE sessionId = ?
+`);
+
 const clearSessionMessageMetadataStmt = db.prepare(`
   UPDATE sessions
   SET last_message_at = NULL,
-      last_message_preview = NULL
+      last_message_preview = NULL,
+      activeMessageId = NULL
   WHERE id = ? AND user_id = ?
 `);
 
-const addMessageTx = db.transaction(({ userId, sessionId, role, text, createdAt }) => {
-  insertMessageStmt.run({
+function getActiveMessageId(sessionId, userId) {
+  return getActiveMessageIdStmt.get(sessionId, userId)?.activeMessageId ?? null;
+}
+
+// An undefined parentId appends to the active branch; null starts a new root.
+const addMessageTx = db.transaction(({ userId, sessionId, parentId, role, text, grounding, metadata, createdAt }) => {
+  const result = insertMessageStmt.run({
     userId,
     sessionId,
+    parentId: parentId === undefined ? getActiveMessageId(sessionId, userId) : parentId,
     role,
     text,
+    grounding,
+    metadata,
     createdAt,
   });
+  const messageId = Number(result.lastInsertRowid);
   updateSessionMessageMetadataStmt.run({
     userId,
     sessionId,
     createdAt,
     lastMessagePreview: String(text).slice(0, 160),
+    activeMessageId: messageId,
   });
+  return messageId;
 });
 
 const addConversationTx = db.transaction(({
@@ -65,22 +180,30 @@ const addConversationTx = db.transaction(({
   sessionId,
   userText,
   assistantText,
+  assistantGrounding,
+  assistantMetadata,
   userCreatedAt,
   assistantCreatedAt,
 }) => {
-  insertMessageStmt.run({
+  const userResult = insertMessageStmt.run({
     userId,
     sessionId,
+    parentId: getActiveMessageId(sessionId, userId),
     role: 'user',
     text: userText,
+    grounding: null,
+    metadata: null,
     createdAt: userCreatedAt,
   });
 
-  insertMessageStmt.run({
+  const assistantResult = insertMessageStmt.run({
     userId,
     sessionId,
+    parentId: Number(userResult.lastInsertRowid),
     role: 'assistant',
     text: assistantText,
+    grounding: assistantGrounding,
+    metadata: assistantMetadata,
     createdAt: assistantCreatedAt,
   });
 
@@ -89,7 +212,9 @@ const addConversationTx = db.transaction(({
     sessionId,
     createdAt: assistantCreatedAt,
     lastMessagePreview: String(assistantText).slice(0, 160),
+    activeMessageId: Number(assistantResult.lastInsertRowid),
   });
+  return Number(assistantResult.lastInsertRowid);
 });
 
 function normalizeMessageText(text) {
@@ -112,7 +237,45 @@ function normalizeUserId(userId) {
   return normalizedUserId;
 }
 
-function addMessage({ userId, sessionId, role, text, createdAt }) {
+// Grounding results of assistant answers are kept as JSON next to the text.
+function serializeGrounding(grounding) {
+  return grounding ? JSON.stringify(grounding) : null;
+}
+
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+// What feedback analytics group assistant answers by.
+function toAnswerMetadata(response) {
+  return {
+    model: response.model || null,
+    responseStyle: response.responseStyle || null,
+    pdfIds: [...new Set((response.sources || []).map((source) => source.pdfId))],
+    cached: Boolean(response.cached),
+  };
+}
+
+function toFeedback(row) {
+  if (!row.feedbackRating) {
+    return null;
+  }
+  return {
+    rating: row.feedbackRating,
+    reasons: parseJson(row.feedbackReasons) || [],
+    comment: row.feedbackComment,
+    createdAt: row.feedbackAt,
+  };
+}
+
+function addMessage({ userId, sessionId, parentId, role, text, grounding = null, metadata = null, createdAt }) {
   const normalizedUserId = normalizeUserId(userId);
   if (!ALLOWED_ROLES.has(role)) {
     const error = new Error('Invalid chat role.');
@@ -122,27 +285,40 @@ function addMessage({ userId, sessionId, role, text, createdAt }) {
   const normalizedText = normalizeMessageText(text);
 
   const timestamp = createdAt || new Date().toISOString();
-  addMessageTx({
+  return addMessageTx({
     userId: normalizedUserId,
     sessionId,
+    parentId,
     role,
     text: normalizedText,
+    grounding: serializeGrounding(grounding),
+    metadata: metadata ? JSON.stringify(metadata) : null,
     createdAt: timestamp,
   });
 }
 
-function addConversation({ userId, sessionId, userText, assistantText, createdAt }) {
+function addConversation({
+  userId,
+  sessionId,
+  userText,
+  assistantText,
+  assistantGrounding = null,
+  assistantMetadata = null,
+  createdAt,
+}) {
   const normalizedUserId = normalizeUserId(userId);
   const normalizedUserText = normalizeMessageText(userText);
   const normalizedAssistantText = normalizeMessageText(assistantText);
   const userCreatedAt = createdAt || new Date().toISOString();
   const assistantCreatedAt = new Date(new Date(userCreatedAt).getTime() + 1).toISOString();
 
-  addConversationTx({
+  return addConversationTx({
     userId: normalizedUserId,
     sessionId,
     userText: normalizedUserText,
     assistantText: normalizedAssistantText,
+    assistantGrounding: serializeGrounding(assistantGrounding),
+    assistantMetadata: assistantMetadata ? JSON.stringify(assistantMetadata) : null,
     userCreatedAt,
     assistantCreatedAt,
   });
@@ -160,19 +336,133 @@ function listSessionHistory(sessionId, userId, options = {}) {
     : 0;
 
   return listMessagesStmt
-    .all({ sessionId, userId: normalizedUserId, limit, offset })
+    .all({
+      sessionId,
+      userId: normalizedUserId,
+      leafId: getActiveMessageId(sessionId, normalizedUserId),
+      limit,
+      offset,
+    })
+    .map((row) => ({
+      id: String(row.id),
+      parentId: row.parentId === null ? null : String(row.parentId),
+      role: row.role,
+      text: row.text,
+      grounding: parseJson(row.grounding),
+      feedback: toFeedback(row),
+      siblingCount: row.siblingCount,
+      siblingIndex: row.siblingIndex,
+      createdAt: row.createdAt,
+    }));
+}
+
+// The newest stored turns of the active branch, oldest first, in the
+// `{ role, text }` shape of prompt history. `leafId` reads the branch ending
+// at that message instead (null for none).
+function listRecentHistory(sessionId, userId, limit, { leafId } = {}) {
+  const normalizedUserId = normalizeUserId(userId);
+  return listRecentMessagesStmt
+    .all({
+      sessionId,
+      userId: normalizedUserId,
+      leafId: leafId === undefined ? getActiveMessageId(sessionId, normalizedUserId) : leafId,
+      limit,
+    })
+    .map((row) => ({ role: row.role, text: row.text }));
+}
+
+function getMessage(sessionId, userId, messageId) {
+  const row = getMessageStmt.get({ sessionId, userId: normalizeUserId(userId), messageId });
+  if (!row) {
+    const error = new Error('Message not found.');
+    error.statusCode = 404;
+    error.code = 'MESSAGE_NOT_FOUND';
+    throw error;
+  }
+  return row;
+}
+
+// A message and the alternatives written in its place, oldest first.
+function listMessageAlternatives(sessionId, userId, messageId) {
+  const normalizedUserId = normalizeUserId(userId);
+  const message = getMessage(sessionId, normalizedUserId, messageId);
+  return listSiblingsStmt
+    .all({
+      sessionId,
+      userId: normalizedUserId,
+      parentId: message.parentId,
+      leafId: getActiveMessageId(sessionId, normalizedUserId),
+    })
     .map((row) => ({
       id: String(row.id),
+      parentId: row.parentId === null ? null : String(row.parentId),
       role: row.role,
       text: row.text,
+      active: Boolean(row.active),
       createdAt: row.createdAt,
     }));
 }
 
+// Makes the branch through a message the history again, continuing down to
+// the newest reply below it.
+function activateMessage(sessionId, userId, messageId) {
+  const normalizedUserId = normalizeUserId(userId);
+  getMessage(sessionId, normalizedUserId, messageId);
+  const leaf = getNewestDescendantStmt.get({ messageId });
+  updateActiveMessageStmt.run({
+    sessionId,
+    userId: normalizedUserId,
+    activeMessageId: leaf.id,
+    lastMessagePreview: String(leaf.text).slice(0, 160),
+  });
+  return { activeMessageId: String(leaf.id) };
+}
+
+// Copies the branch ending at `leafId` into another session as its history,
+// e.g. for a fork. Answer metadata is pointed at the target's copies of the
+// documents through `pdfIdMap`; feedback stays with the original answers.
+function copyHistoryBranch({ userId, fromSessionId, toSessionId, leafId, pdfIdMap = new Map() }) {
+  const normalizedUserId = normalizeUserId(userId);
+  const copy = db.transaction(() => {
+    const rows = listBranchForCopyStmt.all({ sessionId: fromSessionId, userId: normalizedUserId, leafId });
+    let parentId = null;
+    for (const row of rows) {
+      const metadata = parseJson(row.metadata);
+      if (metadata && Array.isArray(metadata.pdfIds)) {
+        metadata.pdfIds = metadata.pdfIds.map((pdfId) => pdfIdMap.get(pdfId) ?? pdfId);
+      }
+      const result = insertMessageStmt.run({
+        userId: normalizedUserId,
+        sessionId: toSessionId,
+        parentId,
+        role: row.role,
+        text: row.text,
+        grounding: row.grounding,
+        metadata: metadata ? JSON.stringify(metadata) : null,
+        createdAt: row.createdAt,
+      });
+      parentId = Number(result.lastInsertRowid);
+    }
+    if (parentId) {
+      const last = rows[rows.length - 1];
+      updateSessionMessageMetadataStmt.run({
+        userId: normalizedUserId,
+        sessionId: toSessionId,
+        createdAt: last.createdAt,
+        lastMessagePreview: String(last.text).slice(0, 160),
+        activeMessageId: parentId,
+      });
+    }
+    return rows.length;
+  });
+  return copy();
+}
+
 function clearSessionHistory(sessionId, userId) {
   const normalizedUserId = normalizeUserId(userId);
   const clearTx = db.transaction((id, ownerId) => {
     deleteMessagesStmt.run(id, ownerId);
+    deleteSessionSummaryStmt.run(id);
     clearSessionMessageMetadataStmt.run(id, ownerId);
   });
   clearTx(sessionId, normalizedUserId);
@@ -189,6 +479,13 @@ module.exports = {
   addMessage,
   addConversation,
   listSessionHistory,
+  listRecentHistory,
+  getMessage,
+  getActiveMessageId,
+  listMessageAlternatives,
+  activateMessage,
+  copyHistoryBranch,
   clearSessionHistory,
   getSessionMessageCount,
+  toAnswerMetadata,
 };
@@ -1,37 +1,328 @@
-function normalizeWhitespace(input) {
-  return input.replace(/\s+/g, ' ').trim();
-}
+const WHITESPACE_PATTERN = /\s/;
+const HEADING_PATTERN = /^[ ]{0,3}(#{1,6})[ \t]+(.+?)[ \t#]*$/;
+const HEADING_MARKERS_PATTERN = /^([ ]{0,3}#{1,6}[ \t]+)(.+?)([ \t#]*)$/gm;
+const DEFAULT_STRATEGY = 'structured';
+const RATIO_SAMPLE_LENGTH = 20_000;
+// Terminal punctuation (plus closing quotes/brackets) followed by whitespace.
+// Intl.Segmenter is more accurate but quadratic on long paragraphs.
+const SENTENCE_BOUNDARY_PATTERN = /[.!?]+["'\u201D\u2019)\]]*\s+/g;
 
-function chunkText(text, options = {}) {
-  const chunkSize = options.chunkSize || 1000;
-  const overlap = options.overlap || 200;
+// Collapses whitespace runs to one space and trims (like
+// `input.replace(/\s+/g, ' ').trim()`), keeping the source index of every output
+// character so chunk boundaries can be reported as offsets into the input.
+function normalizeWhitespaceWithOffsets(input) {
+  let normalized = '';
+  const offsets = [];
+  let pendingSpaceIndex = -1;
 
-  if (chunkSize <= overlap) {
-    throw new Error('chunkSize must be greater than overlap.');
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+    if (WHITESPACE_PATTERN.test(char)) {
+      if (normalized && pendingSpaceIndex < 0) {
+        pendingSpaceIndex = i;
+      }
+      continue;
+    }
+    if (pendingSpaceIndex >= 0) {
+      normalized += ' ';
+      offsets.push(pendingSpaceIndex);
+      pendingSpaceIndex = -1;
+    }
+    normalized += char;
+    offsets.push(i);
   }
 
-  const normalized = normalizeWhitespace(text);
+  return { normalized, offsets };
+}
+
+// Keeps paragraph breaks, folds every other whitespace run into one space.
+function normalizeBlockText(input) {
+  return input
+    .split(/\n[^\S\n]*\n\s*/)
+    .map((paragraph) => paragraph.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+// Blanks out the `#` markers of heading lines, keeping every other character
+// at its index so chunk offsets still point into the original text.
+function maskHeadingMarkers(text) {
+  return text.replace(
+    HEADING_MARKERS_PATTERN,
+    (match, prefix, title, suffix) => `${' '.repeat(prefix.length)}${title}${' '.repeat(suffix.length)}`
+  );
+}
+
+function measureLength(text) {
+  return text.length;
+}
+
+// Fixed-size sliding window over whitespace-normalized text. `baseOffset` lets
+// the structured strategy window a slice of a larger document. With a custom
+// `measure` (e.g. a token counter) window widths are estimated in characters,
+// then shrunk until each window measures at most chunkSize.
+function chunkByWindow(text, { chunkSize, overlap, measure = measureLength }, baseOffset = 0) {
+  const { normalized, offsets } = normalizeWhitespaceWithOffsets(maskHeadingMarkers(text));
   if (!normalized) {
     return [];
   }
 
+  let charsPerUnit = 1;
+  if (measure !== measureLength) {
+    const sample = normalized.slice(0, RATIO_SAMPLE_LENGTH);
+    charsPerUnit = sample.length / Math.max(1, measure(sample));
+  }
+  const windowChars = Math.max(1, Math.floor(chunkSize * charsPerUnit));
+  const overlapChars = Math.min(windowChars - 1, Math.floor(overlap * charsPerUnit));
+
   const chunks = [];
   let start = 0;
 
   while (start < normalized.length) {
-    const end = Math.min(start + chunkSize, normalized.length);
-    chunks.push(normalized.slice(start, end));
+    let end = Math.min(start + windowChars, normalized.length);
+    while (end - start > 1 && measure(normalized.slice(start, end)) > chunkSize) {
+      end = start + Math.max(1, Math.floor((end - start) * 0.9));
+    }
+    chunks.push({
+      text: normalized.slice(start, end),
+      start: baseOffset + offsets[start],
+      end: baseOffset + offsets[end - 1] + 1,
+      headingPath: [],
+    });
 
     if (end === normalized.length) {
       break;
     }
 
-    start = end - overlap;
+    start = Math.max(start + 1, end - overlapChars);
+  }
+
+  return chunks;
+}
+
+// Splits text into heading lines and blank-line separated paragraphs, with
+// offsets into `text`.
+function splitBlocks(text) {
+  const blocks = [];
+  let paragraphStart = -1;
+  let paragraphEnd = -1;
+  const flushParagraph = () => {
+    if (paragraphStart >= 0) {
+      blocks.push({ type: 'paragraph', start: paragraphStart, end: paragraphEnd });
+    }
+    paragraphStart = -1;
+  };
+
+  let lineStart = 0;
+  while (lineStart <= text.length) {
+    const newline = text.indexOf('\n', lineStart);
+    const lineEnd = newline === -1 ? text.length : newline;
+    const line = text.slice(lineStart, lineEnd);
+    const heading = HEADING_PATTERN.exec(line);
+
+    if (heading) {
+      flushParagraph();
+      blocks.push({
+        type: 'heading',
+        start: lineStart,
+        end: lineEnd,
+        level: heading[1].length,
+        title: heading[2].trim(),
+      });
+    } else if (!line.trim()) {
+      flushParagraph();
+    } else {
+      if (paragraphStart < 0) {
+        paragraphStart = lineStart;
+      }
+      paragraphEnd = lineEnd;
+    }
+
+    if (newline === -1) {
+      break;
+    }
+    lineStart = newline + 1;
+  }
+  flushParagraph();
+
+  return blocks;
+}
+
+function splitSentences(paragraph) {
+  const sentences = [];
+  let start = 0;
+  for (const match of paragraph.matchAll(SENTENCE_BOUNDARY_PATTERN)) {
+    const end = match.index + match[0].length;
+    sentences.push({ segment: paragraph.slice(start, end), index: start });
+    start = end;
+  }
+  if (start < paragraph.length) {
+    sentences.push({ segment: paragraph.slice(start), index: start });
+  }
+  return sentences;
+}
+
+// Breaks one paragraph into pieces no longer than chunkSize: the whole
+// paragraph if it fits, otherwise sentences, otherwise windows.
+function splitParagraph(text, block, options) {
+  const paragraph = text.slice(block.start, block.end);
+  const normalized = normalizeBlockText(paragraph);
+  const size = options.measure(normalized);
+  if (size <= options.chunkSize) {
+    return [{ start: block.start, end: block.end, text: normalized, size, block }];
+  }
+
+  const pieces = [];
+  for (const { segment, index } of splitSentences(paragraph)) {
+    const sentence = normalizeBlockText(segment);
+    if (!sentence) {
+      continue;
+    }
+    const start = block.start + index;
+    const sentenceSize = options.measure(sentence);
+    if (sentenceSize <= options.chunkSize) {
+      pieces.push({ start, end: start + segment.trimEnd().length, text: sentence, size: sentenceSize, block });
+      continue;
+    }
+    for (const window of chunkByWindow(segment, options, start)) {
+      const windowText = window.text.trim();
+      pieces.push({
+        start: window.start,
+        end: window.end,
+        text: windowText,
+        size: options.measure(windowText),
+        block,
+        window: true,
+      });
+    }
+  }
+  return pieces;
+}
+
+// Pieces of one paragraph are joined with a space, separate blocks with a blank line.
+function joinUnits(units) {
+  return units
+    .map((unit, index) => (index === 0 ? '' : (unit.block === units[index - 1].block ? ' ' : '\n\n')) + unit.text)
+    .join('');
+}
+
+// Packs headings, paragraphs and sentences into chunks of at most chunkSize
+// (as measured by options.measure). A heading always starts a new chunk, and
+// consecutive chunks within a section share up to `overlap` of whole sentences.
+function chunkByStructure(text, options) {
+  const chunks = [];
+  const headingStack = [];
+  const separatorSize = options.measure(' ');
+  let current = [];
+  let currentLength = 0;
+  let currentPath = [];
+
+  const contentLength = (units) => units.reduce((sum, unit) => sum + unit.size + separatorSize, 0);
+  const flush = ({ carryOverlap }) => {
+    if (!current.some((unit) => !unit.heading)) {
+      return;
+    }
+    chunks.push({
+      text: joinUnits(current),
+      start: current[0].start,
+      end: current[current.length - 1].end,
+      headingPath: currentPath,
+    });
+
+    const carried = [];
+    if (carryOverlap) {
+      for (let i = current.length - 1; i > 0; i -= 1) {
+        const unit = current[i];
+        if (unit.heading || unit.window || contentLength([unit, ...carried]) > options.overlap) {
+          break;
+        }
+        carried.unshift(unit);
+      }
+    }
+    current = carried;
+    currentLength = contentLength(carried);
+  };
+
+  for (const block of splitBlocks(text)) {
+    if (block.type === 'heading') {
+      flush({ carryOverlap: false });
+      while (headingStack.length > 0 && headingStack[headingStack.length - 1].level >= block.level) {
+        headingStack.pop();
+      }
+      headingStack.push(block);
+      currentPath = headingStack.map((heading) => heading.title);
+      // The title stays in the text as a plain line; the levels live in headingPath.
+      const headingText = block.title;
+      const heading = {
+        start: block.start,
+        end: block.end,
+        text: headingText,
+        size: options.measure(headingText),
+        block,
+        heading: true,
+      };
+      current.push(heading);
+      currentLength += heading.size + separatorSize;
+      continue;
+    }
+
+    for (const piece of splitParagraph(text, block, options)) {
+      if (currentLength + piece.size > options.chunkSize) {
+        flush({ carryOverlap: true });
+        // Overlap, or a heading in front of a full-size piece, gives way so
+        // the chunk stays within chunkSize; headingPath still records it.
+        while (current.length > 0 && currentLength + piece.size > options.chunkSize) {
+          currentLength -= current.shift().size + separatorSize;
+        }
+      }
+      current.push(piece);
+      currentLength += piece.size + separatorSize;
+    }
   }
+  flush({ carryOverlap: false });
 
   return chunks;
 }
 
+const CHUNK_STRATEGIES = {
+  window: chunkByWindow,
+  structured: chunkByStructure,
+};
+
+// Returns `{ text, start, end, headingPath }` chunks; start/end are character
+// offsets into the original (un-normalized) input. chunkSize and overlap are in
+// the units of `options.measure` (characters by default).
+function chunkDocument(text, options = {}) {
+  const chunkSize = options.chunkSize || 1000;
+  const overlap = options.overlap || 200;
+  const strategy = options.strategy || DEFAULT_STRATEGY;
+  const measure = typeof options.measure === 'function' ? options.measure : measureLength;
+
+  if (chunkSize <= overlap) {
+    throw new Error('chunkSize must be greater than overlap.');
+  }
+  if (!CHUNK_STRATEGIES[strategy]) {
+    throw new Error(`Unknown chunking strategy: ${strategy}`);
+  }
+
+  return CHUNK_STRATEGIES[strategy](String(text || ''), { chunkSize, overlap, measure });
+}
+
+// `pages` are `{ pageNumber, start, end }` spans from parseDocument.
+function locateChunkPages(chunk, pages = []) {
+  let pageStart = null;
+  let pageEnd = null;
+  for (const page of pages) {
+    if (page.end > chunk.start && page.start < chunk.end) {
+      pageStart = pageStart === null ? page.pageNumber : Math.min(pageStart, page.pageNumber);
+      pageEnd = pageEnd === null ? page.pageNumber : Math.max(pageEnd, page.pageNumber);
+    }
+  }
+  return { pageStart, pageEnd };
+}
+
 module.exports = {
-  chunkText,
+  CHUNK_STRATEGIES,
+  chunkDocument,
+  locateChunkPages,
 };
@@ -1,6 +1,6 @@
 const { cleanupJobs } = require('./jobQueue');
 const { cleanupTempUploadsOlderThan } = require('./uploadService');
-const { cleanupOrphanChunks } = require('./vectorService');
+const { cleanupOrphanChunks, convertLegacyEmbeddings } = require('./vectorService');
 const { cleanupExpiredAuthSessions } = require('./authService');
 const { logInfo, logError } = require('../config/logger');
 const env = require('../config/env');
@@ -31,6 +31,7 @@ async function runCleanupCycle() {
     const removedTempFiles = await cleanupTempUploadsOlderThan(hoursToMs(DEFAULT_TEMP_FILE_TTL_HOURS));
     const removedOrphanChunks = cleanupOrphanChunks();
     const removedAuthSessions = cleanupExpiredAuthSessions();
+    const convertedEmbeddings = await convertLegacyEmbeddings();
 
     const payload = {
       jobsCompletedDeleted: jobs.completedDeleted,
@@ -39,6 +40,7 @@ async function runCleanupCycle() {
       removedTempFiles,
       removedOrphanChunks,
       removedAuthSessions,
+      convertedEmbeddings,
     };
     logInfo('CLEANUP_DONE', payload);
     return payload;
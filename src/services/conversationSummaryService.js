@@ -0,0 +1,211 @@
+const db = require('../config/database');
+const { generateText } = require('../llm');
+const { logInfo } = require('../config/logger');
+const env = require('../config/env');
+
+// Rolling memory for long chats: messages that dropped out of the recent
+// window (RAG_HISTORY_LIMIT) are folded into one stored summary, which the
+// prompt carries next to the recent turns.
+const SUMMARY_ENABLED = env.ragSummaryMemory;
+const RECENT_WINDOW = env.ragHistoryLimit;
+const MIN_PENDING_MESSAGES = env.ragSummaryMinMessages;
+const MAX_MESSAGES_PER_UPDATE = 40;
+const MAX_MESSAGE_CHARS = 1500;
+const MAX_SUMMARY_CHARS = 2000;
+
+const selectSummaryStmt = db.prepare(`
+  SELECT summary, lastMessageId, summarizedMessages, updatedAt
+  FROM session_summaries
+  WHERE sessionId = ?
+`);
+
+// The summary follows the active branch of the chat (see chatHistoryService).
+// Ids grow along a branch, so `id > lastMessageId` still finds what is new.
+const ACTIVE_BRANCH_CTE = `
+  WITH RECURSIVE branch(id) AS (
+    SELECT activeMessageId FROM sessions WHERE id = @sessionId AND activeMessageId IS NOT NULL
+    UNION ALL
+    SELECT m.parentId
+    FROM chat_messages m
+    JOIN branch ON m.id = branch.id
+    WHERE m.parentId IS NOT NULL
+  )
+`;
+
+const PENDING_FILTER = `
+  m.sessionId = @sessionId
+  AND m.id > @afterId
+  AND m.id NOT IN (SELECT id FROM branch ORDER BY id DESC LIMIT @window)
+`;
+
+const countPendingMessagesStmt = db.prepare(`
+  ${ACTIVE_BRANCH_CTE}
+  SELECT COUNT(*) AS count
+  FROM chat_messages m
+  JOIN branch ON branch.id = m.id
+  WHERE ${PENDING_FILTER}
+`);
+
+const selectPendingMessagesStmt = db.prepare(`
+  ${ACTIVE_BRANCH_CTE}
+  SELECT m.id, m.role, m.text
+  FROM chat_messages m
+  JOIN branch ON branch.id = m.id
+  WHERE ${PENDING_FILTER}
+  ORDER BY m.id ASC
+  LIMIT @limit
+`);
+
+const isOnActiveBranchStmt = db.prepare(`
+  ${ACTIVE_BRANCH_CTE}
+  SELECT EXISTS (SELECT 1 FROM branch WHERE id = @messageId) AS onBranch
+`);
+
+// Written only while the last summarized message still exists (the history may
+// have been cleared meanwhile) and nobody else moved the summary on.
+const upsertSummaryStmt = db.prepare(`
+  INSERT INTO session_summaries (sessionId, summary, lastMessageId, summarizedMessages, updatedAt)
+  SELECT @sessionId, @summary, @lastMessageId, @summarizedMessages, @updatedAt
+  WHERE EXISTS (SELECT 1 FROM chat_messages WHERE id = @lastMessageId AND sessionId = @sessionId)
+  ON CONFLICT(sessionId) DO UPDATE SET
+    summary = excluded.summary,
+    lastMessageId = excluded.lastMessageId,
+    summarizedMessages = excluded.summarizedMessages,
+    updatedAt = excluded.updatedAt
+  WHERE session_summaries.lastMessageId = @previousLastMessageId
+`);
+
+function getSessionSummary(sessionId) {
+  const row = selectSummaryStmt.get(sessionId);
+  if (!row) {
+    return null;
+  }
+  return {
+    summary: row.summary,
+    lastMessageId: Number(row.lastMessageId),
+    summarizedMessages: Number(row.summarizedMessages) || 0,
+    updatedAt: row.updatedAt,
+  };
+}
+
+// After switching to another branch of the chat, a summary that covers
+// messages off that branch no longer applies and is rebuilt from the start.
+function getBranchSummary(sessionId) {
+  const stored = getSessionSummary(sessionId);
+  if (!stored || !isOnActiveBranchStmt.get({ sessionId, messageId: stored.lastMessageId }).onBranch) {
+    return { stored, current: null };
+  }
+  return { stored, current: stored };
+}
+
+function getSummaryForPrompt(sessionId) {
+  return SUMMARY_ENABLED ? getBranchSummary(sessionId).current?.summary || null : null;
+}
+
+function countPendingMessages(sessionId) {
+  const { current } = getBranchSummary(sessionId);
+  return countPendingMessagesStmt.get({
+    sessionId,
+    afterId: current ? current.lastMessageId : 0,
+    window: RECENT_WINDOW,
+  }).count;
+}
+
+function needsSummaryUpdate(sessionId) {
+  return SUMMARY_ENABLED && countPendingMessages(sessionId) >= MIN_PENDING_MESSAGES;
+}
+
+function buildSummaryPrompt({ summary, messages }) {
+  const transcript = messages
+    .map((message) => `${message.role.toUpperCase()}: ${message.text.slice(0, MAX_MESSAGE_CHARS)}`)
+    .join('\n\n');
+
+  return `Update the running summary of a conversation between a user and a document assistant.
+Merge the earlier summary with the new messages. Keep the questions asked, the answers given, facts the user shared and open points; drop greetings and repetition.
+Reply with the updated summary only, in plain text, at most 200 words.
+
+EARLIER SUMMARY:
+${summary || 'None.'}
+
+NEW MESSAGES:
+${transcript}`;
+}
+
+function cleanSummary(rawText) {
+  const text = String(rawText || '').replace(/\s+\n/g, '\n').trim();
+  return text.length > MAX_SUMMARY_CHARS ? `${text.slice(0, MAX_SUMMARY_CHARS - 3).trimEnd()}...` : text;
+}
+
+// Folds pending messages into the summary, oldest first and at most
+// MAX_MESSAGES_PER_UPDATE per model call, until fewer than
+// RAG_SUMMARY_MIN_MESSAGES are left over.
+async function updateSessionSummary(sessionId, { onProgress } = {}) {
+  const startedAt = Date.now();
+  const totalPending = countPendingMessages(sessionId);
+  let { stored, current } = getBranchSummary(sessionId);
+  let newMessages = 0;
+
+  while (SUMMARY_ENABLED) {
+    const messages = selectPendingMessagesStmt.all({
+      sessionId,
+      afterId: current ? current.lastMessageId : 0,
+      window: RECENT_WINDOW,
+      limit: MAX_MESSAGES_PER_UPDATE,
+    });
+    if (messages.length === 0 || messages.length < MIN_PENDING_MESSAGES) {
+      break;
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const summary = cleanSummary(await generateText({
+      prompt: buildSummaryPrompt({ summary: current?.summary, messages }),
+      options: { temperature: 0 },
+      task: 'summarize',
+    }));
+    if (!summary) {
+      throw new Error('Summary generation returned no text.');
+    }
+
+    const lastMessageId = messages[messages.length - 1].id;
+    const result = upsertSummaryStmt.run({
+      sessionId,
+      summary,
+      lastMessageId,
+      summarizedMessages: (current?.summarizedMessages || 0) + messages.length,
+      updatedAt: new Date().toISOString(),
+      previousLastMessageId: stored ? stored.lastMessageId : 0,
+    });
+    if (result.changes === 0) {
+      break;
+    }
+
+    newMessages += messages.length;
+    current = getSessionSummary(sessionId);
+    stored = current;
+    if (typeof onProgress === 'function' && totalPending > 0) {
+      onProgress({ stage: 'summarizing', progress: Math.min(99, Math.round((newMessages / totalPending) * 100)) });
+    }
+  }
+
+  logInfo('SUMMARY_UPDATED', {
+    sessionId,
+    newMessages,
+    summarizedMessages: current?.summarizedMessages || 0,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return {
+    sessionId,
+    newMessages,
+    summarizedMessages: current?.summarizedMessages || 0,
+    summaryLength: current?.summary.length || 0,
+  };
+}
+
+module.exports = {
+  getSessionSummary,
+  getSummaryForPrompt,
+  needsSummaryUpdate,
+  buildSummaryPrompt,
+  updateSessionSummary,
+};
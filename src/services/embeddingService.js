@@ -1,54 +1,14 @@
-let extractorPromise = null;
-const { logInfo } = require('../config/logger');
+const { getEmbeddingProvider, getEmbeddingModelId, resolveEmbeddingModel } = require('../embeddings');
 const env = require('../config/env');
 
 const DEFAULT_BATCH_SIZE = env.localEmbeddingBatchSize;
 const MIN_BATCH_SIZE = env.localEmbeddingBatchSizeMin;
 const MAX_BATCH_SIZE = env.localEmbeddingBatchSizeMax;
 
-async function getExtractor() {
-  if (extractorPromise) {
-    return extractorPromise;
-  }
-
-  // Keep CommonJS project-wide while loading ESM-only transformers package lazily.
-  extractorPromise = (async () => {
-    logInfo('INDEX_DONE', { component: 'embeddingService', stage: 'model_load_start' });
-    const { pipeline } = await import('@xenova/transformers');
-    const extractor = await pipeline('feature-extraction', 'Xenova/all-MiniLM-L6-v2');
-    logInfo('INDEX_DONE', { component: 'embeddingService', stage: 'model_load_done' });
-    return extractor;
-  })();
-
-  return extractorPromise;
-}
-
-function toVectors(outputs) {
-  const dims = outputs?.dims || [];
-  const values = outputs?.data ? Array.from(outputs.data) : null;
-
-  if (!values || values.length === 0) {
-    throw new Error('Local embedding model returned empty vectors.');
-  }
-
-  // Expected pooled batch output shape [batch, hidden]
-  if (dims.length === 2) {
-    const [batchSize, hiddenSize] = dims;
-    const vectors = [];
-    for (let i = 0; i < batchSize; i += 1) {
-      const start = i * hiddenSize;
-      const end = start + hiddenSize;
-      vectors.push(values.slice(start, end));
-    }
-    return vectors;
-  }
-
-  // If a single vector comes back from a batch of one, normalize shape.
-  if (dims.length === 1) {
-    return [values];
-  }
-
-  throw new Error(`Unexpected embedding tensor shape from local model: ${JSON.stringify(dims)}`);
+// Tokenizer of the active embedding model for token-accurate chunk sizing, or
+// null when the provider cannot expose one.
+async function getTokenizer() {
+  return getEmbeddingProvider().getTokenizer();
 }
 
 function clampBatchSize(batchSize) {
@@ -73,7 +33,11 @@ async function generateEmbeddings(texts, options = {}) {
   const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
 
   try {
-    const extractor = await getExtractor();
+    // embeddingModel reproduces vectors of an earlier model, e.g. to query
+    // chunks that have not been re-embedded yet.
+    const { provider, model } = options.embeddingModel
+      ? resolveEmbeddingModel(options.embeddingModel)
+      : { provider: getEmbeddingProvider(), model: undefined };
 
     // Batching significantly improves throughput by reducing pipeline overhead
     // and maximizing ONNX runtime utilization per call.
@@ -83,8 +47,7 @@ async function generateEmbeddings(texts, options = {}) {
     for (let batchIndex = 0; batchIndex < textBatches.length; batchIndex += 1) {
       const batch = textBatches[batchIndex];
       // Memory-safe sequential loop: avoids OOM spikes from parallel embedding calls.
-      const output = await extractor(batch, { pooling: 'mean', normalize: true });
-      const batchVectors = toVectors(output);
+      const batchVectors = await provider.embed(batch, model);
       vectors.push(...batchVectors);
 
       if (onProgress) {
@@ -100,7 +63,7 @@ async function generateEmbeddings(texts, options = {}) {
 
     return vectors;
   } catch (error) {
-    const err = new Error(`Local embedding generation failed: ${error.message}`);
+    const err = new Error(`Embedding generation failed: ${error.message}`);
     err.statusCode = 500;
     throw err;
   }
@@ -113,7 +76,7 @@ async function generateEmbedding(text, options = {}) {
 
   const vectors = await generateEmbeddings([text], options);
   if (!vectors[0]) {
-    throw new Error('Local embedding model returned no vector.');
+    throw new Error('Embedding model returned no vector.');
   }
   return vectors[0];
 }
@@ -122,4 +85,6 @@ module.exports = {
   DEFAULT_BATCH_SIZE,
   generateEmbedding,
   generateEmbeddings,
+  getEmbeddingModelId,
+  getTokenizer,
 };
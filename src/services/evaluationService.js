@@ -0,0 +1,377 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUser } = require('./authService');
+const { createSession, deleteSession } = require('./sessionService');
+const { createPdfRecord } = require('./pdfRecordService');
+const { indexPdfById } = require('./indexingService');
+const { retrieveCandidates, buildPromptWithBudget, normalizeRetrievalMode } = require('./ragService');
+const { getEmbeddingModelId } = require('./embeddingService');
+const { generateText } = require('../llm');
+const db = require('../config/database');
+const env = require('../config/env');
+const { logError } = require('../config/logger');
+
+// Offline evaluation against a golden dataset:
+//   { name, documents: [{ id, title?, path | text, type? }],
+//     questions: [{ id?, question, expectedPassages?: [{ document?, text? }], expectedAnswer? }] }
+// Document paths are relative to the dataset file. A retrieved chunk counts as
+// relevant to a passage when it comes from the passage's document (if given)
+// and one text contains the other, so judgements survive chunking changes.
+const MAX_EVALUATION_TOP_K = 8;
+
+const deleteUserStmt = db.prepare(`
+  DELETE FROM users
+  WHERE id = ?
+`);
+
+function createDatasetError(message) {
+  const error = new Error(`Invalid evaluation dataset: ${message}`);
+  error.code = 'INVALID_EVAL_DATASET';
+  return error;
+}
+
+function validateDataset(dataset) {
+  if (!dataset || !Array.isArray(dataset.documents) || dataset.documents.length === 0) {
+    throw createDatasetError('documents must be a non-empty array.');
+  }
+  if (!Array.isArray(dataset.questions) || dataset.questions.length === 0) {
+    throw createDatasetError('questions must be a non-empty array.');
+  }
+
+  const documentIds = new Set();
+  for (const document of dataset.documents) {
+    const id = String(document?.id || '').trim();
+    if (!id || documentIds.has(id)) {
+      throw createDatasetError('every document needs a unique id.');
+    }
+    if (typeof document.path !== 'string' && typeof document.text !== 'string') {
+      throw createDatasetError(`document "${id}" needs a path or text.`);
+    }
+    documentIds.add(id);
+  }
+
+  dataset.questions.forEach((question, index) => {
+    if (typeof question?.question !== 'string' || !question.question.trim()) {
+      throw createDatasetError(`question ${index + 1} has no question text.`);
+    }
+    const passages = question.expectedPassages || [];
+    if (!Array.isArray(passages) || (passages.length === 0 && !question.expectedAnswer)) {
+      throw createDatasetError(`question ${index + 1} needs expectedPassages or an expectedAnswer.`);
+    }
+    for (const passage of passages) {
+      if (!passage?.document && !passage?.text) {
+        throw createDatasetError(`question ${index + 1} has a passage without document or text.`);
+      }
+      if (passage.document && !documentIds.has(String(passage.document))) {
+        throw createDatasetError(`question ${index + 1} refers to unknown document "${passage.document}".`);
+      }
+    }
+  });
+  return dataset;
+}
+
+function loadDataset(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  const dataset = validateDataset(JSON.parse(fs.readFileSync(resolvedPath, 'utf8')));
+  return {
+    ...dataset,
+    name: dataset.name || path.basename(resolvedPath, path.extname(resolvedPath)),
+    baseDir: path.dirname(resolvedPath),
+  };
+}
+
+function normalizeText(text) {
+  return String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function matchesPassage(chunk, passage) {
+  if (passage.document && String(passage.document) !== chunk.document) {
+    return false;
+  }
+  if (!passage.text) {
+    return true;
+  }
+  const chunkText = normalizeText(chunk.text);
+  const passageText = normalizeText(passage.text);
+  return chunkText.includes(passageText) || (chunkText.length > 0 && passageText.includes(chunkText));
+}
+
+// Binary relevance, and each expected passage is credited once (to the first
+// chunk that matches it), so recall and nDCG stay within 0..1.
+function scoreRetrieval(chunks, passages, k) {
+  const ranked = chunks.slice(0, k);
+  const credited = new Set();
+  let firstRelevantRank = null;
+  let dcg = 0;
+
+  const relevance = ranked.map((chunk, index) => {
+    const matched = passages.map((passage, passageIndex) => (matchesPassage(chunk, passage) ? passageIndex : -1))
+      .filter((passageIndex) => passageIndex >= 0);
+    const fresh = matched.filter((passageIndex) => !credited.has(passageIndex));
+    if (matched.length > 0 && firstRelevantRank === null) {
+      firstRelevantRank = index + 1;
+    }
+    if (fresh.length > 0) {
+      credited.add(fresh[0]);
+      dcg += 1 / Math.log2(index + 2);
+    }
+    return matched.length > 0;
+  });
+
+  let idealDcg = 0;
+  for (let index = 0; index < Math.min(k, passages.length); index += 1) {
+    idealDcg += 1 / Math.log2(index + 2);
+  }
+
+  return {
+    recallAtK: passages.length > 0 ? credited.size / passages.length : null,
+    reciprocalRank: firstRelevantRank ? 1 / firstRelevantRank : 0,
+    ndcgAtK: idealDcg > 0 ? dcg / idealDcg : null,
+    firstRelevantRank,
+    relevance,
+  };
+}
+
+function tokenize(text) {
+  return normalizeText(text).match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function scoreAnswer(answer, expectedAnswer) {
+  const answerTokens = tokenize(answer);
+  const expectedTokens = tokenize(expectedAnswer);
+  const remaining = new Map();
+  for (const token of answerTokens) {
+    remaining.set(token, (remaining.get(token) || 0) + 1);
+  }
+  let overlap = 0;
+  for (const token of expectedTokens) {
+    if (remaining.get(token) > 0) {
+      remaining.set(token, remaining.get(token) - 1);
+      overlap += 1;
+    }
+  }
+
+  const precision = answerTokens.length > 0 ? overlap / answerTokens.length : 0;
+  const recall = expectedTokens.length > 0 ? overlap / expectedTokens.length : 0;
+  return {
+    containsExpected: normalizeText(answer).includes(normalizeText(expectedAnswer)),
+    tokenF1: precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0,
+  };
+}
+
+// Answer metrics need a model that can actually be reached.
+function isLlmConfigured() {
+  if (env.llmProvider === 'gemini') {
+    return Boolean(env.geminiApiKey);
+  }
+  if (env.llmProvider === 'openai') {
+    return Boolean(env.openaiApiKey) || !env.openaiBaseUrl.includes('api.openai.com');
+  }
+  return true;
+}
+
+function mean(values) {
+  const present = values.filter((value) => typeof value === 'number');
+  if (present.length === 0) {
+    return null;
+  }
+  return Math.round((present.reduce((sum, value) => sum + value, 0) / present.length) * 10000) / 10000;
+}
+
+async function indexDocuments(dataset, { userId, sessionId, tempDir }) {
+  const indexed = [];
+  for (const document of dataset.documents) {
+    const id = String(document.id);
+    const type = String(document.type || path.extname(document.path || '').slice(1) || 'txt').toLowerCase();
+    let storagePath = document.path ? path.resolve(dataset.baseDir || process.cwd(), document.path) : null;
+    if (!storagePath) {
+      storagePath = path.join(tempDir, `${indexed.length + 1}.${type}`);
+      fs.writeFileSync(storagePath, document.text);
+    }
+
+    const pdf = createPdfRecord({
+      userId,
+      sessionId,
+      title: document.title || id,
+      filename: path.basename(storagePath),
+      storagePath,
+      type,
+    });
+    // eslint-disable-next-line no-await-in-loop
+    const result = await indexPdfById(pdf.id);
+    if (!result.indexedChunks) {
+      throw new Error(`Document "${id}" produced no chunks.`);
+    }
+    indexed.push({ id, pdfId: pdf.id, title: pdf.title, indexedChunks: result.indexedChunks });
+  }
+  return indexed;
+}
+
+async function evaluateAnswer({ question, retrieved }) {
+  try {
+    const { prompt } = buildPromptWithBudget({ message: question.question, candidates: retrieved, responseStyle: 'plain' });
+    const answer = String(await generateText({ prompt, options: { temperature: 0 } }) || '').trim();
+    return { text: answer, ...scoreAnswer(answer, question.expectedAnswer) };
+  } catch (error) {
+    return { text: null, error: error.message, containsExpected: false, tokenF1: 0 };
+  }
+}
+
+// Indexes the dataset into a throwaway session, runs retrieval for every
+// question and returns a JSON-serialisable report. The session is deleted
+// afterwards; document files given by path are left alone.
+async function runEvaluation(dataset, {
+  topK = env.ragTopK,
+  retrievalMode,
+  candidatePool,
+  mmrLambda,
+  reranker,
+  answers = false,
+  onProgress,
+} = {}) {
+  validateDataset(dataset);
+  const startedAt = Date.now();
+  const k = Math.max(1, Math.min(MAX_EVALUATION_TOP_K, Number(topK) || env.ragTopK));
+  const user = await createUser({
+    name: 'Evaluation',
+    email: `eval_${Date.now()}_${crypto.randomBytes(4).toString('hex')}@example.com`,
+    password: crypto.randomBytes(16).toString('hex'),
+  });
+  const session = createSession(user.id, `Evaluation ${dataset.name || ''}`.trim());
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rag-eval-'));
+
+  try {
+    const documents = await indexDocuments(dataset, { userId: user.id, sessionId: session.id, tempDir });
+    const documentByPdfId = new Map(documents.map((document) => [String(document.pdfId), document.id]));
+    const questions = [];
+
+    for (const [index, question] of dataset.questions.entries()) {
+      const questionStartedAt = Date.now();
+      // eslint-disable-next-line no-await-in-loop
+      const retrieved = await retrieveCandidates({
+        sessionId: session.id,
+        message: question.question,
+        topK: k,
+        retrievalMode,
+        candidatePool,
+        mmrLambda,
+        reranker,
+      });
+      const retrievalMs = Date.now() - questionStartedAt;
+      const chunks = retrieved.map((chunk) => ({ ...chunk, document: documentByPdfId.get(String(chunk.pdfId)) || null }));
+      const passages = question.expectedPassages || [];
+      const { relevance, ...scores } = scoreRetrieval(chunks, passages, k);
+
+      const entry = {
+        id: question.id ?? String(index + 1),
+        question: question.question,
+        ...(passages.length > 0 ? scores : { recallAtK: null, reciprocalRank: null, ndcgAtK: null, firstRelevantRank: null }),
+        retrievalMs,
+        retrieved: chunks.map((chunk, rank) => ({
+          rank: rank + 1,
+          chunkId: chunk.chunkId,
+          document: chunk.document,
+          score: chunk.score,
+          relevant: passages.length > 0 ? relevance[rank] : null,
+          text: chunk.text,
+        })),
+        answer: null,
+      };
+      if (answers && question.expectedAnswer) {
+        // eslint-disable-next-line no-await-in-loop
+        entry.answer = await evaluateAnswer({ question, retrieved });
+      }
+      questions.push(entry);
+      if (typeof onProgress === 'function') {
+        onProgress({ completed: index + 1, total: dataset.questions.length });
+      }
+    }
+
+    const answered = questions.filter((entry) => entry.answer);
+    return {
+      dataset: dataset.name || null,
+      createdAt: new Date().toISOString(),
+      durationMs: Date.now() - startedAt,
+      config: {
+        k,
+        retrievalMode: normalizeRetrievalMode(retrievalMode),
+        candidatePool: candidatePool ?? env.ragCandidatePool,
+        mmrLambda: mmrLambda ?? env.ragMmrLambda,
+        reranker: reranker || env.ragReranker,
+        embeddingModel: getEmbeddingModelId(),
+        chunkStrategy: env.ragChunkStrategy,
+        chunkTokens: env.ragChunkTokens,
+        overlapTokens: env.ragOverlapTokens,
+        llmProvider: answers ? env.llmProvider : null,
+      },
+      documents: documents.map(({ pdfId, ...document }) => document),
+      metrics: {
+        questions: questions.length,
+        recallAtK: mean(questions.map((entry) => entry.recallAtK)),
+        mrr: mean(questions.map((entry) => entry.reciprocalRank)),
+        ndcgAtK: mean(questions.map((entry) => entry.ndcgAtK)),
+        meanRetrievalMs: mean(questions.map((entry) => entry.retrievalMs)),
+        answers: answers
+          ? {
+            evaluated: answered.length,
+            containsExpected: mean(answered.map((entry) => (entry.answer.containsExpected ? 1 : 0))),
+            tokenF1: mean(answered.map((entry) => entry.answer.tokenF1)),
+            errors: answered.filter((entry) => entry.answer.error).length,
+          }
+          : null,
+      },
+      questions,
+    };
+  } finally {
+    // The run leaves nothing behind, not even in a database given with --db.
+    // deleteSession clears the keyword and ANN indexes; by then the user only
+    // owns auth records, which cascade. Dataset files are never touched.
+    const cleanupSteps = [
+      ['deleteSession', () => deleteSession(session.id, user.id)],
+      ['deleteUser', () => deleteUserStmt.run(user.id)],
+      ['removeTempDir', () => fs.rmSync(tempDir, { recursive: true, force: true })],
+    ];
+    for (const [step, cleanup] of cleanupSteps) {
+      try {
+        cleanup();
+      } catch (error) {
+        logError('ERROR_EVALUATION', error, { stage: step, sessionId: session.id });
+      }
+    }
+  }
+}
+
+// Metric deltas (current - baseline) between two reports.
+function compareRuns(baseline, current) {
+  const delta = (before, after) => (typeof before === 'number' && typeof after === 'number'
+    ? Math.round((after - before) * 10000) / 10000
+    : null);
+  const keys = ['recallAtK', 'mrr', 'ndcgAtK', 'meanRetrievalMs'];
+  const comparison = Object.fromEntries(keys.map((key) => [key, {
+    baseline: baseline.metrics[key],
+    current: current.metrics[key],
+    delta: delta(baseline.metrics[key], current.metrics[key]),
+  }]));
+  if (baseline.metrics.answers && current.metrics.answers) {
+    for (const key of ['containsExpected', 'tokenF1']) {
+      comparison[`answers.${key}`] = {
+        baseline: baseline.metrics.answers[key],
+        current: current.metrics.answers[key],
+        delta: delta(baseline.metrics.answers[key], current.metrics.answers[key]),
+      };
+    }
+  }
+  return comparison;
+}
+
+module.exports = {
+  loadDataset,
+  validateDataset,
+  scoreRetrieval,
+  scoreAnswer,
+  isLlmConfigured,
+  runEvaluation,
+  compareRuns,
+};
@@ -0,0 +1,192 @@
+const db = require('../config/database');
+const { logInfo } = require('../config/logger');
+
+const FEEDBACK_RATINGS = ['positive', 'negative'];
+const FEEDBACK_REASONS = [
+  'incorrect',
+  'incomplete',
+  'not_grounded',
+  'irrelevant_sources',
+  'wrong_language',
+  'formatting',
+  'other',
+];
+const DEFAULT_BREAKDOWN_LIMIT = 20;
+
+const getMessageStmt = db.prepare(`
+  SELECT id, role
+  FROM chat_messages
+  WHERE id = @messageId AND sessionId = @sessionId AND user_id = @userId
+`);
+
+const updateFeedbackStmt = db.prepare(`
+  UPDATE chat_messages
+  SET feedbackRating = @rating,
+      feedbackReasons = @reasons,
+      feedbackComment = @comment,
+      feedbackAt = @createdAt
+  WHERE id = @messageId
+`);
+
+// Every aggregate below looks at the caller's rated assistant answers,
+// optionally narrowed to one session and to feedback given since a timestamp.
+const RATED_FILTER = `
+  m.user_id = @userId
+  AND m.role = 'assistant'
+  AND m.feedbackRating IS NOT NULL
+  AND (@sessionId IS NULL OR m.sessionId = @sessionId)
+  AND (@since IS NULL OR m.feedbackAt >= @since)
+`;
+
+const COUNTS = `
+  COUNT(*) AS rated,
+  SUM(CASE WHEN m.feedbackRating = 'negative' THEN 1 ELSE 0 END) AS negative
+`;
+
+const totalsStmt = db.prepare(`
+  SELECT ${COUNTS}
+  FROM chat_messages m
+  WHERE ${RATED_FILTER}
+`);
+
+const reasonsStmt = db.prepare(`
+  SELECT r.value AS reason, COUNT(*) AS count
+  FROM chat_messages m, json_each(COALESCE(m.feedbackReasons, '[]')) r
+  WHERE ${RATED_FILTER} AND m.feedbackRating = 'negative'
+  GROUP BY r.value
+  ORDER BY count DESC, reason ASC
+`);
+
+const bySessionStmt = db.prepare(`
+  SELECT m.sessionId AS sessionId, s.title AS title, ${COUNTS}
+  FROM chat_messages m
+  JOIN sessions s ON s.id = m.sessionId
+  WHERE ${RATED_FILTER}
+  GROUP BY m.sessionId
+  ORDER BY negative DESC, rated DESC, m.sessionId ASC
+  LIMIT @limit
+`);
+
+// Deleted documents keep their id in the answer metadata; their title is null.
+const byDocumentStmt = db.prepare(`
+  SELECT d.value AS pdfId, p.title AS title, ${COUNTS}
+  FROM chat_messages m
+  JOIN json_each(COALESCE(json_extract(m.metadata, '$.pdfIds'), '[]')) d
+  LEFT JOIN pdfs p ON p.id = d.value
+  WHERE ${RATED_FILTER}
+  GROUP BY d.value
+  ORDER BY negative DESC, rated DESC, d.value ASC
+  LIMIT @limit
+`);
+
+const byModelStmt = db.prepare(`
+  SELECT json_extract(m.metadata, '$.model') AS model, ${COUNTS}
+  FROM chat_messages m
+  WHERE ${RATED_FILTER}
+  GROUP BY model
+  ORDER BY negative DESC, rated DESC
+  LIMIT @limit
+`);
+
+const byResponseStyleStmt = db.prepare(`
+  SELECT json_extract(m.metadata, '$.responseStyle') AS responseStyle, ${COUNTS}
+  FROM chat_messages m
+  WHERE ${RATED_FILTER}
+  GROUP BY responseStyle
+  ORDER BY negative DESC, rated DESC
+  LIMIT @limit
+`);
+
+function validationError(message) {
+  const error = new Error(message);
+  error.statusCode = 422;
+  error.code = 'VALIDATION_ERROR';
+  return error;
+}
+
+function normalizeReasons(reasons) {
+  const normalized = [...new Set(reasons || [])];
+  for (const reason of normalized) {
+    if (!FEEDBACK_REASONS.includes(reason)) {
+      throw validationError(`Unknown feedback reason "${reason}".`);
+    }
+  }
+  return normalized;
+}
+
+// Stores the user's rating on an assistant answer. Rating the same answer
+// again replaces the earlier feedback.
+function recordFeedback({ userId, sessionId, messageId, rating, reasons = [], comment = null }) {
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    throw validationError('rating must be "positive" or "negative".');
+  }
+  const normalizedReasons = normalizeReasons(reasons);
+  const normalizedComment = String(comment || '').trim() || null;
+
+  const message = getMessageStmt.get({ messageId, sessionId, userId });
+  if (!message) {
+    const error = new Error('Message not found.');
+    error.statusCode = 404;
+    error.code = 'MESSAGE_NOT_FOUND';
+    throw error;
+  }
+  if (message.role !== 'assistant') {
+    const error = new Error('Feedback can only be given on assistant answers.');
+    error.statusCode = 422;
+    error.code = 'FEEDBACK_NOT_ALLOWED';
+    throw error;
+  }
+
+  const createdAt = new Date().toISOString();
+  updateFeedbackStmt.run({
+    messageId,
+    rating,
+    reasons: JSON.stringify(normalizedReasons),
+    comment: normalizedComment,
+    createdAt,
+  });
+  logInfo('ANSWER_FEEDBACK', {
+    sessionId,
+    messageId,
+    rating,
+    reasons: normalizedReasons,
+  });
+
+  return {
+    messageId: String(messageId),
+    rating,
+    reasons: normalizedReasons,
+    comment: normalizedComment,
+    createdAt,
+  };
+}
+
+function withNegativeRate(row) {
+  const negative = row.negative || 0;
+  return {
+    ...row,
+    negative,
+    negativeRate: row.rated > 0 ? Number((negative / row.rated).toFixed(4)) : 0,
+  };
+}
+
+function getFeedbackSummary({ userId, sessionId = null, since = null, limit = DEFAULT_BREAKDOWN_LIMIT }) {
+  const params = { userId, sessionId, since, limit };
+  return {
+    sessionId,
+    since,
+    totals: withNegativeRate(totalsStmt.get(params)),
+    negativeReasons: reasonsStmt.all(params),
+    bySession: bySessionStmt.all(params).map(withNegativeRate),
+    byDocument: byDocumentStmt.all(params).map(withNegativeRate),
+    byModel: byModelStmt.all(params).map(withNegativeRate),
+    byResponseStyle: byResponseStyleStmt.all(params).map(withNegativeRate),
+  };
+}
+
+module.exports = {
+  FEEDBACK_RATINGS,
+  FEEDBACK_REASONS,
+  recordFeedback,
+  getFeedbackSummary,
+};
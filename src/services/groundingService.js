@@ -0,0 +1,150 @@
+const { generateText } = require('../llm');
+const { logError } = require('../config/logger');
+const env = require('../config/env');
+
+const GROUNDING_CHECKS = new Set(['off', 'lexical', 'llm']);
+const DEFAULT_GROUNDING_CHECK = env.ragGroundingCheck;
+const MIN_OVERLAP = env.ragGroundingMinOverlap;
+const MAX_CLAIMS = 12;
+const TERM_PATTERN = /[\p{L}\p{N}]{3,}/gu;
+const VERDICT_PATTERN = /^\s*(\d+)\s*[:.)-]\s*(supported|unsupported)\b/i;
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'are', 'was', 'were', 'with', 'that', 'this', 'from', 'has', 'have', 'had',
+  'not', 'but', 'its', 'can', 'you', 'your', 'all', 'any', 'into', 'than', 'then', 'they', 'their',
+  'there', 'these', 'those', 'which', 'will', 'would', 'should', 'could', 'about', 'also', 'been',
+  'being', 'more', 'most', 'other', 'such', 'only', 'each', 'when', 'what', 'where', 'who', 'how',
+  'must', 'may', 'does', 'did', 'our', 'out', 'one', 'per', 'via',
+]);
+
+function normalizeGroundingCheck(value) {
+  const normalized = String(value || DEFAULT_GROUNDING_CHECK || 'off').trim().toLowerCase();
+  return GROUNDING_CHECKS.has(normalized) ? normalized : 'off';
+}
+
+// Crude suffix folding so "primed", "priming" and "prime" meet; only applied
+// when at least three letters remain.
+function toTerm(word) {
+  const stem = word.replace(/(?:ing|ed|es|s|e)$/, '');
+  return stem.length >= 3 ? stem : word;
+}
+
+function extractTerms(text) {
+  const words = String(text || '').toLowerCase().match(TERM_PATTERN) || [];
+  return new Set(words.filter((word) => !STOPWORDS.has(word)).map(toTerm));
+}
+
+// Share of the claim's content terms found in its best-matching chunk.
+function scoreClaim(claimTerms, chunkTermSets) {
+  let best = { overlap: 0, chunkIndex: -1 };
+  chunkTermSets.forEach((chunkTerms, chunkIndex) => {
+    let found = 0;
+    for (const term of claimTerms) {
+      if (chunkTerms.has(term)) {
+        found += 1;
+      }
+    }
+    const overlap = found / claimTerms.size;
+    if (overlap > best.overlap) {
+      best = { overlap, chunkIndex };
+    }
+  });
+  return best;
+}
+
+function buildVerificationPrompt({ points, candidates }) {
+  const context = candidates
+    .map((chunk, index) => `Chunk ${index + 1}:\n${chunk.text}`)
+    .join('\n\n');
+  const claims = points.map((point, index) => `${index + 1}. ${point.text}`).join('\n');
+
+  return `Check whether each claim is directly supported by the document chunks below.
+Reply with one line per claim, in order, exactly "<number>: supported" or "<number>: unsupported". Do not explain.
+
+DOCUMENT CHUNKS:
+${context}
+
+CLAIMS:
+${claims}`;
+}
+
+function parseVerdicts(rawText) {
+  const verdicts = new Map();
+  for (const line of String(rawText || '').split('\n')) {
+    const match = VERDICT_PATTERN.exec(line);
+    if (match) {
+      verdicts.set(Number(match[1]), match[2].toLowerCase() === 'supported');
+    }
+  }
+  return verdicts;
+}
+
+// Flags each claim as supported or not by the retrieved chunks. `lexical`
+// needs MIN_OVERLAP of a claim's content terms in one chunk; `llm` then asks
+// the model for a verdict per claim and keeps the lexical flag for any claim
+// it does not answer. Returns null when the check is off.
+async function verifyGrounding({ claims, candidates, check, sessionId }) {
+  const normalizedCheck = normalizeGroundingCheck(check);
+  if (normalizedCheck === 'off') {
+    return null;
+  }
+
+  const chunkTermSets = candidates.map((chunk) => extractTerms(chunk.text));
+  const points = claims
+    .map((text) => ({ text, terms: extractTerms(text) }))
+    .filter((claim) => claim.terms.size > 0)
+    .slice(0, MAX_CLAIMS)
+    .map(({ text, terms }) => {
+      const { overlap, chunkIndex } = scoreClaim(terms, chunkTermSets);
+      const chunk = candidates[chunkIndex] || null;
+      return {
+        text,
+        supported: overlap >= MIN_OVERLAP,
+        overlap: Math.round(overlap * 1000) / 1000,
+        chunkId: chunk ? chunk.chunkId : null,
+        pdfId: chunk ? chunk.pdfId : null,
+        verifiedBy: 'lexical',
+      };
+    });
+
+  let method = 'lexical';
+  if (normalizedCheck === 'llm' && points.length > 0 && candidates.length > 0) {
+    try {
+      const verdicts = parseVerdicts(await generateText({
+        prompt: buildVerificationPrompt({ points, candidates }),
+        options: { temperature: 0 },
+        task: 'verifyClaims',
+      }));
+      points.forEach((point, index) => {
+        if (verdicts.has(index + 1)) {
+          point.supported = verdicts.get(index + 1);
+          point.verifiedBy = 'llm';
+        }
+      });
+      if (verdicts.size > 0) {
+        method = 'llm';
+      }
+    } catch (error) {
+      logError('ERROR_GROUNDING', error, {
+        service: 'groundingService',
+        stage: 'llmVerification',
+        sessionId,
+      });
+    }
+  }
+
+  const supportedPoints = points.filter((point) => point.supported).length;
+  return {
+    method,
+    score: points.length > 0 ? Math.round((supportedPoints / points.length) * 1000) / 1000 : null,
+    supportedPoints,
+    totalPoints: points.length,
+    points,
+  };
+}
+
+module.exports = {
+  normalizeGroundingCheck,
+  buildVerificationPrompt,
+  parseVerdicts,
+  verifyGrounding,
+};
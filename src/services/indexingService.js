@@ -1,8 +1,9 @@
 const crypto = require('crypto');
-const { parseFile } = require('../parsers');
-const { chunkText } = require('./chunkService');
-const { generateEmbeddings } = require('./embeddingService');
+const { parseDocument } = require('../parsers');
+const { CHUNK_STRATEGIES, chunkDocument, locateChunkPages } = require('./chunkService');
+const { generateEmbeddings, getTokenizer } = require('./embeddingService');
 const { addChunks } = require('./vectorService');
+const { buildSessionIndexIfNeeded } = require('./annIndexService');
 const { getPdfById, markPdfIndexed, markPdfFailed } = require('./pdfRecordService');
 const { logInfo, logError } = require('../config/logger');
 const env = require('../config/env');
@@ -11,8 +12,14 @@ const TOKEN_TO_CHAR_RATIO = env.ragTokenToCharRatio;
 const DEFAULT_CHUNK_TOKENS = env.ragChunkTokens;
 const DEFAULT_OVERLAP_TOKENS = env.ragOverlapTokens;
 const DEFAULT_BATCH_SIZE = env.localEmbeddingBatchSize;
-
-function getIndexingParams(text) {
+const DEFAULT_CHUNK_STRATEGY = CHUNK_STRATEGIES[env.ragChunkStrategy] ? env.ragChunkStrategy : 'structured';
+// Formats whose extracted text has no headings or paragraphs to follow.
+const WINDOW_ONLY_FILE_TYPES = new Set(['csv']);
+
+// With the embedding model's tokenizer, chunkSize/overlap are word pieces and
+// capped so every chunk fits the model's sequence length. Without it they are
+// characters estimated through RAG_TOKEN_TO_CHAR_RATIO.
+function getIndexingParams(text, { fileType, tokenizer = null } = {}) {
   const approxTokens = Math.ceil(text.length / TOKEN_TO_CHAR_RATIO);
 
   let chunkTokens = DEFAULT_CHUNK_TOKENS;
@@ -37,13 +44,68 @@ function getIndexingParams(text) {
     batchSize = 16;
   }
 
+  const strategy = WINDOW_ONLY_FILE_TYPES.has(String(fileType || '').toLowerCase())
+    ? 'window'
+    : DEFAULT_CHUNK_STRATEGY;
+
+  if (tokenizer) {
+    const chunkSize = Math.max(1, Math.min(chunkTokens, tokenizer.maxTokens - tokenizer.specialTokens));
+    const overlap = Math.min(overlapTokens, Math.floor(chunkSize / 5));
+    return {
+      chunkSize,
+      overlap,
+      batchSize,
+      strategy,
+      unit: 'tokens',
+      measure: tokenizer.countTokens,
+    };
+  }
+
   const chunkSize = Math.max(400, chunkTokens * TOKEN_TO_CHAR_RATIO);
   let overlap = Math.max(80, overlapTokens * TOKEN_TO_CHAR_RATIO);
   if (overlap >= chunkSize) {
     overlap = Math.floor(chunkSize / 5);
   }
 
-  return { chunkSize, overlap, batchSize };
+  return { chunkSize, overlap, batchSize, strategy, unit: 'chars' };
+}
+
+async function loadTokenizer(pdfId) {
+  try {
+    return await getTokenizer();
+  } catch (error) {
+    logError('ERROR_QUEUE', error, { pdfId, stage: 'loadTokenizer' });
+    return null;
+  }
+}
+
+// Chunks longer than the model's sequence length would be cut off when
+// embedded; count them so sizing regressions show up in indexing metrics.
+function measureChunkTokens(chunks, tokenizer) {
+  if (!tokenizer) {
+    return { measuredChunks: 0, maxChunkTokens: null, truncatedChunks: null };
+  }
+  let maxChunkTokens = 0;
+  let truncatedChunks = 0;
+  for (const chunk of chunks) {
+    const tokens = tokenizer.countTokens(chunk.text) + tokenizer.specialTokens;
+    maxChunkTokens = Math.max(maxChunkTokens, tokens);
+    if (tokens > tokenizer.maxTokens) {
+      truncatedChunks += 1;
+    }
+  }
+  return { measuredChunks: chunks.length, maxChunkTokens, truncatedChunks };
+}
+
+// Chunks sized by the character estimate (what indexing falls back to without
+// the tokenizer), and how many of them the model would have truncated.
+function measureCharacterSizedTruncation(text, { fileType, tokenizer }) {
+  if (!tokenizer) {
+    return { measuredChunks: 0, truncatedChunks: null };
+  }
+  const chunks = chunkDocument(text, getIndexingParams(text, { fileType }));
+  const { measuredChunks, truncatedChunks } = measureChunkTokens(chunks, tokenizer);
+  return { measuredChunks, truncatedChunks };
 }
 
 function toChunkKey(index, text) {
@@ -73,16 +135,23 @@ async function indexPdfById(pdfId, options = {}) {
 
   try {
     reportProgress(onProgress, 'parsing', 10);
-    const rawText = await parseFile({
+    const { text: rawText, pages } = await parseDocument({
       filePath: pdf.path,
       fileType: pdf.type,
     });
     reportProgress(onProgress, 'chunking', 35);
-    const indexingParams = getIndexingParams(rawText);
-    const chunks = chunkText(rawText, {
+    const tokenizer = await loadTokenizer(pdfId);
+    const indexingParams = getIndexingParams(rawText, { fileType: pdf.type, tokenizer });
+    const chunks = chunkDocument(rawText, {
       chunkSize: indexingParams.chunkSize,
       overlap: indexingParams.overlap,
+      strategy: indexingParams.strategy,
+      measure: indexingParams.measure,
     });
+    const tokenStats = {
+      maxChunkTokens: measureChunkTokens(chunks, tokenizer).maxChunkTokens,
+      ...measureCharacterSizedTruncation(rawText, { fileType: pdf.type, tokenizer }),
+    };
 
     if (chunks.length === 0) {
       markPdfFailed(pdfId);
@@ -91,7 +160,7 @@ async function indexPdfById(pdfId, options = {}) {
 
     const embeddingStartedAt = Date.now();
     reportProgress(onProgress, 'embedding', 45);
-    const vectors = await generateEmbeddings(chunks, {
+    const vectors = await generateEmbeddings(chunks.map((chunk) => chunk.text), {
       batchSize: indexingParams.batchSize,
       onProgress: ({ processed, total }) => {
         const ratio = total > 0 ? processed / total : 0;
@@ -99,10 +168,14 @@ async function indexPdfById(pdfId, options = {}) {
       },
     });
 
-    const items = chunks.map((text, index) => ({
-      text,
+    const items = chunks.map((chunk, index) => ({
+      text: chunk.text,
       embedding: vectors[index],
-      chunkKey: toChunkKey(index, text),
+      chunkKey: toChunkKey(index, chunk.text),
+      charStart: chunk.start,
+      charEnd: chunk.end,
+      headingPath: chunk.headingPath,
+      ...locateChunkPages(chunk, pages),
     }));
 
     const inserted = addChunks({
@@ -112,12 +185,26 @@ async function indexPdfById(pdfId, options = {}) {
       replacePdfChunks: true,
     });
 
+    reportProgress(onProgress, 'indexing', 95);
+    try {
+      await buildSessionIndexIfNeeded(pdf.sessionId);
+    } catch (error) {
+      // Retrieval falls back to the exact scan when no ANN index exists.
+      logError('ERROR_ANN_INDEX', error, {
+        pdfId,
+        sessionId: pdf.sessionId,
+        stage: 'buildSessionIndex',
+      });
+    }
+
     markPdfIndexed(pdfId, inserted);
     reportProgress(onProgress, 'embedding', 100);
     logInfo('INDEX_DONE', {
       pdfId,
       sessionId: pdf.sessionId,
       indexedChunks: inserted,
+      chunkSizeUnit: indexingParams.unit,
+      ...tokenStats,
       status: 'indexed',
     });
 
@@ -125,6 +212,8 @@ async function indexPdfById(pdfId, options = {}) {
       indexedChunks: inserted,
       indexingTimeMs: Date.now() - startedAt,
       embeddingTimeMs: Date.now() - embeddingStartedAt,
+      chunkSizeUnit: indexingParams.unit,
+      ...tokenStats,
     };
   } catch (error) {
     markPdfFailed(pdfId);
@@ -138,5 +227,8 @@ async function indexPdfById(pdfId, options = {}) {
 }
 
 module.exports = {
+  getIndexingParams,
+  measureChunkTokens,
+  measureCharacterSizedTruncation,
   indexPdfById,
 };
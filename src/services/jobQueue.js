@@ -1,7 +1,9 @@
 const db = require('../config/database');
 const { indexPdfById } = require('./indexingService');
 const { runChatQuery } = require('./ragService');
-const { addConversation } = require('./chatHistoryService');
+const { reembedChunks } = require('./reembeddingService');
+const { addMessage, addConversation, toAnswerMetadata } = require('./chatHistoryService');
+const { needsSummaryUpdate, updateSessionSummary } = require('./conversationSummaryService');
 const { recordIndexing, recordQuery } = require('./metricsService');
 const { logError } = require('../config/logger');
 
@@ -127,6 +129,12 @@ function getDefaultStageByType(type) {
   if (type === 'chatQuery') {
     return 'retrieving';
   }
+  if (type === 'reembedChunks') {
+    return 'embedding';
+  }
+  if (type === 'summarizeHistory') {
+    return 'summarizing';
+  }
   return null;
 }
 
@@ -194,6 +202,17 @@ function getJobForUser(jobId, userId) {
   return job;
 }
 
+// Queued or running job of a type whose payload matches, e.g. to avoid
+// enqueueing the same re-embedding twice.
+function findActiveJob(type, matches = () => true) {
+  for (const job of jobs.values()) {
+    if (job.type === type && (job.status === 'queued' || job.status === 'processing') && matches(job.payload)) {
+      return job;
+    }
+  }
+  return null;
+}
+
 function getQueueState() {
   const pending = queue.length;
   const processing = Array.from(jobs.values()).filter((job) => job.status === 'processing').length;
@@ -266,6 +285,25 @@ function addJob(payload) {
   return job;
 }
 
+// Called after a turn is stored. Queues a summary update once enough messages
+// left the recent history window, at most one per session at a time.
+function scheduleHistorySummary({ userId, sessionId }) {
+  try {
+    if (!needsSummaryUpdate(sessionId)) {
+      return null;
+    }
+    return findActiveJob('summarizeHistory', (payload) => payload.sessionId === sessionId)
+      || addJob({ type: 'summarizeHistory', userId, sessionId, maxRetries: 2 });
+  } catch (error) {
+    logError('ERROR_QUEUE', error, {
+      service: 'jobQueue',
+      stage: 'scheduleHistorySummary',
+      sessionId,
+    });
+    return null;
+  }
+}
+
 async function runJob(job) {
   const startedAt = Date.now();
 
@@ -278,6 +316,8 @@ async function runJob(job) {
     recordIndexing({
       indexingTimeMs: result.indexingTimeMs || 0,
       embeddingTimeMs: result.embeddingTimeMs || 0,
+      measuredChunks: result.measuredChunks || 0,
+      truncatedChunks: result.truncatedChunks ?? null,
     });
     updateJobProgress(job, { progress: 100, stage: 'embedding' });
     return {
@@ -293,13 +333,28 @@ async function runJob(job) {
       },
     });
     recordQuery({ queryTimeMs: Date.now() - startedAt });
+    let messageId = null;
     try {
-      addConversation({
-        userId: job.payload.userId,
-        sessionId: job.payload.sessionId,
-        userText: job.payload.message,
-        assistantText: response.answer,
-      });
+      // The question is stored when the job is queued; only the answer is
+      // left, unless storing the question failed.
+      messageId = job.payload.parentMessageId
+        ? addMessage({
+          userId: job.payload.userId,
+          sessionId: job.payload.sessionId,
+          parentId: job.payload.parentMessageId,
+          role: 'assistant',
+          text: response.answer,
+          grounding: response.grounding,
+          metadata: toAnswerMetadata(response),
+        })
+        : addConversation({
+          userId: job.payload.userId,
+          sessionId: job.payload.sessionId,
+          userText: job.payload.message,
+          assistantText: response.answer,
+          assistantGrounding: response.grounding,
+          assistantMetadata: toAnswerMetadata(response),
+        });
     } catch (error) {
       logError('ERROR_DB', error, {
         service: 'jobQueue',
@@ -307,8 +362,36 @@ async function runJob(job) {
         sessionId: job.payload.sessionId,
       });
     }
+    scheduleHistorySummary({ userId: job.payload.userId, sessionId: job.payload.sessionId });
     updateJobProgress(job, { progress: 100, stage: 'generating' });
-    return response;
+    return {
+      ...response,
+      userMessageId: job.payload.parentMessageId ? String(job.payload.parentMessageId) : null,
+      messageId: messageId ? String(messageId) : null,
+    };
+  }
+
+  if (job.type === 'reembedChunks') {
+    // Reruns after a retry or restart only pick up chunks not converted yet.
+    const result = await reembedChunks({
+      userId: job.payload.userId || null,
+      sessionId: job.payload.sessionId || null,
+      onProgress: ({ progress, stage }) => {
+        updateJobProgress(job, { progress, stage });
+      },
+    });
+    updateJobProgress(job, { progress: 100, stage: 'embedding' });
+    return result;
+  }
+
+  if (job.type === 'summarizeHistory') {
+    const result = await updateSessionSummary(job.payload.sessionId, {
+      onProgress: ({ progress, stage }) => {
+        updateJobProgress(job, { progress, stage });
+      },
+    });
+    updateJobProgress(job, { progress: 100, stage: 'summarizing' });
+    return result;
   }
 
   throw new Error(`Unsupported job type: ${job.type}`);
@@ -337,6 +420,10 @@ async function processQueue() {
       } else if (job.type === 'chatQuery') {
         job.progress = Math.max(job.progress || 0, 10);
         job.stage = 'retrieving';
+      } else if (job.type === 'reembedChunks') {
+        job.stage = 'embedding';
+      } else if (job.type === 'summarizeHistory') {
+        job.stage = 'summarizing';
       }
       if (!safePersistJob(job, false, 'setProcessing')) {
         job.status = 'failed';
@@ -515,10 +602,12 @@ recoverJobsFromDatabase();
 
 module.exports = {
   addJob,
+  findActiveJob,
   getJob,
   getJobForUser,
   getQueueState,
   getQueuePosition,
   cleanupJobs,
   removeJobsFromMemory,
+  scheduleHistorySummary,
 };
@@ -3,6 +3,8 @@ const metrics = {
     totalRuns: 0,
     totalTimeMs: 0,
     totalEmbeddingTimeMs: 0,
+    measuredChunks: 0,
+    truncatedChunks: 0,
   },
   query: {
     totalRuns: 0,
@@ -10,10 +12,15 @@ const metrics = {
   },
 };
 
-function recordIndexing({ indexingTimeMs = 0, embeddingTimeMs = 0 }) {
+function recordIndexing({ indexingTimeMs = 0, embeddingTimeMs = 0, measuredChunks = 0, truncatedChunks = null }) {
   metrics.indexing.totalRuns += 1;
   metrics.indexing.totalTimeMs += indexingTimeMs;
   metrics.indexing.totalEmbeddingTimeMs += embeddingTimeMs;
+  // Runs without the model tokenizer can't tell, so they are left out.
+  if (truncatedChunks !== null) {
+    metrics.indexing.measuredChunks += measuredChunks;
+    metrics.indexing.truncatedChunks += truncatedChunks;
+  }
 }
 
 function recordQuery({ queryTimeMs = 0 }) {
@@ -43,6 +50,10 @@ function getMetrics() {
       totalRuns: metrics.indexing.totalRuns,
       averageMs: avgEmbeddingTime,
     },
+    chunkTruncation: {
+      measuredChunks: metrics.indexing.measuredChunks,
+      truncatedChunks: metrics.indexing.truncatedChunks,
+    },
     averageQueryTime: {
       totalRuns: metrics.query.totalRuns,
       averageMs: avgQueryTime,
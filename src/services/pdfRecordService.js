@@ -1,12 +1,22 @@
 const path = require('path');
 const db = require('../config/database');
 const { invalidatePdfCache } = require('./vectorService');
+const { removePdfFromIndex } = require('./annIndexService');
+const { invalidateAnswerCache } = require('./answerCacheService');
 
 const insertPdfStmt = db.prepare(`
   INSERT INTO pdfs (user_id, sessionId, title, filename, path, type, status, indexedChunks, createdAt)
   VALUES (@userId, @sessionId, @title, @filename, @path, @type, @status, @indexedChunks, @createdAt)
 `);
 
+// Copies of a copy point at the original document, not at the intermediate one.
+const insertPdfCopyStmt = db.prepare(`
+  INSERT INTO pdfs (user_id, sessionId, title, filename, path, type, status, indexedChunks, createdAt, sourcePdfId)
+  SELECT @userId, @sessionId, title, filename, path, type, status, indexedChunks, @createdAt, COALESCE(sourcePdfId, id)
+  FROM pdfs
+  WHERE id = @pdfId
+`);
+
 const getPdfStmt = db.prepare(`
   SELECT id, sessionId, title, filename, path, type, status, indexedChunks, createdAt
   FROM pdfs
@@ -58,6 +68,18 @@ const countPdfsBySessionAndStatusStmt = db.prepare(`
   WHERE sessionId = ? AND user_id = ? AND status = ?
 `);
 
+const listPdfStatusesBySessionScopeStmt = db.prepare(`
+  SELECT status, indexedChunks
+  FROM pdfs
+  WHERE sessionId = ? AND user_id = ? AND id IN (SELECT value FROM json_each(?))
+`);
+
+const countPdfsByPathStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM pdfs
+  WHERE path = ? AND id != ?
+`);
+
 const deletePdfStmt = db.prepare(`
   DELETE FROM pdfs
   WHERE id = ? AND user_id = ?
@@ -99,6 +121,24 @@ function createPdfRecord({ userId, sessionId, title, filename = '', storagePath
   return getPdfById(Number(result.lastInsertRowid), normalizedUserId);
 }
 
+// A new record for an already indexed document in another session. It shares
+// the stored file; the chunks are copied separately (see copyPdfChunks).
+function copyPdfRecord(pdf, { userId, sessionId }) {
+  const result = insertPdfCopyStmt.run({
+    pdfId: pdf.id,
+    userId: normalizeUserId(userId),
+    sessionId,
+    createdAt: new Date().toISOString(),
+  });
+  return Number(result.lastInsertRowid);
+}
+
+// Forked sessions share stored files, so a file may only be removed once no
+// other document record points to it.
+function isStoragePathShared(storagePath, pdfId) {
+  return Boolean(storagePath) && countPdfsByPathStmt.get(storagePath, pdfId).count > 0;
+}
+
 function getPdfById(pdfId, userId = null) {
   if (Number.isInteger(Number(userId)) && Number(userId) > 0) {
     return getPdfByUserStmt.get(pdfId, Number(userId)) || null;
@@ -129,23 +169,34 @@ function assertPdfExists(pdfId, userId) {
   return pdf;
 }
 
+function invalidateSessionAnswers(pdfId) {
+  const pdf = getPdfById(pdfId);
+  if (pdf) {
+    invalidateAnswerCache(pdf.sessionId);
+  }
+}
+
 function markPdfIndexed(pdfId, indexedChunks) {
   updatePdfStatusStmt.run({ id: pdfId, status: 'indexed', indexedChunks });
+  invalidateSessionAnswers(pdfId);
 }
 
 function markPdfFailed(pdfId) {
   updatePdfStatusStmt.run({ id: pdfId, status: 'failed', indexedChunks: 0 });
+  invalidateSessionAnswers(pdfId);
 }
 
 function deletePdfRecord(pdfId, userId) {
   const normalizedUserId = normalizeUserId(userId);
-  assertPdfExists(pdfId, normalizedUserId);
+  const pdf = assertPdfExists(pdfId, normalizedUserId);
   const remove = db.transaction((id, ownerId) => {
     invalidatePdfCache(id);
     deleteChunksByPdfStmt.run(id);
     deletePdfStmt.run(id, ownerId);
   });
   remove(pdfId, normalizedUserId);
+  removePdfFromIndex(pdf.sessionId, pdfId);
+  invalidateAnswerCache(pdf.sessionId);
   return { deleted: true, id: pdfId };
 }
 
@@ -153,8 +204,54 @@ function getIndexedPdfCountBySession(sessionId, userId) {
   return countIndexedPdfsBySessionStmt.get(sessionId, normalizeUserId(userId)).count;
 }
 
-function getPdfReadinessBySession(sessionId, userId) {
+// Turns chat `pdfIds` / `excludePdfIds` into the explicit list of selected pdf
+// ids, or null when the whole session is in scope.
+function resolvePdfScope(sessionId, userId, { pdfIds, excludePdfIds } = {}) {
+  const hasInclude = Array.isArray(pdfIds) && pdfIds.length > 0;
+  const hasExclude = Array.isArray(excludePdfIds) && excludePdfIds.length > 0;
+  if (!hasInclude && !hasExclude) {
+    return null;
+  }
+
+  const sessionPdfIds = listPdfsBySession(sessionId, userId).map((pdf) => pdf.id);
+  const known = new Set(sessionPdfIds);
+  const requested = [...(hasInclude ? pdfIds : []), ...(hasExclude ? excludePdfIds : [])].map(Number);
+  const unknown = requested.filter((id) => !known.has(id));
+  if (unknown.length > 0) {
+    const error = new Error(`Documents not found in this session: ${[...new Set(unknown)].join(', ')}.`);
+    error.statusCode = 404;
+    error.code = 'PDF_NOT_FOUND';
+    throw error;
+  }
+
+  const excluded = new Set(hasExclude ? excludePdfIds.map(Number) : []);
+  const selected = [...new Set(hasInclude ? pdfIds.map(Number) : sessionPdfIds)]
+    .filter((id) => !excluded.has(id))
+    .sort((a, b) => a - b);
+  if (selected.length === 0) {
+    const error = new Error('Document selection excludes every document in the session.');
+    error.statusCode = 400;
+    error.code = 'EMPTY_PDF_SCOPE';
+    throw error;
+  }
+  return selected;
+}
+
+function getScopedPdfReadiness(sessionId, userId, pdfIds) {
+  const rows = listPdfStatusesBySessionScopeStmt.all(sessionId, userId, JSON.stringify(pdfIds));
+  return {
+    uploaded: rows.length,
+    indexed: rows.filter((row) => row.status === 'indexed' && row.indexedChunks > 0).length,
+    processing: rows.filter((row) => row.status === 'processing').length,
+    failed: rows.filter((row) => row.status === 'failed').length,
+  };
+}
+
+function getPdfReadinessBySession(sessionId, userId, pdfIds = null) {
   const normalizedUserId = normalizeUserId(userId);
+  if (Array.isArray(pdfIds)) {
+    return getScopedPdfReadiness(sessionId, normalizedUserId, pdfIds);
+  }
   const uploaded = countPdfsBySessionStmt.get(sessionId, normalizedUserId).count;
   const indexed = getIndexedPdfCountBySession(sessionId, normalizedUserId);
   const processing = countPdfsBySessionAndStatusStmt.get(sessionId, normalizedUserId, 'processing').count;
@@ -170,6 +267,8 @@ function getPdfReadinessBySession(sessionId, userId) {
 
 module.exports = {
   createPdfRecord,
+  copyPdfRecord,
+  isStoragePathShared,
   updatePdfStorage,
   getPdfById,
   listPdfsBySession,
@@ -179,4 +278,5 @@ module.exports = {
   deletePdfRecord,
   getIndexedPdfCountBySession,
   getPdfReadinessBySession,
+  resolvePdfScope,
 };
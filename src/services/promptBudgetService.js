@@ -0,0 +1,118 @@
+const env = require('../config/env');
+
+// The answer model's tokenizer is unknown here, so prompt sizes are estimated
+// from characters the same way chunk sizes are without a tokenizer.
+const TOKEN_TO_CHAR_RATIO = env.ragTokenToCharRatio;
+const DEFAULT_TOKEN_BUDGET = env.ragPromptTokenBudget;
+const DEFAULT_HISTORY_SHARE = env.ragPromptHistoryShare;
+// A cut chunk shorter than this carries too little to be worth its header.
+const MIN_TRUNCATED_CHUNK_TOKENS = 40;
+const TRUNCATION_MARKER = ' [...]';
+const BLOCK_SEPARATOR = '\n\n';
+
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / TOKEN_TO_CHAR_RATIO);
+}
+
+function truncateToTokens(text, tokens) {
+  const maxChars = Math.max(0, (tokens * TOKEN_TO_CHAR_RATIO) - TRUNCATION_MARKER.length);
+  let cut = text.slice(0, maxChars);
+  const lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace > maxChars * 0.8) {
+    cut = cut.slice(0, lastSpace);
+  }
+  return `${cut.trimEnd()}${TRUNCATION_MARKER}`;
+}
+
+// Newest entries first, stopping at the first one that no longer fits, so the
+// oldest history is what gets dropped.
+function fitHistory(history, allowance, formatHistoryEntry) {
+  const kept = [];
+  let used = 0;
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const tokens = estimateTokens(`${formatHistoryEntry(history[index])}${BLOCK_SEPARATOR}`);
+    if (used + tokens > allowance) {
+      break;
+    }
+    kept.unshift(history[index]);
+    used += tokens;
+  }
+  return { kept, used };
+}
+
+// Highest-scoring chunks claim the allowance first. The chunk where it runs
+// out is cut to what is left, and every lower-scoring chunk is dropped.
+// Chunks keep their original order in the result.
+function fitContext(candidates, allowance, formatChunk) {
+  const byScore = candidates
+    .map((chunk, index) => ({ chunk, index }))
+    .sort((a, b) => (b.chunk.score || 0) - (a.chunk.score || 0));
+  const fitted = new Map();
+  let used = 0;
+  let truncated = 0;
+
+  for (const { chunk, index } of byScore) {
+    const tokens = estimateTokens(`${formatChunk(chunk, index)}${BLOCK_SEPARATOR}`);
+    if (used + tokens <= allowance) {
+      fitted.set(index, chunk);
+      used += tokens;
+      continue;
+    }
+
+    const overhead = tokens - estimateTokens(chunk.text);
+    const textAllowance = allowance - used - overhead;
+    if (textAllowance >= MIN_TRUNCATED_CHUNK_TOKENS) {
+      const cutChunk = { ...chunk, text: truncateToTokens(chunk.text, textAllowance), truncated: true };
+      fitted.set(index, cutChunk);
+      used += estimateTokens(`${formatChunk(cutChunk, index)}${BLOCK_SEPARATOR}`);
+      truncated += 1;
+    }
+    break;
+  }
+
+  const kept = [...fitted.entries()].sort((a, b) => a[0] - b[0]).map(([, chunk]) => chunk);
+  return { kept, used, truncated };
+}
+
+// Splits the budget left after the fixed prompt text (system block, section
+// labels, question): history may take `historyShare` of it, or more when the
+// context needs less, and the context gets whatever history leaves over.
+function allocatePromptBudget({
+  fixedText,
+  history = [],
+  candidates = [],
+  formatHistoryEntry,
+  formatChunk,
+  budget = DEFAULT_TOKEN_BUDGET,
+  historyShare = DEFAULT_HISTORY_SHARE,
+}) {
+  const systemTokens = estimateTokens(fixedText);
+  const available = Math.max(0, budget - systemTokens);
+  const contextNeed = candidates.reduce(
+    (sum, chunk, index) => sum + estimateTokens(`${formatChunk(chunk, index)}${BLOCK_SEPARATOR}`),
+    0
+  );
+
+  const historyAllowance = Math.max(Math.floor(available * historyShare), available - contextNeed);
+  const historyFit = fitHistory(history, historyAllowance, formatHistoryEntry);
+  const contextFit = fitContext(candidates, available - historyFit.used, formatChunk);
+
+  return {
+    history: historyFit.kept,
+    candidates: contextFit.kept,
+    usage: {
+      budget,
+      system: systemTokens,
+      history: historyFit.used,
+      context: contextFit.used,
+      droppedHistoryEntries: history.length - historyFit.kept.length,
+      droppedChunks: candidates.length - contextFit.kept.length,
+      truncatedChunks: contextFit.truncated,
+    },
+  };
+}
+
+module.exports = {
+  estimateTokens,
+  allocatePromptBudget,
+};
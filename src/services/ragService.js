@@ -1,27 +1,40 @@
+const { generateText, streamText } = require('../llm');
+const { generateEmbedding, getEmbeddingModelId } = require('./embeddingService');
 const {
-  getGenAI,
-  getGenerationModelCandidates,
-  getGeminiErrorDetails,
-  isGeminiNotFoundError,
-} = require('../config/gemini');
-const { generateEmbedding } = require('./embeddingService');
-const { similaritySearch, getChunkCountBySession } = require('./vectorService');
-const { logError } = require('../config/logger');
+  similaritySearch,
+  keywordSearch,
+  getChunkVectors,
+  getChunkLocations,
+  getChunkCountBySession,
+  getEmbeddingModelsBySession,
+} = require('./vectorService');
+const { searchSessionIndex, shouldUseAnnIndex } = require('./annIndexService');
+const { rerankCandidates, selectDiverseCandidates, normalizeMmrLambda } = require('./rerankService');
+const { verifyGrounding } = require('./groundingService');
+const { buildOptionsKey, lookupCachedAnswer, storeCachedAnswer } = require('./answerCacheService');
+const { getSessionSettings, getPersonaInstruction } = require('./sessionSettingsService');
+const { getSummaryForPrompt } = require('./conversationSummaryService');
+const { estimateTokens, allocatePromptBudget } = require('./promptBudgetService');
+const { logInfo, logError } = require('../config/logger');
 const env = require('../config/env');
 
 const DEFAULT_TOP_K = env.ragTopK;
 const DEFAULT_CANDIDATE_PAGE_SIZE = env.ragCandidatePageSize;
 const DEFAULT_HISTORY_LIMIT = env.ragHistoryLimit;
 const FALLBACK_ANSWER = "I don't know - please provide more context.";
+const FALLBACK_KEY_POINT = 'Not enough evidence was found in indexed documents.';
 const DEFAULT_RESPONSE_STYLE = env.ragResponseStyle;
+const DEFAULT_ANSWER_CACHE = env.ragAnswerCache;
 const RESPONSE_STYLES = new Set(['plain', 'structured']);
-
-function createGenerationError(message, details) {
-  const error = new Error(message);
-  error.statusCode = 500;
-  error.gemini = details || null;
-  return error;
-}
+const DEFAULT_RETRIEVAL_MODE = env.ragRetrievalMode;
+const RETRIEVAL_MODES = new Set(['vector', 'hybrid']);
+const DEFAULT_CANDIDATE_POOL = env.ragCandidatePool;
+const MAX_CANDIDATE_POOL = 100;
+const RRF_K = env.ragRrfK;
+const DEFAULT_QUERY_REWRITE = env.ragQueryRewrite;
+const QUERY_REWRITE_HISTORY_LIMIT = 6;
+const QUERY_REWRITE_TEXT_LIMIT = 1000;
+const MAX_REWRITTEN_QUERY_LENGTH = 500;
 
 function normalizeResponseStyle(value) {
   const candidate = String(value || DEFAULT_RESPONSE_STYLE || 'structured').toLowerCase();
@@ -31,41 +44,149 @@ function normalizeResponseStyle(value) {
   return 'structured';
 }
 
-function formatHistory(history = []) {
-  return history
-    .slice(-DEFAULT_HISTORY_LIMIT)
-    .map((entry) => `${entry.role.toUpperCase()}: ${entry.text}`)
-    .join('\n\n');
+function normalizeRetrievalMode(value) {
+  const candidate = String(value || DEFAULT_RETRIEVAL_MODE || 'hybrid').toLowerCase();
+  if (RETRIEVAL_MODES.has(candidate)) {
+    return candidate;
+  }
+  return 'hybrid';
 }
 
-function buildPrompt({ message, history, candidates, responseStyle }) {
-  const context = candidates
-    .map((chunk, index) => `Chunk ${index + 1} (pdfId=${chunk.pdfId}, score=${chunk.score.toFixed(4)}):\n${chunk.text}`)
-    .join('\n\n');
+// Reciprocal rank fusion: each list contributes 1 / (k + rank) per chunk, so
+// chunks ranked well by both vector and keyword search float to the top
+// without having to calibrate cosine scores against BM25 scores.
+function fuseRankedResults(rankedLists, { k = RRF_K, topK } = {}) {
+  const fused = new Map();
 
-  const structuredInstructions = normalizeResponseStyle(responseStyle) === 'structured'
-    ? '\n\nResponse format (strict plain text):\nAnswer: <direct answer in 1-3 sentences>\n\nKey Points:\n- <point>\n- <point>\n\nEvidence:\n- Chunk <n>: <short evidence, or None>\n\nFollow-up:\n- <next question>\n\nRules:\n- Use plain text only.\n- Do not use markdown markers like **, __, #, or backticks.\n- Keep one blank line between sections.'
-    : '';
+  for (const { source, results } of rankedLists) {
+    (results || []).forEach((item, index) => {
+      const entry = fused.get(item.chunkId) || {
+        chunkId: item.chunkId,
+        pdfId: item.pdfId,
+        text: item.text,
+        score: 0,
+        ranking: {},
+      };
+      entry.score += 1 / (k + index + 1);
+      entry.ranking[source] = {
+        rank: index + 1,
+        score: item.score,
+      };
+      fused.set(item.chunkId, entry);
+    });
+  }
+
+  const sorted = [...fused.values()].sort((a, b) => b.score - a.score);
+  return Number.isInteger(topK) && topK > 0 ? sorted.slice(0, topK) : sorted;
+}
+
+function formatHistoryEntry(entry) {
+  return `${entry.role.toUpperCase()}: ${entry.text}`;
+}
+
+function formatContextChunk(chunk, index) {
+  return `Chunk ${index + 1} (pdfId=${chunk.pdfId}, score=${chunk.score.toFixed(4)}):\n${chunk.text}`;
+}
+
+// Session settings (see sessionSettingsService) adjust the SYSTEM block; with
+// none stored it reads exactly as the global default.
+function buildSystemInstructions(settings = {}, responseStyle) {
+  const lines = [
+    'You are an AI assistant that analyzes uploaded documents.',
+    'When documents exist:',
+    'Use them as primary context.',
+    settings.documentOnly
+      ? "Answer only from the document context. If it does not contain the answer, say that the documents don't cover it instead of using outside knowledge."
+      : 'If the question asks about general English meaning, definitions, or explanations, you may answer normally.',
+    'Always try to help the user understand the content clearly.',
+  ];
+
+  const personaInstruction = getPersonaInstruction(settings.persona);
+  if (personaInstruction) {
+    lines.push(personaInstruction);
+  }
+  if (settings.answerLanguage) {
+    lines.push(normalizeResponseStyle(responseStyle) === 'structured'
+      ? `Write the answer in ${settings.answerLanguage}, but keep the section labels below in English.`
+      : `Write the answer in ${settings.answerLanguage}.`);
+  }
+  if (settings.customInstruction) {
+    lines.push(`Session instructions:\n${settings.customInstruction}`);
+  }
+  return lines.join('\n');
+}
 
+function renderPrompt({ systemText, conversationSummary, historyText, contextText, message }) {
+  const summaryBlock = conversationSummary
+    ? `CONVERSATION SUMMARY (earlier turns):\n${conversationSummary}\n\n`
+    : '';
   return `SYSTEM:
-You are an AI assistant that analyzes uploaded documents.
-When documents exist:
-Use them as primary context.
-If the question asks about general English meaning, definitions, or explanations, you may answer normally.
-Always try to help the user understand the content clearly.${structuredInstructions}
+${systemText}
 
-CHAT HISTORY:
-${formatHistory(history) || 'No prior history.'}
+${summaryBlock}CHAT HISTORY:
+${historyText || 'No prior history.'}
 
 DOCUMENT CONTEXT:
-${context || 'No documents retrieved.'}
+${contextText || 'No documents retrieved.'}
 
 USER QUESTION:
 ${message}`;
 }
 
+// Fits the recent history and retrieved chunks into the prompt token budget
+// (see promptBudgetService). Returns the prompt, the chunks it actually
+// contains (some possibly cut short) and the token estimate. The conversation
+// summary counts as fixed text next to the system block.
+function buildPromptWithBudget({
+  message,
+  history = [],
+  candidates,
+  responseStyle,
+  settings,
+  conversationSummary,
+  tokenBudget,
+}) {
+  const structuredInstructions = normalizeResponseStyle(responseStyle) === 'structured'
+    ? '\n\nResponse format (strict plain text):\nAnswer: <direct answer in 1-3 sentences>\n\nKey Points:\n- <point>\n- <point>\n\nEvidence:\n- Chunk <n>: <short evidence, or None>\n\nFollow-up:\n- <next question>\n\nRules:\n- Use plain text only.\n- Do not use markdown markers like **, __, #, or backticks.\n- Keep one blank line between sections.'
+    : '';
+
+  const systemText = `${buildSystemInstructions(settings, responseStyle)}${structuredInstructions}`;
+
+  const allocation = allocatePromptBudget({
+    fixedText: renderPrompt({ systemText, conversationSummary, message }),
+    history: history.slice(-DEFAULT_HISTORY_LIMIT),
+    candidates,
+    formatHistoryEntry,
+    formatChunk: formatContextChunk,
+    budget: tokenBudget,
+  });
+  const prompt = renderPrompt({
+    systemText,
+    conversationSummary,
+    historyText: allocation.history.map(formatHistoryEntry).join('\n\n'),
+    contextText: allocation.candidates.map(formatContextChunk).join('\n\n'),
+    message,
+  });
+
+  return {
+    prompt,
+    candidates: allocation.candidates,
+    promptTokens: { estimated: estimateTokens(prompt), ...allocation.usage },
+  };
+}
+
+function buildPrompt(options) {
+  return buildPromptWithBudget(options).prompt;
+}
+
+function logPromptTrim(sessionId, promptTokens) {
+  if (promptTokens.droppedHistoryEntries > 0 || promptTokens.droppedChunks > 0 || promptTokens.truncatedChunks > 0) {
+    logInfo('PROMPT_BUDGET_TRIMMED', { sessionId, ...promptTokens });
+  }
+}
+
 function buildStructuredFallbackAnswer() {
-  return `Answer:\n${FALLBACK_ANSWER}\n\nKey Points:\n- Not enough evidence was found in indexed documents.\n\nEvidence:\n- None.\n\nFollow-up:\n- Upload or index relevant PDFs and ask again.`;
+  return `Answer:\n${FALLBACK_ANSWER}\n\nKey Points:\n- ${FALLBACK_KEY_POINT}\n\nEvidence:\n- None.\n\nFollow-up:\n- Upload or index relevant PDFs and ask again.`;
 }
 
 function normalizeSectionTitle(value) {
@@ -208,7 +329,7 @@ function formatStructuredAnswer(schema) {
     || FALLBACK_ANSWER;
   const keyPoints = ensureBulletList(
     getSectionContent(schema, 'Key Points'),
-    'Not enough evidence was found in indexed documents.'
+    FALLBACK_KEY_POINT
   );
   const evidence = ensureBulletList(
     getSectionContent(schema, 'Evidence'),
@@ -287,151 +408,381 @@ function normalizeAnswerPayload({ rawText, responseStyle }) {
   };
 }
 
-async function generateTextWithFallback({ prompt, generationConfig }) {
-  const ai = getGenAI();
-  const models = getGenerationModelCandidates();
-  let lastError = null;
+// Statements the grounding check verifies: the key points of a structured
+// answer, or the sentences of a plain one. Our own fallback lines are skipped.
+function extractGroundingClaims({ answer, responseSchema, responseStyle }) {
+  if (normalizeResponseStyle(responseStyle) === 'structured') {
+    return getSectionContent(responseSchema, 'Key Points')
+      .split('\n')
+      .map((line) => line.replace(/^\s*[-*•]\s*/, '').trim())
+      .filter((line) => line && line !== FALLBACK_KEY_POINT);
+  }
+  if (!answer || answer === FALLBACK_ANSWER) {
+    return [];
+  }
+  return answer
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map((sentence) => sentence.replace(/^\s*[-*•]\s*/, '').trim())
+    .filter(Boolean);
+}
 
-  for (let i = 0; i < models.length; i += 1) {
-    const model = models[i];
-    try {
-      const response = await Promise.race([
-        ai.models.generateContent({
-          model,
-          contents: prompt,
-          config: generationConfig,
-        }),
-        new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Gemini request timeout.')), 25_000);
-        }),
-      ]);
-
-      return response?.text || '';
-    } catch (error) {
-      lastError = error;
-      const details = getGeminiErrorDetails(error);
-      const hasNext = i < models.length - 1;
-      if (isGeminiNotFoundError(error) && hasNext) {
-        continue;
-      }
+function buildQueryRewritePrompt({ message, history }) {
+  const recentHistory = history
+    .slice(-QUERY_REWRITE_HISTORY_LIMIT)
+    .map((entry) => `${entry.role.toUpperCase()}: ${String(entry.text || '').slice(0, QUERY_REWRITE_TEXT_LIMIT)}`)
+    .join('\n\n');
 
-      throw createGenerationError(
-        isGeminiNotFoundError(error)
-          ? `Generation model "${model}" is unavailable.`
-          : 'Gemini generation request failed.',
-        details
-      );
-    }
+  return `Rewrite the follow-up question as a standalone search query for the uploaded documents.
+Resolve pronouns and references ("it", "the second one", "that section") using the conversation.
+Keep names, numbers and technical terms exactly as written. Do not answer the question.
+Reply with the query only, on one line.
+
+CONVERSATION:
+${recentHistory}
+
+FOLLOW-UP QUESTION:
+${message}`;
+}
+
+// Models sometimes wrap the query in quotes or prefix it with a label.
+function cleanRewrittenQuery(rawText) {
+  const line = String(rawText || '')
+    .split('\n')
+    .map((item) => item.trim())
+    .find(Boolean) || '';
+  return stripMarkdownFormatting(line)
+    .replace(/^(standalone\s+)?(search\s+)?query\s*:\s*/i, '')
+    .replace(/^["'\u201C]+|["'\u201D]+$/g, '')
+    .trim()
+    .slice(0, MAX_REWRITTEN_QUERY_LENGTH);
+}
+
+// Condenses a follow-up question plus chat history into a standalone query
+// for retrieval. The original question still goes into the answer prompt; any
+// failure just means retrieving with the question as asked.
+async function rewriteQuery({ message, history = [], enabled = DEFAULT_QUERY_REWRITE, sessionId }) {
+  if (!enabled || !Array.isArray(history) || history.length === 0) {
+    return { query: message, rewritten: false };
   }
 
-  throw createGenerationError('Gemini generation failed for all configured models.', getGeminiErrorDetails(lastError));
+  try {
+    const rawText = await generateText({
+      prompt: buildQueryRewritePrompt({ message, history }),
+      options: { temperature: 0 },
+      task: 'rewriteQuery',
+    });
+    const query = cleanRewrittenQuery(rawText);
+    if (!query) {
+      return { query: message, rewritten: false };
+    }
+    return { query, rewritten: query !== message };
+  } catch (error) {
+    logError('ERROR_QUERY_REWRITE', error, {
+      service: 'ragService',
+      sessionId,
+    });
+    return { query: message, rewritten: false };
+  }
 }
 
-async function generateTextStreamWithFallback({ prompt, generationConfig, onToken }) {
-  const ai = getGenAI();
-  const models = getGenerationModelCandidates();
-  let lastError = null;
+// Chunks the re-embedding job has not reached yet after a model switch are
+// searched with their own model, so every document stays retrievable
+// meanwhile. Cosine scores of different models are not comparable, so the
+// per-model rankings are fused like vector and keyword results are.
+async function searchVectors({ sessionId, message, poolSize, pdfIds, onProgress, currentQueryEmbedding = null }) {
+  const currentModel = getEmbeddingModelId();
+  const rankedLists = [];
 
-  for (let i = 0; i < models.length; i += 1) {
-    const model = models[i];
+  for (const { embeddingModel, count } of getEmbeddingModelsBySession(sessionId, pdfIds)) {
+    let queryEmbedding;
     try {
-      const stream = await Promise.race([
-        ai.models.generateContentStream({
-          model,
-          contents: prompt,
-          config: generationConfig,
-        }),
-        new Promise((_, reject) => {
-          setTimeout(() => reject(new Error('Gemini request timeout.')), 25_000);
-        }),
-      ]);
-
-      let fullText = '';
-      for await (const chunk of stream) {
-        const token = String(chunk?.text || '');
-        if (!token) {
-          continue;
-        }
-        fullText += token;
-        if (typeof onToken === 'function') {
-          onToken(token);
-        }
+      // eslint-disable-next-line no-await-in-loop
+      queryEmbedding = embeddingModel === currentModel && currentQueryEmbedding
+        ? currentQueryEmbedding
+        : await generateEmbedding(message, { embeddingModel });
+    } catch (error) {
+      if (embeddingModel === currentModel) {
+        throw error;
       }
+      logError('ERROR_EMBEDDING', error, {
+        service: 'ragService',
+        stage: 'previousModelQueryEmbedding',
+        sessionId,
+        embeddingModel,
+      });
+      continue;
+    }
 
-      return fullText;
-    } catch (error) {
-      lastError = error;
-      const hasNext = i < models.length - 1;
-      if (isGeminiNotFoundError(error) && hasNext) {
-        continue;
+    let modelResults = null;
+    if (shouldUseAnnIndex(count)) {
+      // Large sessions go through the ANN index; null means no usable index yet.
+      // eslint-disable-next-line no-await-in-loop
+      modelResults = await searchSessionIndex({
+        sessionId,
+        queryEmbedding,
+        topK: poolSize,
+        pdfIds,
+        embeddingModel,
+      });
+      if (modelResults && onProgress) {
+        onProgress({ stage: 'retrieving', progress: 60 });
       }
+    }
 
-      throw createGenerationError(
-        isGeminiNotFoundError(error)
-          ? `Generation model "${model}" is unavailable.`
-          : 'Gemini generation request failed.',
-        getGeminiErrorDetails(error)
-      );
+    if (!modelResults) {
+      // eslint-disable-next-line no-await-in-loop
+      modelResults = await similaritySearch({
+        sessionId,
+        queryEmbedding,
+        topK: poolSize,
+        pageSize: DEFAULT_CANDIDATE_PAGE_SIZE,
+        pdfIds,
+        embeddingModel,
+        onProgress: ({ processed, total }) => {
+          if (!onProgress) {
+            return;
+          }
+          const ratio = total > 0 ? processed / total : 1;
+          onProgress({
+            stage: 'retrieving',
+            progress: 10 + Math.round(ratio * 50),
+          });
+        },
+      });
     }
+    rankedLists.push({ source: embeddingModel, results: modelResults });
   }
 
-  throw createGenerationError('Gemini generation failed for all configured models.', getGeminiErrorDetails(lastError));
+  if (rankedLists.length <= 1) {
+    return (rankedLists[0]?.results || []).slice(0, poolSize);
+  }
+  return fuseRankedResults(rankedLists, { topK: poolSize });
 }
 
-async function retrieveCandidates({ sessionId, message, topK, onProgress }) {
+async function retrieveCandidates({
+  sessionId,
+  message,
+  topK,
+  retrievalMode,
+  candidatePool,
+  mmrLambda,
+  reranker,
+  pdfIds,
+  onProgress,
+  queryEmbedding,
+  stats = null,
+}) {
   if (onProgress) {
     onProgress({ stage: 'retrieving', progress: 10 });
   }
+  const timings = {};
+  let stageStartedAt = Date.now();
 
-  const queryEmbedding = await generateEmbedding(message);
   const normalizedTopK = Math.max(1, Math.min(8, Number(topK) || DEFAULT_TOP_K));
-  const candidates = await similaritySearch({
+  const normalizedRetrievalMode = normalizeRetrievalMode(retrievalMode);
+  // Over-fetch so reranking and MMR have alternatives to choose from.
+  const poolSize = Math.max(
+    normalizedTopK,
+    Math.min(MAX_CANDIDATE_POOL, Number(candidatePool) || DEFAULT_CANDIDATE_POOL)
+  );
+  const vectorResults = await searchVectors({
     sessionId,
-    queryEmbedding,
-    topK: normalizedTopK,
-    pageSize: DEFAULT_CANDIDATE_PAGE_SIZE,
-    onProgress: ({ processed, total }) => {
-      if (!onProgress) {
-        return;
-      }
-      const ratio = total > 0 ? processed / total : 1;
-      onProgress({
-        stage: 'retrieving',
-        progress: 10 + Math.round(ratio * 50),
+    message,
+    poolSize,
+    pdfIds,
+    onProgress,
+    currentQueryEmbedding: queryEmbedding,
+  });
+  timings.vectorMs = Date.now() - stageStartedAt;
+
+  let pool = vectorResults.map((item, index) => ({
+    ...item,
+    ranking: { vector: { rank: index + 1, score: item.score } },
+  }));
+
+  if (normalizedRetrievalMode === 'hybrid') {
+    stageStartedAt = Date.now();
+    let keywordResults = [];
+    try {
+      keywordResults = keywordSearch({
+        sessionId,
+        query: message,
+        topK: poolSize,
+        pdfIds,
       });
-    },
+    } catch (error) {
+      logError('ERROR_DB', error, {
+        service: 'ragService',
+        stage: 'keywordSearch',
+        sessionId,
+      });
+    }
+
+    pool = fuseRankedResults([
+      { source: 'vector', results: vectorResults },
+      { source: 'keyword', results: keywordResults },
+    ], { topK: poolSize }).map((item, index) => ({
+      ...item,
+      ranking: { ...item.ranking, fusion: { rank: index + 1, score: item.score } },
+    }));
+    timings.keywordMs = Date.now() - stageStartedAt;
+  }
+
+  stageStartedAt = Date.now();
+  pool = await rerankCandidates({ query: message, candidates: pool, reranker });
+  timings.rerankMs = Date.now() - stageStartedAt;
+
+  stageStartedAt = Date.now();
+  const selected = selectDiverseCandidates(pool, getChunkVectors(pool.map((item) => item.chunkId)), {
+    lambda: normalizeMmrLambda(mmrLambda),
+    topK: normalizedTopK,
   });
+  timings.mmrMs = Date.now() - stageStartedAt;
+  if (stats) {
+    Object.assign(stats, { retrievalMode: normalizedRetrievalMode, poolSize, pooledCandidates: pool.length, timings });
+  }
+  const locations = getChunkLocations(selected.map((item) => item.chunkId));
+  return selected.map((item) => ({ ...item, ...locations.get(item.chunkId) }));
+}
+
+// A question may reuse the answer to a near-identical earlier one. Standalone
+// questions (no history, or rewritten into one) match on their own; other
+// follow-ups only after the same last exchange. A failing cache only costs the
+// shortcut.
+async function lookupAnswerCache({ sessionId, retrievalQuery, history, useCache, cacheOptions }) {
+  if (!(useCache ?? DEFAULT_ANSWER_CACHE)) {
+    return null;
+  }
+
+  try {
+    return await lookupCachedAnswer({
+      sessionId,
+      query: retrievalQuery.query,
+      optionsKey: buildOptionsKey({
+        ...cacheOptions,
+        history: retrievalQuery.rewritten ? null : history,
+      }),
+    });
+  } catch (error) {
+    logError('ERROR_ANSWER_CACHE', error, {
+      service: 'ragService',
+      stage: 'lookup',
+      sessionId,
+    });
+    return null;
+  }
+}
+
+function saveAnswerCache(cacheEntry, response, sessionId) {
+  try {
+    storeCachedAnswer(cacheEntry, response);
+  } catch (error) {
+    logError('ERROR_ANSWER_CACHE', error, {
+      service: 'ragService',
+      stage: 'store',
+      sessionId,
+    });
+  }
+}
 
-  return candidates;
+function formatModel(generation) {
+  return generation.model ? `${generation.provider}:${generation.model}` : null;
+}
+
+function toSource(chunk) {
+  return {
+    pdfId: chunk.pdfId,
+    chunkId: chunk.chunkId,
+    score: chunk.score,
+    pageStart: chunk.pageStart ?? null,
+    pageEnd: chunk.pageEnd ?? null,
+    charStart: chunk.charStart ?? null,
+    charEnd: chunk.charEnd ?? null,
+    headingPath: chunk.headingPath || [],
+  };
 }
 
 async function runChatQuery(
-  { sessionId, message, history = [], topK = DEFAULT_TOP_K, responseStyle },
+  {
+    sessionId,
+    message,
+    history = [],
+    topK = DEFAULT_TOP_K,
+    responseStyle,
+    candidatePool,
+    mmrLambda,
+    reranker,
+    pdfIds,
+    rewriteQuery: rewriteEnabled,
+    groundingCheck,
+    useCache,
+  },
   options = {}
 ) {
   const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
   const normalizedResponseStyle = normalizeResponseStyle(options.responseStyle || responseStyle);
 
-  const candidates = await retrieveCandidates({
-    sessionId,
+  const retrievalQuery = await rewriteQuery({
     message,
+    history,
+    enabled: rewriteEnabled ?? DEFAULT_QUERY_REWRITE,
+    sessionId,
+  });
+  const rewrittenQuery = retrievalQuery.rewritten ? retrievalQuery.query : null;
+  const settings = getSessionSettings(sessionId);
+  const cacheEntry = await lookupAnswerCache({
+    sessionId,
+    retrievalQuery,
+    history,
+    useCache,
+    cacheOptions: {
+      responseStyle: normalizedResponseStyle,
+      topK,
+      candidatePool,
+      mmrLambda,
+      reranker,
+      pdfIds,
+      groundingCheck,
+      settings,
+    },
+  });
+  if (cacheEntry?.hit) {
+    if (onProgress) {
+      onProgress({ stage: 'generating', progress: 100 });
+    }
+    return { ...cacheEntry.hit, rewrittenQuery, promptTokens: null, cached: true };
+  }
+
+  const retrieved = await retrieveCandidates({
+    sessionId,
+    message: retrievalQuery.query,
     topK,
+    candidatePool,
+    mmrLambda,
+    reranker,
+    pdfIds,
     onProgress,
+    queryEmbedding: cacheEntry?.queryEmbedding,
   });
 
-  const prompt = buildPrompt({
+  // From here on `candidates` are the chunks that made it into the prompt.
+  const { prompt, candidates, promptTokens } = buildPromptWithBudget({
     message,
     history,
-    candidates,
+    candidates: retrieved,
     responseStyle: normalizedResponseStyle,
+    settings,
+    conversationSummary: getSummaryForPrompt(sessionId),
   });
+  logPromptTrim(sessionId, promptTokens);
 
   let rawAnswer = '';
+  const generation = {};
   try {
     if (onProgress) {
       onProgress({ stage: 'generating', progress: 70 });
     }
-    rawAnswer = await generateTextWithFallback({ prompt });
+    rawAnswer = await generateText({ prompt, meta: generation });
     if (onProgress) {
       onProgress({ stage: 'generating', progress: 100 });
     }
@@ -443,61 +794,209 @@ async function runChatQuery(
     });
   }
 
-  return {
-    ...normalizeAnswerPayload({ rawText: rawAnswer, responseStyle: normalizedResponseStyle }),
-    sources: candidates.map((chunk) => ({
-      pdfId: chunk.pdfId,
-      chunkId: chunk.chunkId,
-      score: chunk.score,
-    })),
+  const normalized = normalizeAnswerPayload({ rawText: rawAnswer, responseStyle: normalizedResponseStyle });
+  const grounding = await verifyGrounding({
+    claims: extractGroundingClaims(normalized),
+    candidates,
+    check: groundingCheck,
+    sessionId,
+  });
+
+  const response = {
+    ...normalized,
+    sources: candidates.map(toSource),
     usedChunksCount: candidates.length,
+    rewrittenQuery,
+    grounding,
+    promptTokens,
+    model: formatModel(generation),
+    cached: false,
   };
+  if (cacheEntry && rawAnswer && candidates.length > 0) {
+    saveAnswerCache(cacheEntry, response, sessionId);
+  }
+  return response;
 }
 
 async function runChatQueryStream(
-  { sessionId, message, history = [], topK = DEFAULT_TOP_K, responseStyle },
+  {
+    sessionId,
+    message,
+    history = [],
+    topK = DEFAULT_TOP_K,
+    responseStyle,
+    candidatePool,
+    mmrLambda,
+    reranker,
+    pdfIds,
+    rewriteQuery: rewriteEnabled,
+    groundingCheck,
+    useCache,
+  },
   options = {}
 ) {
   const onProgress = typeof options.onProgress === 'function' ? options.onProgress : null;
   const onToken = typeof options.onToken === 'function' ? options.onToken : null;
   const normalizedResponseStyle = normalizeResponseStyle(options.responseStyle || responseStyle);
 
-  const candidates = await retrieveCandidates({
-    sessionId,
+  const retrievalQuery = await rewriteQuery({
     message,
+    history,
+    enabled: rewriteEnabled ?? DEFAULT_QUERY_REWRITE,
+    sessionId,
+  });
+  const rewrittenQuery = retrievalQuery.rewritten ? retrievalQuery.query : null;
+  const settings = getSessionSettings(sessionId);
+  const cacheEntry = await lookupAnswerCache({
+    sessionId,
+    retrievalQuery,
+    history,
+    useCache,
+    cacheOptions: {
+      responseStyle: normalizedResponseStyle,
+      topK,
+      candidatePool,
+      mmrLambda,
+      reranker,
+      pdfIds,
+      groundingCheck,
+      settings,
+    },
+  });
+  if (cacheEntry?.hit) {
+    if (onToken) {
+      onToken(cacheEntry.hit.formattedAnswer);
+    }
+    if (onProgress) {
+      onProgress({ stage: 'generating', progress: 100 });
+    }
+    return { ...cacheEntry.hit, rewrittenQuery, promptTokens: null, cached: true };
+  }
+
+  const retrieved = await retrieveCandidates({
+    sessionId,
+    message: retrievalQuery.query,
     topK,
+    candidatePool,
+    mmrLambda,
+    reranker,
+    pdfIds,
     onProgress,
+    queryEmbedding: cacheEntry?.queryEmbedding,
   });
 
-  const prompt = buildPrompt({
+  // From here on `candidates` are the chunks that made it into the prompt.
+  const { prompt, candidates, promptTokens } = buildPromptWithBudget({
     message,
     history,
-    candidates,
+    candidates: retrieved,
     responseStyle: normalizedResponseStyle,
+    settings,
+    conversationSummary: getSummaryForPrompt(sessionId),
   });
+  logPromptTrim(sessionId, promptTokens);
   if (onProgress) {
     onProgress({ stage: 'generating', progress: 70 });
   }
-  const streamedAnswer = await generateTextStreamWithFallback({
+  const generation = {};
+  const streamedAnswer = await streamText({
     prompt,
     onToken,
+    meta: generation,
   });
   const normalized = normalizeAnswerPayload({
     rawText: streamedAnswer,
     responseStyle: normalizedResponseStyle,
   });
+  const grounding = await verifyGrounding({
+    claims: extractGroundingClaims(normalized),
+    candidates,
+    check: groundingCheck,
+    sessionId,
+  });
   if (onProgress) {
     onProgress({ stage: 'generating', progress: 100 });
   }
 
-  return {
+  const response = {
     ...normalized,
-    sources: candidates.map((chunk) => ({
-      pdfId: chunk.pdfId,
-      chunkId: chunk.chunkId,
-      score: chunk.score,
-    })),
+    sources: candidates.map(toSource),
     usedChunksCount: candidates.length,
+    rewrittenQuery,
+    grounding,
+    promptTokens,
+    model: formatModel(generation),
+    cached: false,
+  };
+  if (cacheEntry && streamedAnswer && candidates.length > 0) {
+    saveAnswerCache(cacheEntry, response, sessionId);
+  }
+  return response;
+}
+
+// Retrieval only, for telling retrieval problems from generation problems: the
+// ranked chunks with each stage's rank and score, stage timings and the prompt
+// generation would receive. Nothing is generated, cached or stored.
+async function explainRetrieval({
+  sessionId,
+  message,
+  history = [],
+  topK = DEFAULT_TOP_K,
+  responseStyle,
+  candidatePool,
+  mmrLambda,
+  reranker,
+  pdfIds,
+  rewriteQuery: rewriteEnabled,
+}) {
+  const startedAt = Date.now();
+  const retrievalQuery = await rewriteQuery({
+    message,
+    history,
+    enabled: rewriteEnabled ?? DEFAULT_QUERY_REWRITE,
+    sessionId,
+  });
+  const rewriteMs = Date.now() - startedAt;
+
+  const stats = {};
+  const retrieved = await retrieveCandidates({
+    sessionId,
+    message: retrievalQuery.query,
+    topK,
+    candidatePool,
+    mmrLambda,
+    reranker,
+    pdfIds,
+    stats,
+  });
+
+  const { prompt, candidates, promptTokens } = buildPromptWithBudget({
+    message,
+    history,
+    candidates: retrieved,
+    responseStyle: normalizeResponseStyle(responseStyle),
+    settings: getSessionSettings(sessionId),
+    conversationSummary: getSummaryForPrompt(sessionId),
+  });
+  const inPrompt = new Map(candidates.map((chunk) => [chunk.chunkId, chunk]));
+
+  return {
+    retrievalQuery: retrievalQuery.query,
+    rewrittenQuery: retrievalQuery.rewritten ? retrievalQuery.query : null,
+    retrievalMode: stats.retrievalMode,
+    poolSize: stats.poolSize,
+    pooledCandidates: stats.pooledCandidates,
+    chunks: retrieved.map((chunk, index) => ({
+      rank: index + 1,
+      ...toSource(chunk),
+      text: chunk.text,
+      ranking: chunk.ranking,
+      inPrompt: inPrompt.has(chunk.chunkId),
+      truncated: Boolean(inPrompt.get(chunk.chunkId)?.truncated),
+    })),
+    prompt,
+    promptTokens,
+    timings: { rewriteMs, ...stats.timings, totalMs: Date.now() - startedAt },
   };
 }
 
@@ -512,15 +1011,13 @@ async function generateSessionTitle(message, firstPdfTitle = null) {
 User questions: "${message}"`;
 
   try {
-    const ai = getGenAI();
-    const model = getGenerationModelCandidates()[0];
-    const response = await ai.models.generateContent({
-      model,
-      contents: prompt,
-      config: { temperature: 0.7 }
+    const response = await generateText({
+      prompt,
+      options: { temperature: 0.7 },
+      task: 'title',
     });
 
-    let title = String(response?.text || '').trim();
+    let title = String(response || '').trim();
     // Strip possible quotes the LLM might still stubbornly add
     title = title.replace(/^["']|["']$/g, '');
     if (title.length > 60) {
@@ -535,8 +1032,18 @@ User questions: "${message}"`;
 
 module.exports = {
   normalizeResponseStyle,
+  normalizeRetrievalMode,
+  fuseRankedResults,
+  buildPrompt,
+  buildPromptWithBudget,
+  normalizeAnswerPayload,
+  extractGroundingClaims,
+  cleanRewrittenQuery,
+  rewriteQuery,
   runChatQuery,
   runChatQueryStream,
+  retrieveCandidates,
+  explainRetrieval,
   shouldRunAsyncChat,
   generateSessionTitle,
 };
@@ -0,0 +1,187 @@
+const db = require('../config/database');
+const { generateEmbeddings, getEmbeddingModelId } = require('./embeddingService');
+const { invalidatePdfCache } = require('./vectorService');
+const { buildSessionIndex, shouldUseAnnIndex } = require('./annIndexService');
+const { isVector, encodeVector } = require('../utils/vectorCodec');
+const { logInfo, logError } = require('../config/logger');
+
+// Re-embeds chunks stored by an earlier embedding model, one document at a
+// time. Each document is switched over in a single transaction, so retrieval
+// sees either all old or all new vectors for it. Only rows still carrying
+// another model are selected, which makes a restarted job resume where it
+// stopped.
+
+const selectSessionsWithStaleChunksStmt = db.prepare(`
+  SELECT DISTINCT sessionId
+  FROM chunks
+  WHERE embeddingModel != ?
+  ORDER BY sessionId ASC
+`);
+
+const selectUserSessionsWithStaleChunksStmt = db.prepare(`
+  SELECT DISTINCT c.sessionId
+  FROM chunks c
+  JOIN sessions s ON s.id = c.sessionId
+  WHERE s.user_id = ? AND c.embeddingModel != ?
+  ORDER BY c.sessionId ASC
+`);
+
+const countChunksBySessionStmt = db.prepare(`
+  SELECT COUNT(*) AS total, COALESCE(SUM(embeddingModel != ?), 0) AS stale
+  FROM chunks
+  WHERE sessionId = ?
+`);
+
+const selectStaleDocumentsBySessionStmt = db.prepare(`
+  SELECT pdfId, COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ? AND embeddingModel != ?
+  GROUP BY pdfId
+  ORDER BY pdfId ASC
+`);
+
+const selectStaleChunksByDocumentStmt = db.prepare(`
+  SELECT id, text, embeddingModel
+  FROM chunks
+  WHERE sessionId = ? AND pdfId IS ? AND embeddingModel != ?
+  ORDER BY rowid ASC
+`);
+
+// The model guard skips rows that were replaced while the batch was embedding.
+const updateChunkEmbeddingStmt = db.prepare(`
+  UPDATE chunks
+  SET embedding = @embedding,
+      embeddingVectorLength = @embeddingVectorLength,
+      embeddingModel = @embeddingModel
+  WHERE id = @id AND embeddingModel = @previousModel
+`);
+
+function getScopeSessionIds({ userId = null, sessionId = null }, embeddingModel) {
+  if (sessionId) {
+    return [Number(sessionId)];
+  }
+  const rows = userId
+    ? selectUserSessionsWithStaleChunksStmt.all(userId, embeddingModel)
+    : selectSessionsWithStaleChunksStmt.all(embeddingModel);
+  return rows.map((row) => row.sessionId);
+}
+
+function getReembeddingStatus({ userId = null, sessionId = null } = {}) {
+  const embeddingModel = getEmbeddingModelId();
+  let totalChunks = 0;
+  let staleChunks = 0;
+  for (const id of getScopeSessionIds({ userId, sessionId }, embeddingModel)) {
+    const counts = countChunksBySessionStmt.get(embeddingModel, id);
+    totalChunks += Number(counts.total) || 0;
+    staleChunks += Number(counts.stale) || 0;
+  }
+  return { embeddingModel, totalChunks, staleChunks };
+}
+
+const applyDocumentEmbeddings = db.transaction((rows, vectors, embeddingModel) => {
+  let updated = 0;
+  rows.forEach((row, index) => {
+    const vector = isVector(vectors[index]) ? vectors[index] : [];
+    const result = updateChunkEmbeddingStmt.run({
+      id: row.id,
+      embedding: encodeVector(vector),
+      embeddingVectorLength: vector.length,
+      embeddingModel,
+      previousModel: row.embeddingModel,
+    });
+    updated += Number(result.changes) || 0;
+  });
+  return updated;
+});
+
+async function reembedDocument({ sessionId, pdfId, embeddingModel, batchSize, onProgress }) {
+  const rows = selectStaleChunksByDocumentStmt.all(sessionId, pdfId, embeddingModel);
+  if (rows.length === 0) {
+    return 0;
+  }
+
+  const vectors = await generateEmbeddings(rows.map((row) => row.text), { batchSize, onProgress });
+  const updated = applyDocumentEmbeddings(rows, vectors, embeddingModel);
+  invalidatePdfCache(pdfId);
+  return updated;
+}
+
+async function reembedChunks({ userId = null, sessionId = null, batchSize, onProgress } = {}) {
+  const startedAt = Date.now();
+  const embeddingModel = getEmbeddingModelId();
+  const sessionIds = getScopeSessionIds({ userId, sessionId }, embeddingModel);
+  const sessionCounts = sessionIds.map((id) => ({ sessionId: id, ...countChunksBySessionStmt.get(embeddingModel, id) }));
+  const totalChunks = sessionCounts.reduce((sum, counts) => sum + (Number(counts.total) || 0), 0);
+  const staleChunks = sessionCounts.reduce((sum, counts) => sum + (Number(counts.stale) || 0), 0);
+  // Progress counts chunks already on the current model, so a resumed job
+  // starts where the previous run stopped.
+  let doneChunks = totalChunks - staleChunks;
+  let convertedChunks = 0;
+  let convertedDocuments = 0;
+
+  const report = (extra = 0) => {
+    if (typeof onProgress === 'function') {
+      const ratio = totalChunks > 0 ? (doneChunks + extra) / totalChunks : 1;
+      onProgress({ stage: 'embedding', progress: Math.min(99, Math.round(ratio * 100)) });
+    }
+  };
+  report();
+
+  for (const { sessionId: currentSessionId, total, stale } of sessionCounts) {
+    if (!stale) {
+      continue;
+    }
+
+    for (const { pdfId } of selectStaleDocumentsBySessionStmt.all(currentSessionId, embeddingModel)) {
+      // eslint-disable-next-line no-await-in-loop
+      const updated = await reembedDocument({
+        sessionId: currentSessionId,
+        pdfId,
+        embeddingModel,
+        batchSize,
+        onProgress: ({ processed }) => report(processed),
+      });
+      doneChunks += updated;
+      convertedChunks += updated;
+      convertedDocuments += updated > 0 ? 1 : 0;
+      report();
+    }
+
+    if (shouldUseAnnIndex(total)) {
+      try {
+        // Converted rows dropped out of the old model's index; train a fresh one.
+        // eslint-disable-next-line no-await-in-loop
+        await buildSessionIndex(currentSessionId, embeddingModel);
+      } catch (error) {
+        logError('ERROR_ANN_INDEX', error, {
+          sessionId: currentSessionId,
+          stage: 'reembedBuildSessionIndex',
+        });
+      }
+    }
+  }
+
+  logInfo('REEMBED_DONE', {
+    embeddingModel,
+    userId,
+    sessionId,
+    sessions: sessionIds.length,
+    convertedDocuments,
+    convertedChunks,
+    durationMs: Date.now() - startedAt,
+  });
+
+  return {
+    embeddingModel,
+    sessions: sessionIds.length,
+    convertedDocuments,
+    convertedChunks,
+    totalChunks,
+    reembeddingTimeMs: Date.now() - startedAt,
+  };
+}
+
+module.exports = {
+  getReembeddingStatus,
+  reembedChunks,
+};
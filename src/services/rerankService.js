@@ -0,0 +1,166 @@
+const { cosineSimilarity } = require('./vectorService');
+const { logError } = require('../config/logger');
+const env = require('../config/env');
+
+const DEFAULT_MMR_LAMBDA = env.ragMmrLambda;
+const DEFAULT_RERANKER = env.ragReranker;
+const NO_RERANKER = 'none';
+const LEXICAL_TERM_PATTERN = /[\p{L}\p{N}]{3,}/gu;
+
+// A reranker is `async ({ query, candidates }) => scores` returning one
+// higher-is-better number per candidate, in candidate order. Register extra
+// implementations (cross-encoders, hosted rerank APIs) at startup.
+const rerankers = new Map();
+
+function registerReranker(name, rerank) {
+  const normalizedName = String(name || '').trim().toLowerCase();
+  if (!normalizedName || normalizedName === NO_RERANKER || typeof rerank !== 'function') {
+    throw new Error('Reranker requires a unique name and a rerank function.');
+  }
+  rerankers.set(normalizedName, rerank);
+}
+
+function listRerankers() {
+  return [NO_RERANKER, ...rerankers.keys()];
+}
+
+function normalizeRerankerName(value) {
+  const candidate = String(value || DEFAULT_RERANKER || NO_RERANKER).trim().toLowerCase();
+  return candidate || NO_RERANKER;
+}
+
+function assertRerankerAvailable(value) {
+  const name = normalizeRerankerName(value);
+  if (name !== NO_RERANKER && !rerankers.has(name)) {
+    const error = new Error(`Unknown reranker "${name}". Available: ${listRerankers().join(', ')}.`);
+    error.statusCode = 422;
+    error.code = 'UNKNOWN_RERANKER';
+    throw error;
+  }
+  return name;
+}
+
+function normalizeMmrLambda(value) {
+  const parsed = Number(value);
+  if (value === undefined || value === null || !Number.isFinite(parsed)) {
+    return DEFAULT_MMR_LAMBDA;
+  }
+  return Math.max(0, Math.min(1, parsed));
+}
+
+function extractTerms(text) {
+  return new Set(String(text || '').toLowerCase().match(LEXICAL_TERM_PATTERN) || []);
+}
+
+function normalizeScores(candidates) {
+  const scores = candidates.map((candidate) => Number(candidate.score) || 0);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  if (max === min) {
+    return scores.map(() => 1);
+  }
+  return scores.map((score) => (score - min) / (max - min));
+}
+
+// Built-in reranker: blends the retrieval score with how many query terms each
+// chunk actually contains. Cheap, deterministic, no model required.
+async function lexicalRerank({ query, candidates }) {
+  const queryTerms = extractTerms(query);
+  const priors = normalizeScores(candidates);
+  return candidates.map((candidate, index) => {
+    if (queryTerms.size === 0) {
+      return priors[index];
+    }
+    const chunkTerms = extractTerms(candidate.text);
+    let matched = 0;
+    for (const term of queryTerms) {
+      if (chunkTerms.has(term)) {
+        matched += 1;
+      }
+    }
+    return (0.5 * priors[index]) + (0.5 * (matched / queryTerms.size));
+  });
+}
+
+registerReranker('lexical', lexicalRerank);
+
+async function rerankCandidates({ query, candidates, reranker }) {
+  const name = normalizeRerankerName(reranker);
+  const rerank = rerankers.get(name);
+  if (!rerank || candidates.length === 0) {
+    return candidates;
+  }
+
+  try {
+    const scores = await rerank({ query, candidates });
+    return candidates
+      .map((candidate, index) => ({
+        ...candidate,
+        score: Number(scores[index]) || 0,
+        ranking: { ...candidate.ranking },
+      }))
+      .sort((a, b) => b.score - a.score)
+      .map((candidate, index) => {
+        candidate.ranking.rerank = { rank: index + 1, score: candidate.score, reranker: name };
+        return candidate;
+      });
+  } catch (error) {
+    // Reranking is an optional refinement; keep retrieval order if it fails.
+    logError('ERROR_RERANK', error, { reranker: name });
+    return candidates;
+  }
+}
+
+// Maximal Marginal Relevance: greedily pick the candidate maximising
+// lambda * relevance - (1 - lambda) * max similarity to already-picked chunks,
+// so overlapping near-copies of one passage don't crowd out the rest.
+function selectDiverseCandidates(candidates, vectorsByChunkId, { lambda = DEFAULT_MMR_LAMBDA, topK } = {}) {
+  const limit = Math.max(1, Math.min(candidates.length, Number(topK) || candidates.length));
+  const relevance = normalizeScores(candidates);
+  const remaining = candidates.map((candidate, index) => ({ candidate, relevance: relevance[index] }));
+  const selected = [];
+
+  while (selected.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    for (let i = 0; i < remaining.length; i += 1) {
+      const vector = vectorsByChunkId.get(remaining[i].candidate.chunkId);
+      let maxSimilarity = 0;
+      if (vector) {
+        for (const picked of selected) {
+          const pickedVector = vectorsByChunkId.get(picked.candidate.chunkId);
+          if (pickedVector) {
+            maxSimilarity = Math.max(maxSimilarity, cosineSimilarity(vector, pickedVector));
+          }
+        }
+      }
+      const mmrScore = (lambda * remaining[i].relevance) - ((1 - lambda) * maxSimilarity);
+      if (mmrScore > bestScore) {
+        bestScore = mmrScore;
+        bestIndex = i;
+      }
+    }
+
+    const [next] = remaining.splice(bestIndex, 1);
+    next.mmrScore = bestScore;
+    selected.push(next);
+  }
+
+  return selected.map(({ candidate, mmrScore }, index) => ({
+    ...candidate,
+    ranking: {
+      ...candidate.ranking,
+      mmr: { rank: index + 1, score: mmrScore, lambda },
+    },
+  }));
+}
+
+module.exports = {
+  registerReranker,
+  listRerankers,
+  assertRerankerAvailable,
+  normalizeMmrLambda,
+  rerankCandidates,
+  selectDiverseCandidates,
+};
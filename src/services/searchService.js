@@ -0,0 +1,173 @@
+const db = require('../config/database');
+const { generateEmbedding, getEmbeddingModelId } = require('./embeddingService');
+const { similaritySearchByUser, keywordSearchByUser, getEmbeddingModelsByUser } = require('./vectorService');
+const { fuseRankedResults, normalizeRetrievalMode } = require('./ragService');
+const { logError } = require('../config/logger');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+// Both searches cap out at 100 hits, so pages can reach at most this deep.
+const MAX_RESULT_WINDOW = 100;
+const SNIPPET_LENGTH = 240;
+const SNIPPET_LEAD = 60;
+
+const selectChunkContextByIdsStmt = db.prepare(`
+  SELECT
+    c.id,
+    c.sessionId,
+    c.pdfId,
+    c.pageStart,
+    c.pageEnd,
+    s.title AS sessionTitle,
+    p.title AS documentTitle
+  FROM chunks c
+  JOIN sessions s ON s.id = c.sessionId
+  LEFT JOIN pdfs p ON p.id = c.pdfId
+  WHERE s.user_id = ? AND c.id IN (SELECT value FROM json_each(?))
+`);
+
+function normalizeUserId(userId) {
+  const normalizedUserId = Number(userId);
+  if (!Number.isInteger(normalizedUserId) || normalizedUserId <= 0) {
+    const error = new Error('userId is required and must be a positive integer.');
+    error.statusCode = 400;
+    throw error;
+  }
+  return normalizedUserId;
+}
+
+function clampInteger(value, fallback, { min, max }) {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed)) {
+    return fallback;
+  }
+  return Math.max(min, Math.min(max, parsed));
+}
+
+function buildSnippet(text, query) {
+  const normalizedText = String(text || '').replace(/\s+/g, ' ').trim();
+  if (normalizedText.length <= SNIPPET_LENGTH) {
+    return normalizedText;
+  }
+
+  const lowerText = normalizedText.toLowerCase();
+  const terms = String(query || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+  const positions = terms.map((term) => lowerText.indexOf(term)).filter((position) => position >= 0);
+  const firstHit = positions.length > 0 ? Math.min(...positions) : 0;
+  const start = Math.max(0, Math.min(firstHit - SNIPPET_LEAD, normalizedText.length - SNIPPET_LENGTH));
+  const end = start + SNIPPET_LENGTH;
+
+  return `${start > 0 ? '...' : ''}${normalizedText.slice(start, end).trim()}${end < normalizedText.length ? '...' : ''}`;
+}
+
+// Like ragService, chunks not re-embedded yet are searched with their own model
+// and the per-model rankings are fused.
+async function searchVectorsByUser({ userId, query, topK }) {
+  const currentModel = getEmbeddingModelId();
+  const rankedLists = [];
+
+  for (const { embeddingModel } of getEmbeddingModelsByUser(userId)) {
+    let queryEmbedding;
+    try {
+      // eslint-disable-next-line no-await-in-loop
+      queryEmbedding = await generateEmbedding(query, { embeddingModel });
+    } catch (error) {
+      if (embeddingModel === currentModel) {
+        throw error;
+      }
+      logError('ERROR_EMBEDDING', error, {
+        service: 'searchService',
+        stage: 'previousModelQueryEmbedding',
+        userId,
+        embeddingModel,
+      });
+      continue;
+    }
+    // eslint-disable-next-line no-await-in-loop
+    const modelResults = await similaritySearchByUser({ userId, queryEmbedding, topK, embeddingModel });
+    rankedLists.push({ source: embeddingModel, results: modelResults });
+  }
+
+  if (rankedLists.length <= 1) {
+    return (rankedLists[0]?.results || []).slice(0, topK);
+  }
+  return fuseRankedResults(rankedLists, { topK });
+}
+
+async function searchLibrary({ userId, query, limit, offset, mode }) {
+  const normalizedUserId = normalizeUserId(userId);
+  const term = String(query || '').trim();
+  const normalizedLimit = clampInteger(limit, DEFAULT_LIMIT, { min: 1, max: MAX_LIMIT });
+  const normalizedOffset = clampInteger(offset, 0, { min: 0, max: MAX_RESULT_WINDOW });
+  const normalizedMode = normalizeRetrievalMode(mode);
+  const page = {
+    query: term,
+    mode: normalizedMode,
+    limit: normalizedLimit,
+    offset: normalizedOffset,
+    results: [],
+    hasMore: false,
+  };
+
+  if (!term || normalizedOffset >= MAX_RESULT_WINDOW) {
+    return page;
+  }
+
+  // Fetch one past the page to know whether another page exists.
+  const windowSize = Math.min(MAX_RESULT_WINDOW, normalizedOffset + normalizedLimit + 1);
+  const vectorResults = await searchVectorsByUser({
+    userId: normalizedUserId,
+    query: term,
+    topK: windowSize,
+  });
+
+  let ranked = vectorResults;
+  if (normalizedMode === 'hybrid') {
+    let keywordResults = [];
+    try {
+      keywordResults = keywordSearchByUser({ userId: normalizedUserId, query: term, topK: windowSize });
+    } catch (error) {
+      logError('ERROR_DB', error, {
+        service: 'searchService',
+        stage: 'keywordSearch',
+        userId: normalizedUserId,
+      });
+    }
+    ranked = fuseRankedResults([
+      { source: 'vector', results: vectorResults },
+      { source: 'keyword', results: keywordResults },
+    ], { topK: windowSize });
+  }
+
+  const pageResults = ranked.slice(normalizedOffset, normalizedOffset + normalizedLimit);
+  const contextById = new Map(
+    selectChunkContextByIdsStmt
+      .all(normalizedUserId, JSON.stringify(pageResults.map((item) => item.chunkId)))
+      .map((row) => [row.id, row])
+  );
+
+  page.results = pageResults
+    .filter((item) => contextById.has(item.chunkId))
+    .map((item) => {
+      const context = contextById.get(item.chunkId);
+      return {
+        chunkId: item.chunkId,
+        sessionId: context.sessionId,
+        sessionTitle: context.sessionTitle,
+        pdfId: context.pdfId,
+        documentTitle: context.documentTitle || null,
+        pageStart: context.pageStart,
+        pageEnd: context.pageEnd,
+        snippet: buildSnippet(item.text, term),
+        score: item.score,
+      };
+    });
+  page.hasMore = ranked.length > normalizedOffset + normalizedLimit
+    && normalizedOffset + normalizedLimit < MAX_RESULT_WINDOW;
+  return page;
+}
+
+module.exports = {
+  searchLibrary,
+  buildSnippet,
+};
@@ -0,0 +1,107 @@
+const db = require('../config/database');
+const { createSession, assertSessionExists, getSessionById } = require('./sessionService');
+const { listPdfsBySession, copyPdfRecord } = require('./pdfRecordService');
+const { copyPdfChunks } = require('./vectorService');
+const { buildSessionIndexIfNeeded } = require('./annIndexService');
+const { getMessage, getActiveMessageId, copyHistoryBranch } = require('./chatHistoryService');
+const { getSessionSettings, updateSessionSettings } = require('./sessionSettingsService');
+const { logInfo, logError } = require('../config/logger');
+
+// Leaves room for the " (fork)" suffix within the 160 characters of a title.
+const MAX_SOURCE_TITLE_LENGTH = 153;
+
+// A fork is a new session with the indexed documents and the chat history of
+// another one up to a message. Documents keep their stored file and their
+// chunks are copied with the stored embeddings, so nothing is uploaded,
+// parsed or embedded again. Copied records keep a sourcePdfId, which library
+// search uses to show the copied chunks once.
+const copySessionTx = db.transaction(({ userId, source, title, leafId }) => {
+  const target = createSession(userId, title);
+  const pdfIdMap = new Map();
+  const skippedPdfIds = [];
+  let copiedChunks = 0;
+
+  for (const pdf of listPdfsBySession(source.id, userId)) {
+    // Documents still processing or failed would never finish in the fork.
+    if (pdf.status !== 'indexed') {
+      skippedPdfIds.push(pdf.id);
+      continue;
+    }
+    const pdfId = copyPdfRecord(pdf, { userId, sessionId: target.id });
+    copiedChunks += copyPdfChunks({ sourcePdfId: pdf.id, sessionId: target.id, pdfId });
+    pdfIdMap.set(pdf.id, pdfId);
+  }
+
+  const copiedMessages = leafId
+    ? copyHistoryBranch({ userId, fromSessionId: source.id, toSessionId: target.id, leafId, pdfIdMap })
+    : 0;
+
+  const settings = getSessionSettings(source.id);
+  if (settings.updatedAt) {
+    updateSessionSettings(target.id, userId, {
+      customInstruction: settings.customInstruction,
+      persona: settings.persona,
+      answerLanguage: settings.answerLanguage,
+      documentOnly: settings.documentOnly,
+    });
+  }
+
+  return {
+    sessionId: target.id,
+    copiedDocuments: pdfIdMap.size,
+    copiedChunks,
+    copiedMessages,
+    skippedPdfIds,
+  };
+});
+
+// `messageId` is the last message the fork keeps, on any branch; without it
+// the active branch is copied whole.
+async function forkSession({ userId, sessionId, messageId = null, title = null }) {
+  const source = assertSessionExists(sessionId, userId);
+  const leafId = messageId
+    ? getMessage(source.id, userId, messageId).id
+    : getActiveMessageId(source.id, userId);
+
+  const result = copySessionTx({
+    userId,
+    source,
+    title: title || `${source.title.slice(0, MAX_SOURCE_TITLE_LENGTH)} (fork)`,
+    leafId,
+  });
+
+  try {
+    await buildSessionIndexIfNeeded(result.sessionId);
+  } catch (error) {
+    // Searches fall back to a full scan until the index exists.
+    logError('ERROR_ANN_INDEX', error, {
+      service: 'sessionForkService',
+      sessionId: result.sessionId,
+    });
+  }
+
+  logInfo('SESSION_FORKED', {
+    sourceSessionId: source.id,
+    sessionId: result.sessionId,
+    messageId: leafId,
+    copiedDocuments: result.copiedDocuments,
+    copiedChunks: result.copiedChunks,
+    copiedMessages: result.copiedMessages,
+  });
+
+  return {
+    session: getSessionById(result.sessionId, userId),
+    forkedFrom: {
+      sessionId: source.id,
+      messageId: leafId ? String(leafId) : null,
+    },
+    copiedDocuments: result.copiedDocuments,
+    copiedChunks: result.copiedChunks,
+    copiedMessages: result.copiedMessages,
+    skippedPdfIds: result.skippedPdfIds,
+  };
+}
+
+module.exports = {
+  forkSession,
+};
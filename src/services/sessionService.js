@@ -1,5 +1,6 @@
 const db = require('../config/database');
 const { invalidatePdfCache } = require('./vectorService');
+const { deleteSessionIndex } = require('./annIndexService');
 
 const sessionColumns = db.prepare('PRAGMA table_info(sessions)').all().map((column) => column.name);
 const hasUpdatedAtColumn = sessionColumns.includes('updatedAt');
@@ -124,6 +125,12 @@ const listSessionPdfFilesStmt = db.prepare(`
   WHERE sessionId = ? AND user_id = ?
 `);
 
+const countPdfsByPathStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM pdfs
+  WHERE path = ?
+`);
+
 const selectSessionJobIdsStmt = db.prepare(`
   SELECT j.id
   FROM job_queue j
@@ -345,15 +352,16 @@ function deleteSession(sessionId, userId) {
     deleteSessionPdfsStmt.run(id, ownerId);
     deleteSessionStmt.run(id, ownerId);
 
+    // Files still used by a forked session stay on disk.
     return {
-      pdfPaths: pdfRows
-        .map((pdf) => String(pdf.path || '').trim())
-        .filter(Boolean),
+      pdfPaths: [...new Set(pdfRows.map((pdf) => String(pdf.path || '').trim()))]
+        .filter((storagePath) => storagePath && countPdfsByPathStmt.get(storagePath).count === 0),
       deletedJobIds,
     };
   });
 
   const result = remove(session.id, normalizedUserId);
+  deleteSessionIndex(session.id);
   return {
     deleted: true,
     id: session.id,
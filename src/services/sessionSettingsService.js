@@ -0,0 +1,99 @@
+const db = require('../config/database');
+const { assertSessionExists } = require('./sessionService');
+
+const PERSONA_INSTRUCTIONS = {
+  default: null,
+  tutor: 'Act as a tutor: walk the user through the material step by step and say which chunk each idea comes from.',
+  explainer: 'Act as a friendly explainer: use simple words, short sentences and everyday examples.',
+  concise: 'Be brief and precise: leave out anything the question does not need.',
+};
+const PERSONAS = Object.keys(PERSONA_INSTRUCTIONS);
+const MAX_CUSTOM_INSTRUCTION_LENGTH = 2000;
+const MAX_ANSWER_LANGUAGE_LENGTH = 40;
+
+const selectSessionSettingsStmt = db.prepare(`
+  SELECT customInstruction, persona, answerLanguage, documentOnly, updatedAt
+  FROM session_settings
+  WHERE sessionId = ?
+`);
+
+const upsertSessionSettingsStmt = db.prepare(`
+  INSERT INTO session_settings (sessionId, customInstruction, persona, answerLanguage, documentOnly, updatedAt)
+  VALUES (@sessionId, @customInstruction, @persona, @answerLanguage, @documentOnly, @updatedAt)
+  ON CONFLICT(sessionId) DO UPDATE SET
+    customInstruction = excluded.customInstruction,
+    persona = excluded.persona,
+    answerLanguage = excluded.answerLanguage,
+    documentOnly = excluded.documentOnly,
+    updatedAt = excluded.updatedAt
+`);
+
+function toOptionalText(value, field, maxLength) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (text.length > maxLength) {
+    const error = new Error(`${field} must be at most ${maxLength} characters.`);
+    error.statusCode = 422;
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  return text || null;
+}
+
+function normalizePersona(value) {
+  const persona = String(value || 'default').trim().toLowerCase();
+  if (!PERSONAS.includes(persona)) {
+    const error = new Error(`persona must be one of: ${PERSONAS.join(', ')}.`);
+    error.statusCode = 422;
+    error.code = 'VALIDATION_ERROR';
+    throw error;
+  }
+  return persona;
+}
+
+// Sessions without a stored row get the defaults, which leave the prompt as it
+// was before settings existed.
+function getSessionSettings(sessionId) {
+  const row = selectSessionSettingsStmt.get(sessionId);
+  return {
+    customInstruction: row?.customInstruction || null,
+    persona: PERSONAS.includes(row?.persona) ? row.persona : 'default',
+    answerLanguage: row?.answerLanguage || null,
+    documentOnly: Boolean(row?.documentOnly),
+    updatedAt: row?.updatedAt || null,
+  };
+}
+
+// Fields missing from `changes` keep their value; null clears the text fields.
+function updateSessionSettings(sessionId, userId, changes = {}) {
+  const session = assertSessionExists(sessionId, userId);
+  const current = getSessionSettings(session.id);
+  const has = (field) => Object.prototype.hasOwnProperty.call(changes, field) && changes[field] !== undefined;
+
+  upsertSessionSettingsStmt.run({
+    sessionId: session.id,
+    customInstruction: has('customInstruction')
+      ? toOptionalText(changes.customInstruction, 'customInstruction', MAX_CUSTOM_INSTRUCTION_LENGTH)
+      : current.customInstruction,
+    persona: has('persona') ? normalizePersona(changes.persona) : current.persona,
+    answerLanguage: has('answerLanguage')
+      ? toOptionalText(changes.answerLanguage, 'answerLanguage', MAX_ANSWER_LANGUAGE_LENGTH)
+      : current.answerLanguage,
+    documentOnly: (has('documentOnly') ? Boolean(changes.documentOnly) : current.documentOnly) ? 1 : 0,
+    updatedAt: new Date().toISOString(),
+  });
+  return getSessionSettings(session.id);
+}
+
+function getPersonaInstruction(persona) {
+  return PERSONA_INSTRUCTIONS[persona] || null;
+}
+
+module.exports = {
+  PERSONAS,
+  getSessionSettings,
+  updateSessionSettings,
+  getPersonaInstruction,
+};
@@ -1,32 +1,200 @@
 const { v4: uuidv4 } = require('uuid');
 const db = require('../config/database');
 const env = require('../config/env');
+const { isVector, encodeVector, decodeVector } = require('../utils/vectorCodec');
+const { addChunksToIndex, searchSessionIndex, shouldUseAnnIndex } = require('./annIndexService');
+const { getEmbeddingModelId } = require('./embeddingService');
 
 const MAX_PDF_CACHE_ENTRIES = 64;
 const MAX_CHUNK_CACHE_ENTRIES_PER_PDF = 200;
 const embeddingCacheByPdf = new Map();
 const DEFAULT_PAGE_SIZE = env.ragCandidatePageSize;
 const MAX_CHUNKS_PER_QUERY = env.maxChunksPerQuery;
+const MAX_SEARCH_RESULTS = 100;
+const MAX_KEYWORD_QUERY_TERMS = 32;
+const COPY_PAGE_SIZE = 500;
+const LEGACY_EMBEDDING_BATCH_SIZE = 500;
 
 const insertChunkStmt = db.prepare(`
-  INSERT OR REPLACE INTO chunks (id, sessionId, pdfId, chunkKey, text, embedding, embeddingVectorLength, createdAt)
-  VALUES (@id, @sessionId, @pdfId, @chunkKey, @text, @embedding, @embeddingVectorLength, @createdAt)
+  INSERT OR REPLACE INTO chunks (
+    id, sessionId, pdfId, chunkKey, text, embedding, embeddingVectorLength, embeddingModel,
+    pageStart, pageEnd, charStart, charEnd, headingPath, createdAt
+  )
+  VALUES (
+    @id, @sessionId, @pdfId, @chunkKey, @text, @embedding, @embeddingVectorLength, @embeddingModel,
+    @pageStart, @pageEnd, @charStart, @charEnd, @headingPath, @createdAt
+  )
+`);
+
+const selectChunkIdByPdfChunkKeyStmt = db.prepare(`
+  SELECT id
+  FROM chunks
+  WHERE pdfId = ? AND chunkKey = ?
+`);
+
+const deleteChunkByPdfChunkKeyStmt = db.prepare(`
+  DELETE FROM chunks
+  WHERE pdfId = ? AND chunkKey = ?
+`);
+
+const selectKeywordMatchesBySessionStmt = db.prepare(`
+  SELECT c.id, c.pdfId, c.text, bm25(chunks_fts) AS rank
+  FROM chunks_fts
+  JOIN chunks c ON c.rowid = chunks_fts.rowid
+  WHERE chunks_fts MATCH ? AND c.sessionId = ?
+  ORDER BY rank ASC
+  LIMIT ?
+`);
+
+const selectKeywordMatchesBySessionScopeStmt = db.prepare(`
+  SELECT c.id, c.pdfId, c.text, bm25(chunks_fts) AS rank
+  FROM chunks_fts
+  JOIN chunks c ON c.rowid = chunks_fts.rowid
+  WHERE chunks_fts MATCH ?
+    AND c.sessionId = ?
+    AND c.pdfId IN (SELECT value FROM json_each(?))
+  ORDER BY rank ASC
+  LIMIT ?
+`);
+
+// Chunks a forked document copied count once (see dedupeCopiedChunks); like
+// the vector search, ties go to the copy in the oldest session. The CTE is
+// materialized because bm25() cannot run inside the window function.
+const selectKeywordMatchesByUserStmt = db.prepare(`
+  WITH matches AS MATERIALIZED (
+    SELECT c.id, c.pdfId, c.text, c.sessionId, bm25(chunks_fts) AS rank,
+      COALESCE(p.sourcePdfId, c.pdfId) AS originPdfId,
+      COALESCE(c.chunkKey, c.id) AS originChunkKey
+    FROM chunks_fts
+    JOIN chunks c ON c.rowid = chunks_fts.rowid
+    JOIN sessions s ON s.id = c.sessionId
+    LEFT JOIN pdfs p ON p.id = c.pdfId
+    WHERE chunks_fts MATCH ? AND s.user_id = ?
+  )
+  SELECT id, pdfId, text, rank
+  FROM (
+    SELECT id, pdfId, text, rank,
+      ROW_NUMBER() OVER (PARTITION BY originPdfId, originChunkKey ORDER BY rank ASC, sessionId ASC) AS copyIndex
+    FROM matches
+  )
+  WHERE copyIndex = 1
+  ORDER BY rank ASC
+  LIMIT ?
 `);
 
 const selectChunkPageBySessionStmt = db.prepare(`
   SELECT id, pdfId, text, embedding, embeddingVectorLength
   FROM chunks
-  WHERE sessionId = ? AND embeddingVectorLength = ?
+  WHERE sessionId = ? AND embeddingModel = ? AND embeddingVectorLength = ?
+  ORDER BY id ASC
+  LIMIT ? OFFSET ?
+`);
+
+const selectChunkPageBySessionScopeStmt = db.prepare(`
+  SELECT id, pdfId, text, embedding, embeddingVectorLength
+  FROM chunks
+  WHERE sessionId = ?
+    AND embeddingModel = ?
+    AND embeddingVectorLength = ?
+    AND pdfId IN (SELECT value FROM json_each(?))
   ORDER BY id ASC
   LIMIT ? OFFSET ?
 `);
 
+// A forked document's chunks are copies of the original's; library search
+// identifies them by the original document and the chunk key.
+const selectChunkOriginsByIdsStmt = db.prepare(`
+  SELECT c.id,
+    COALESCE(p.sourcePdfId, c.pdfId) || ':' || COALESCE(c.chunkKey, c.id) AS origin
+  FROM chunks c
+  LEFT JOIN pdfs p ON p.id = c.pdfId
+  WHERE c.id IN (SELECT value FROM json_each(?))
+`);
+
+const selectChunkEmbeddingsByIdsStmt = db.prepare(`
+  SELECT id, pdfId, embedding
+  FROM chunks
+  WHERE id IN (SELECT value FROM json_each(?))
+`);
+
+const selectChunkLocationsByIdsStmt = db.prepare(`
+  SELECT id, pageStart, pageEnd, charStart, charEnd, headingPath
+  FROM chunks
+  WHERE id IN (SELECT value FROM json_each(?))
+`);
+
 const countChunksBySessionStmt = db.prepare(`
   SELECT COUNT(*) AS count
   FROM chunks
   WHERE sessionId = ?
 `);
 
+const countChunksBySessionScopeStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ? AND pdfId IN (SELECT value FROM json_each(?))
+`);
+
+const selectLegacyEmbeddingBatchStmt = db.prepare(`
+  SELECT rowid, embedding
+  FROM chunks
+  WHERE typeof(embedding) = 'text'
+  ORDER BY rowid ASC
+  LIMIT ?
+`);
+
+const updateChunkEmbeddingStmt = db.prepare(`
+  UPDATE chunks
+  SET embedding = ?, embeddingVectorLength = ?
+  WHERE rowid = ?
+`);
+
+const countChunkVectorsBySessionStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ? AND embeddingModel = ? AND embeddingVectorLength = ?
+`);
+
+const countChunkVectorsBySessionScopeStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ?
+    AND embeddingModel = ?
+    AND embeddingVectorLength = ?
+    AND pdfId IN (SELECT value FROM json_each(?))
+`);
+
+const countChunksBySessionForUserStmt = db.prepare(`
+  SELECT c.sessionId, COUNT(*) AS count
+  FROM chunks c
+  JOIN sessions s ON s.id = c.sessionId
+  WHERE s.user_id = ? AND c.embeddingModel = ?
+  GROUP BY c.sessionId
+  ORDER BY c.sessionId ASC
+`);
+
+const selectEmbeddingModelsBySessionStmt = db.prepare(`
+  SELECT embeddingModel, COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ?
+  GROUP BY embeddingModel
+`);
+
+const selectEmbeddingModelsBySessionScopeStmt = db.prepare(`
+  SELECT embeddingModel, COUNT(*) AS count
+  FROM chunks
+  WHERE sessionId = ? AND pdfId IN (SELECT value FROM json_each(?))
+  GROUP BY embeddingModel
+`);
+
+const selectEmbeddingModelsByUserStmt = db.prepare(`
+  SELECT c.embeddingModel, COUNT(*) AS count
+  FROM chunks c
+  JOIN sessions s ON s.id = c.sessionId
+  WHERE s.user_id = ?
+  GROUP BY c.embeddingModel
+`);
+
 const deleteChunksByPdfStmt = db.prepare(`
   DELETE FROM chunks
   WHERE pdfId = ?
@@ -40,6 +208,16 @@ const selectRecentTextsBySessionStmt = db.prepare(`
   LIMIT ?
 `);
 
+const selectChunkCopyPageStmt = db.prepare(`
+  SELECT
+    rowid, chunkKey, text, embedding, embeddingVectorLength, embeddingModel,
+    pageStart, pageEnd, charStart, charEnd, headingPath, createdAt
+  FROM chunks
+  WHERE pdfId = ? AND rowid > ?
+  ORDER BY rowid ASC
+  LIMIT ?
+`);
+
 const deleteOrphanChunksStmt = db.prepare(`
   DELETE FROM chunks
   WHERE NOT EXISTS (
@@ -95,10 +273,21 @@ function getCachedVector(pdfId, chunkId) {
   return value;
 }
 
-function addChunks({ sessionId, pdfId, items, replacePdfChunks = false }) {
+function toOptionalInteger(value) {
+  return Number.isInteger(value) ? value : null;
+}
+
+function addChunks({
+  sessionId,
+  pdfId,
+  items,
+  replacePdfChunks = false,
+  embeddingModel = getEmbeddingModelId(),
+}) {
   const now = new Date().toISOString();
 
   const insertMany = db.transaction((rows) => {
+    const inserted = [];
     if (replacePdfChunks && pdfId) {
       invalidatePdfCache(pdfId);
       deleteChunksByPdfStmt.run(pdfId);
@@ -106,27 +295,82 @@ function addChunks({ sessionId, pdfId, items, replacePdfChunks = false }) {
 
     let index = 0;
     for (const row of rows) {
-      const embedding = Array.isArray(row.embedding) ? row.embedding : [];
+      const embedding = isVector(row.embedding) ? row.embedding : [];
+      const chunkKey = String(row.chunkKey || `${pdfId || 'pdf'}:${index}`);
+      // INSERT OR REPLACE would drop a conflicting (pdfId, chunkKey) row without
+      // firing the keyword index trigger, so delete it first and clear its ANN entry.
+      const replaced = selectChunkIdByPdfChunkKeyStmt.get(pdfId, chunkKey);
+      deleteChunkByPdfChunkKeyStmt.run(pdfId, chunkKey);
+      const id = uuidv4();
       insertChunkStmt.run({
-        id: uuidv4(),
+        id,
         sessionId,
         pdfId,
-        chunkKey: String(row.chunkKey || `${pdfId || 'pdf'}:${index}`),
+        chunkKey,
         text: row.text,
-        embedding: JSON.stringify(embedding),
+        embedding: encodeVector(embedding),
         embeddingVectorLength: embedding.length,
+        embeddingModel,
+        pageStart: toOptionalInteger(row.pageStart),
+        pageEnd: toOptionalInteger(row.pageEnd),
+        charStart: toOptionalInteger(row.charStart),
+        charEnd: toOptionalInteger(row.charEnd),
+        headingPath: Array.isArray(row.headingPath) && row.headingPath.length > 0
+          ? JSON.stringify(row.headingPath)
+          : null,
         createdAt: now,
       });
+      inserted.push({ id, vector: embedding, replacedChunkId: replaced?.id || null });
       index += 1;
     }
+    return inserted;
   });
 
-  insertMany(items);
+  const inserted = insertMany(items);
+  addChunksToIndex(sessionId, {
+    pdfId,
+    replacePdfChunks,
+    chunks: inserted,
+    embeddingModel,
+  });
   return items.length;
 }
 
+// Copies a document's chunks, stored embeddings included, to another document
+// row, e.g. of a forked session. Nothing is re-parsed or re-embedded; the
+// target session's ANN index is left to buildSessionIndexIfNeeded.
+const copyPdfChunks = db.transaction(({ sourcePdfId, sessionId, pdfId }) => {
+  let copied = 0;
+  let lastRowId = 0;
+  let rows = selectChunkCopyPageStmt.all(sourcePdfId, lastRowId, COPY_PAGE_SIZE);
+  while (rows.length > 0) {
+    for (const row of rows) {
+      insertChunkStmt.run({
+        id: uuidv4(),
+        sessionId,
+        pdfId,
+        chunkKey: row.chunkKey,
+        text: row.text,
+        embedding: row.embedding,
+        embeddingVectorLength: row.embeddingVectorLength,
+        embeddingModel: row.embeddingModel,
+        pageStart: row.pageStart,
+        pageEnd: row.pageEnd,
+        charStart: row.charStart,
+        charEnd: row.charEnd,
+        headingPath: row.headingPath,
+        createdAt: row.createdAt,
+      });
+      copied += 1;
+    }
+    lastRowId = rows[rows.length - 1].rowid;
+    rows = selectChunkCopyPageStmt.all(sourcePdfId, lastRowId, COPY_PAGE_SIZE);
+  }
+  return copied;
+});
+
 function cosineSimilarity(a, b) {
-  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) {
+  if (!isVector(a) || !isVector(b) || a.length !== b.length) {
     return -1;
   }
 
@@ -153,16 +397,13 @@ function parseVectorForChunk(chunk) {
     return cached;
   }
 
-  try {
-    const parsed = JSON.parse(chunk.embedding);
-    if (Array.isArray(parsed)) {
-      setPdfChunkCache(chunk.pdfId, chunk.id, parsed);
-      return parsed;
-    }
-    return null;
-  } catch {
+  // Rows not yet converted by the migration still carry JSON text.
+  const vector = decodeVector(chunk.embedding);
+  if (!vector) {
     return null;
   }
+  setPdfChunkCache(chunk.pdfId, chunk.id, vector);
+  return vector;
 }
 
 function mergeTopK(existing, next, topK) {
@@ -172,18 +413,11 @@ function mergeTopK(existing, next, topK) {
     .slice(0, topK);
 }
 
-async function similaritySearch({
-  sessionId,
-  queryEmbedding,
-  topK = 5,
-  pageSize = DEFAULT_PAGE_SIZE,
-  onProgress,
-}) {
-  const normalizedTopK = Math.max(1, Math.min(5, Number(topK) || 5));
+async function scanChunkPages({ totalRows, fetchPage, queryEmbedding, topK, pageSize, onProgress }) {
+  const normalizedTopK = Math.max(1, Math.min(MAX_SEARCH_RESULTS, Number(topK) || 5));
   const normalizedPageSize = Math.max(50, Math.min(1000, Number(pageSize) || 400));
-  const totalRows = countChunksBySessionStmt.get(sessionId).count;
   const boundedTotalRows = Math.min(totalRows, MAX_CHUNKS_PER_QUERY);
-  const queryVectorLength = Array.isArray(queryEmbedding) ? queryEmbedding.length : 0;
+  const queryVectorLength = isVector(queryEmbedding) ? queryEmbedding.length : 0;
 
   if (!queryVectorLength || boundedTotalRows === 0) {
     if (typeof onProgress === 'function') {
@@ -196,12 +430,11 @@ async function similaritySearch({
   let bestMatches = [];
 
   while (offset < boundedTotalRows) {
-    const rows = selectChunkPageBySessionStmt.all(
-      sessionId,
-      queryVectorLength,
-      Math.min(normalizedPageSize, boundedTotalRows - offset),
-      offset
-    );
+    const rows = fetchPage({
+      vectorLength: queryVectorLength,
+      limit: Math.min(normalizedPageSize, boundedTotalRows - offset),
+      offset,
+    });
     if (rows.length === 0) {
       break;
     }
@@ -242,10 +475,216 @@ async function similaritySearch({
   return bestMatches.sort((a, b) => b.score - a.score).slice(0, normalizedTopK);
 }
 
-function getChunkCountBySession(sessionId) {
+async function similaritySearch({
+  sessionId,
+  queryEmbedding,
+  topK = 5,
+  pageSize = DEFAULT_PAGE_SIZE,
+  pdfIds = null,
+  embeddingModel = getEmbeddingModelId(),
+  onProgress,
+}) {
+  const scopeJson = Array.isArray(pdfIds) ? JSON.stringify(pdfIds) : null;
+  // Only vectors from the query's embedding model are comparable with it, so
+  // the scan bound and progress count those alone.
+  const vectorLength = isVector(queryEmbedding) ? queryEmbedding.length : 0;
+  const totalRows = (scopeJson
+    ? countChunkVectorsBySessionScopeStmt.get(sessionId, embeddingModel, vectorLength, scopeJson)
+    : countChunkVectorsBySessionStmt.get(sessionId, embeddingModel, vectorLength)).count;
+  return scanChunkPages({
+    totalRows,
+    fetchPage: ({ vectorLength, limit, offset }) => (scopeJson
+      ? selectChunkPageBySessionScopeStmt.all(sessionId, embeddingModel, vectorLength, scopeJson, limit, offset)
+      : selectChunkPageBySessionStmt.all(sessionId, embeddingModel, vectorLength, limit, offset)),
+    queryEmbedding,
+    topK,
+    pageSize,
+    onProgress,
+  });
+}
+
+// Keeps the best scoring of the chunks that are copies of the same original;
+// `matches` is sorted by score, ties in session order.
+function dedupeCopiedChunks(matches) {
+  if (matches.length === 0) {
+    return matches;
+  }
+  const originById = new Map(
+    selectChunkOriginsByIdsStmt.all(JSON.stringify(matches.map((item) => item.chunkId)))
+      .map((row) => [row.id, row.origin])
+  );
+  const seen = new Set();
+  return matches.filter((item) => {
+    const origin = originById.get(item.chunkId) || item.chunkId;
+    if (seen.has(origin)) {
+      return false;
+    }
+    seen.add(origin);
+    return true;
+  });
+}
+
+// Library search: every session the user owns is searched like a chat would
+// search it, through its ANN index or an exact scan bounded per session, so a
+// large library does not fall back to an arbitrary subset of its chunks.
+async function similaritySearchByUser({
+  userId,
+  queryEmbedding,
+  topK = 5,
+  pageSize = DEFAULT_PAGE_SIZE,
+  embeddingModel = getEmbeddingModelId(),
+}) {
+  const normalizedTopK = Math.max(1, Math.min(MAX_SEARCH_RESULTS, Number(topK) || 5));
+  let bestMatches = [];
+
+  for (const { sessionId, count } of countChunksBySessionForUserStmt.all(userId, embeddingModel)) {
+    let sessionResults = null;
+    if (shouldUseAnnIndex(count)) {
+      // eslint-disable-next-line no-await-in-loop
+      sessionResults = await searchSessionIndex({
+        sessionId,
+        queryEmbedding,
+        topK: normalizedTopK,
+        embeddingModel,
+      });
+    }
+    if (!sessionResults) {
+      // eslint-disable-next-line no-await-in-loop
+      sessionResults = await similaritySearch({
+        sessionId,
+        queryEmbedding,
+        topK: normalizedTopK,
+        pageSize,
+        embeddingModel,
+      });
+    }
+    bestMatches = mergeTopK(bestMatches, sessionResults, bestMatches.length + sessionResults.length);
+    bestMatches = dedupeCopiedChunks(bestMatches).slice(0, normalizedTopK);
+  }
+
+  return bestMatches;
+}
+
+function buildKeywordMatchQuery(text) {
+  const terms = String(text || '')
+    .split(/\s+/)
+    .map((term) => term.replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, ''))
+    .filter((term) => term.length > 1 || /\p{N}/u.test(term));
+
+  const uniqueTerms = [...new Set(terms.map((term) => term.toLowerCase()))]
+    .slice(0, MAX_KEYWORD_QUERY_TERMS);
+
+  // Quote every term so FTS5 treats user input as phrases, never as query syntax.
+  // Punctuated terms like "X-200" become the phrase "x 200" under unicode61.
+  return uniqueTerms
+    .map((term) => `"${term.replace(/"/g, '""')}"`)
+    .join(' OR ');
+}
+
+function toKeywordResult(row) {
+  return {
+    chunkId: row.id,
+    pdfId: row.pdfId,
+    text: row.text,
+    // bm25() is lower-is-better; flip it so every search returns higher-is-better scores.
+    score: -Number(row.rank),
+  };
+}
+
+function keywordSearch({ sessionId, query, topK = 5, pdfIds = null }) {
+  const normalizedTopK = Math.max(1, Math.min(MAX_SEARCH_RESULTS, Number(topK) || 5));
+  const matchQuery = buildKeywordMatchQuery(query);
+  if (!matchQuery) {
+    return [];
+  }
+
+  const rows = Array.isArray(pdfIds)
+    ? selectKeywordMatchesBySessionScopeStmt.all(matchQuery, sessionId, JSON.stringify(pdfIds), normalizedTopK)
+    : selectKeywordMatchesBySessionStmt.all(matchQuery, sessionId, normalizedTopK);
+
+  return rows.map(toKeywordResult);
+}
+
+function keywordSearchByUser({ userId, query, topK = 5 }) {
+  const normalizedTopK = Math.max(1, Math.min(MAX_SEARCH_RESULTS, Number(topK) || 5));
+  const matchQuery = buildKeywordMatchQuery(query);
+  if (!matchQuery) {
+    return [];
+  }
+
+  return selectKeywordMatchesByUserStmt.all(matchQuery, userId, normalizedTopK).map(toKeywordResult);
+}
+
+function getChunkVectors(chunkIds) {
+  const vectors = new Map();
+  const ids = [...new Set((chunkIds || []).filter(Boolean))];
+  if (ids.length === 0) {
+    return vectors;
+  }
+
+  for (const row of selectChunkEmbeddingsByIdsStmt.all(JSON.stringify(ids))) {
+    const vector = parseVectorForChunk(row);
+    if (vector) {
+      vectors.set(row.id, vector);
+    }
+  }
+  return vectors;
+}
+
+function parseHeadingPath(value) {
+  if (!value) {
+    return [];
+  }
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function getChunkLocations(chunkIds) {
+  const ids = [...new Set((chunkIds || []).filter(Boolean))];
+  if (ids.length === 0) {
+    return new Map();
+  }
+
+  return new Map(selectChunkLocationsByIdsStmt.all(JSON.stringify(ids)).map((row) => [row.id, {
+    pageStart: row.pageStart,
+    pageEnd: row.pageEnd,
+    charStart: row.charStart,
+    charEnd: row.charEnd,
+    headingPath: parseHeadingPath(row.headingPath),
+  }]));
+}
+
+function getChunkCountBySession(sessionId, pdfIds = null) {
+  if (Array.isArray(pdfIds)) {
+    return countChunksBySessionScopeStmt.get(sessionId, JSON.stringify(pdfIds)).count;
+  }
   return countChunksBySessionStmt.get(sessionId).count;
 }
 
+// Current model first; older ones only remain while re-embedding is pending.
+function sortEmbeddingModels(rows) {
+  const currentModel = getEmbeddingModelId();
+  return rows
+    .filter((row) => row.embeddingModel)
+    .map((row) => ({ embeddingModel: row.embeddingModel, count: Number(row.count) || 0 }))
+    .sort((a, b) => Number(b.embeddingModel === currentModel) - Number(a.embeddingModel === currentModel)
+      || b.count - a.count);
+}
+
+function getEmbeddingModelsBySession(sessionId, pdfIds = null) {
+  return sortEmbeddingModels(Array.isArray(pdfIds)
+    ? selectEmbeddingModelsBySessionScopeStmt.all(sessionId, JSON.stringify(pdfIds))
+    : selectEmbeddingModelsBySessionStmt.all(sessionId));
+}
+
+function getEmbeddingModelsByUser(userId) {
+  return sortEmbeddingModels(selectEmbeddingModelsByUserStmt.all(userId));
+}
+
 function getRecentContextTextsBySession(sessionId, limit = 20) {
   return selectRecentTextsBySessionStmt
     .all(sessionId, limit)
@@ -265,12 +704,47 @@ function cleanupOrphanChunks() {
   return Number(result.changes) || 0;
 }
 
+const convertLegacyEmbeddingBatch = db.transaction(() => {
+  const rows = selectLegacyEmbeddingBatchStmt.all(LEGACY_EMBEDDING_BATCH_SIZE);
+  for (const row of rows) {
+    const vector = decodeVector(row.embedding) || [];
+    updateChunkEmbeddingStmt.run(encodeVector(vector), vector.length, row.rowid);
+  }
+  return rows.length;
+});
+
+// Rewrites legacy JSON embeddings as Float32 BLOBs, one committed batch at a
+// time with a yield in between, so searches and indexing keep running.
+async function convertLegacyEmbeddings() {
+  let converted = 0;
+  let batch = convertLegacyEmbeddingBatch();
+  while (batch > 0) {
+    converted += batch;
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => {
+      setImmediate(resolve);
+    });
+    batch = convertLegacyEmbeddingBatch();
+  }
+  return converted;
+}
+
 module.exports = {
   addChunks,
+  copyPdfChunks,
   similaritySearch,
+  similaritySearchByUser,
+  keywordSearch,
+  keywordSearchByUser,
+  buildKeywordMatchQuery,
+  getChunkVectors,
+  getChunkLocations,
   getChunkCountBySession,
+  getEmbeddingModelsBySession,
+  getEmbeddingModelsByUser,
   getRecentContextTextsBySession,
   invalidatePdfCache,
   cleanupOrphanChunks,
+  convertLegacyEmbeddings,
   cosineSimilarity,
 };
@@ -0,0 +1,41 @@
+// Embeddings are persisted as raw Float32 bytes in platform byte order
+// (little-endian on every target we deploy to). Legacy rows hold JSON text.
+
+function isVector(value) {
+  return Array.isArray(value) || value instanceof Float32Array || value instanceof Float64Array;
+}
+
+function encodeVector(vector) {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(isVector(vector) ? vector : []);
+  return Buffer.from(floats.buffer, floats.byteOffset, floats.byteLength);
+}
+
+function decodeVector(stored) {
+  if (Buffer.isBuffer(stored) || stored instanceof Uint8Array) {
+    if (stored.byteLength % Float32Array.BYTES_PER_ELEMENT !== 0) {
+      return null;
+    }
+    // Float32Array views need 4-byte aligned offsets; pooled buffers may not be.
+    const bytes = stored.byteOffset % Float32Array.BYTES_PER_ELEMENT === 0
+      ? stored
+      : Uint8Array.prototype.slice.call(stored);
+    return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / Float32Array.BYTES_PER_ELEMENT);
+  }
+
+  if (typeof stored === 'string') {
+    try {
+      const parsed = JSON.parse(stored);
+      return Array.isArray(parsed) ? parsed : null;
+    } catch {
+      return null;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  isVector,
+  encodeVector,
+  decodeVector,
+};
@@ -7,9 +7,29 @@ const chatBodySchema = z.object({
         role: z.enum(['user', 'assistant']),
         text: z.string(),
     })).max(100).optional(),
+    historySource: z.enum(['server', 'client']).optional(),
     responseStyle: z.enum(['structured', 'plain']).optional(),
+    candidatePool: z.number().int().min(1).max(100).optional(),
+    mmrLambda: z.number().min(0).max(1).optional(),
+    reranker: z.string().trim().min(1).max(60).optional(),
+    rewriteQuery: z.boolean().optional(),
+    groundingCheck: z.enum(['off', 'lexical', 'llm']).optional(),
+    useCache: z.boolean().optional(),
+    pdfIds: z.array(z.union([z.string(), z.number()])).min(1).max(100).optional(),
+    excludePdfIds: z.array(z.union([z.string(), z.number()])).max(100).optional(),
 });
 
+const retrieveBodySchema = chatBodySchema
+    .omit({ sessionId: true, groundingCheck: true, useCache: true })
+    .extend({
+        topK: z.number().int().min(1).max(8).optional(),
+    });
+
+// Regenerating always bypasses the answer cache, so useCache is not accepted.
+const regenerateBodySchema = chatBodySchema.omit({ sessionId: true, message: true, useCache: true });
+
+const editMessageBodySchema = chatBodySchema.omit({ sessionId: true });
+
 const historyQuerySchema = z.object({
     limit: z
         .string()
@@ -23,5 +43,8 @@ const historyQuerySchema = z.object({
 
 module.exports = {
     chatBodySchema,
+    retrieveBodySchema,
+    regenerateBodySchema,
+    editMessageBodySchema,
     historyQuerySchema
 };
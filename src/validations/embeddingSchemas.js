@@ -0,0 +1,18 @@
+const { z } = require('zod');
+
+// The body is optional: an empty POST re-embeds all of the caller's sessions.
+const reembedBodySchema = z.object({
+    sessionId: z.union([z.string(), z.number()]).optional(),
+}).default({});
+
+const reembedStatusQuerySchema = z.object({
+    sessionId: z
+        .string()
+        .regex(/^\d+$/)
+        .optional(),
+});
+
+module.exports = {
+    reembedBodySchema,
+    reembedStatusQuerySchema
+};
@@ -0,0 +1,25 @@
+const { z } = require('zod');
+const { FEEDBACK_RATINGS, FEEDBACK_REASONS } = require('../services/feedbackService');
+
+const feedbackBodySchema = z.object({
+    rating: z.enum(FEEDBACK_RATINGS),
+    reasons: z.array(z.enum(FEEDBACK_REASONS)).max(FEEDBACK_REASONS.length).optional(),
+    comment: z.string().max(2000).optional(),
+});
+
+const feedbackSummaryQuerySchema = z.object({
+    sessionId: z
+        .string()
+        .regex(/^\d+$/)
+        .optional(),
+    since: z.string().datetime().optional(),
+    limit: z
+        .string()
+        .regex(/^\d+$/)
+        .optional(),
+});
+
+module.exports = {
+    feedbackBodySchema,
+    feedbackSummaryQuerySchema
+};
@@ -0,0 +1,18 @@
+const { z } = require('zod');
+
+const librarySearchQuerySchema = z.object({
+    q: z.string().trim().min(1).max(500),
+    limit: z
+        .string()
+        .regex(/^\d+$/)
+        .optional(),
+    offset: z
+        .string()
+        .regex(/^\d+$/)
+        .optional(),
+    mode: z.enum(['hybrid', 'vector']).optional(),
+});
+
+module.exports = {
+    librarySearchQuerySchema
+};
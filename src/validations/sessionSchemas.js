@@ -8,6 +8,20 @@ const renameSessionBodySchema = z.object({
     title: z.string().trim().min(1).max(60),
 });
 
+const sessionSettingsBodySchema = z.object({
+    customInstruction: z.string().trim().max(2000).nullable().optional(),
+    persona: z.enum(['default', 'tutor', 'explainer', 'concise']).optional(),
+    answerLanguage: z.string().trim().min(2).max(40).nullable().optional(),
+    documentOnly: z.boolean().optional(),
+}).refine((body) => Object.values(body).some((value) => value !== undefined), {
+    message: 'Provide at least one setting to change.',
+});
+
+const forkSessionBodySchema = z.object({
+    messageId: z.union([z.string(), z.number()]).optional(),
+    title: z.string().trim().min(1).max(160).optional(),
+});
+
 const sessionSearchQuerySchema = z.object({
     q: z.string().max(160).optional(),
 });
@@ -15,5 +29,7 @@ const sessionSearchQuerySchema = z.object({
 module.exports = {
     createSessionBodySchema,
     renameSessionBodySchema,
-    sessionSearchQuerySchema
+    forkSessionBodySchema,
+    sessionSearchQuerySchema,
+    sessionSettingsBodySchema
 };
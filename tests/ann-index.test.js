@@ -0,0 +1,117 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSession, deleteSession } = require('../src/services/sessionService');
+const { createPdfRecord, deletePdfRecord } = require('../src/services/pdfRecordService');
+const { createUser } = require('../src/services/authService');
+const { addChunks, similaritySearch } = require('../src/services/vectorService');
+const {
+  buildSessionIndex,
+  hasSessionIndex,
+  searchSessionIndex,
+} = require('../src/services/annIndexService');
+
+const DIMENSIONS = 16;
+
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 4294967296;
+  };
+}
+
+function clusteredVector(random, cluster) {
+  const vector = [];
+  for (let d = 0; d < DIMENSIONS; d += 1) {
+    vector.push((d % 8 === cluster ? 1 : 0) + (random() - 0.5) * 0.3);
+  }
+  return vector;
+}
+
+test('ANN index matches exact scan, updates incrementally and is dropped with its session', async () => {
+  const user = await createUser({
+    name: `ANN User ${Date.now()}`,
+    email: `ann_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `ANN Index ${Date.now()}`);
+  const basePdf = createPdfRecord({
+    userId: user.id,
+    sessionId: session.id,
+    title: 'ANN Base',
+    filename: 'ann-base.pdf',
+    storagePath: '/tmp/ann-base.pdf',
+  });
+
+  const random = createRandom(42);
+  const items = [];
+  for (let i = 0; i < 800; i += 1) {
+    items.push({
+      text: `chunk ${i}`,
+      embedding: clusteredVector(random, i % 8),
+      chunkKey: `ann-${i}`,
+    });
+  }
+  addChunks({ sessionId: session.id, pdfId: basePdf.id, items, replacePdfChunks: true });
+
+  assert.equal(hasSessionIndex(session.id), false);
+  const index = await buildSessionIndex(session.id);
+  assert.equal(index.size, 800);
+  assert.equal(index.dimensions, DIMENSIONS);
+  assert.ok(index.centroids.length > 1);
+
+  for (let q = 0; q < 8; q += 1) {
+    const queryEmbedding = clusteredVector(random, q);
+    const exact = await similaritySearch({ sessionId: session.id, queryEmbedding, topK: 5 });
+    const exhaustive = await searchSessionIndex({
+      sessionId: session.id,
+      queryEmbedding,
+      topK: 5,
+      probes: index.centroids.length,
+    });
+    assert.deepEqual(exhaustive.map((item) => item.chunkId), exact.map((item) => item.chunkId));
+
+    const approximate = await searchSessionIndex({ sessionId: session.id, queryEmbedding, topK: 5 });
+    assert.equal(approximate[0].chunkId, exact[0].chunkId);
+  }
+
+  const extraPdf = createPdfRecord({
+    userId: user.id,
+    sessionId: session.id,
+    title: 'ANN Extra',
+    filename: 'ann-extra.pdf',
+    storagePath: '/tmp/ann-extra.pdf',
+  });
+  const needle = new Array(DIMENSIONS).fill(0);
+  needle[DIMENSIONS - 1] = 1;
+  addChunks({
+    sessionId: session.id,
+    pdfId: extraPdf.id,
+    items: [{ text: 'needle chunk', embedding: needle, chunkKey: 'needle' }],
+    replacePdfChunks: true,
+  });
+
+  const found = await searchSessionIndex({ sessionId: session.id, queryEmbedding: needle, topK: 1, probes: 1 });
+  assert.equal(found[0].text, 'needle chunk');
+  assert.equal(index.size, 801);
+
+  const scoped = await searchSessionIndex({
+    sessionId: session.id,
+    queryEmbedding: needle,
+    topK: 3,
+    probes: index.centroids.length,
+    pdfIds: [basePdf.id],
+  });
+  assert.equal(scoped.length, 3);
+  assert.ok(scoped.every((item) => item.pdfId === basePdf.id));
+
+  deletePdfRecord(extraPdf.id, user.id);
+  assert.equal(index.size, 800);
+  const afterDelete = await searchSessionIndex({ sessionId: session.id, queryEmbedding: needle, topK: 1, probes: 1 });
+  assert.notEqual(afterDelete[0]?.text, 'needle chunk');
+
+  assert.equal(await searchSessionIndex({ sessionId: session.id, queryEmbedding: [1, 0], topK: 1 }), null);
+
+  deleteSession(session.id, user.id);
+  assert.equal(hasSessionIndex(session.id), false);
+});
@@ -0,0 +1,134 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const db = require('../src/config/database');
+const {
+  buildOptionsKey,
+  lookupCachedAnswer,
+  storeCachedAnswer,
+  invalidateAnswerCache,
+} = require('../src/services/answerCacheService');
+const { addIndexedDocument, createAuthContext, createIndexedSession } = require('./helpers');
+
+const countCacheEntriesStmt = db.prepare('SELECT COUNT(*) AS count FROM answer_cache WHERE sessionId = ?');
+
+function ask(auth, sessionId, body) {
+  return request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send(body);
+}
+
+test('a repeated question is answered from the cache', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+
+  const first = await ask(auth, sessionId, { message: 'How do I prime the pump?' });
+  assert.equal(first.status, 200);
+  assert.equal(first.body.data.cached, false);
+
+  const second = await ask(auth, sessionId, { message: 'how do I prime the pump' });
+  assert.equal(second.body.data.cached, true);
+  assert.equal(second.body.data.answer, first.body.data.answer);
+  assert.deepEqual(second.body.data.sources, first.body.data.sources);
+
+  const other = await ask(auth, sessionId, { message: 'What does the warranty cover?' });
+  assert.equal(other.body.data.cached, false);
+
+  const plain = await ask(auth, sessionId, { message: 'How do I prime the pump?', responseStyle: 'plain' });
+  assert.equal(plain.body.data.cached, false);
+
+  const bypassed = await ask(auth, sessionId, { message: 'How do I prime the pump?', useCache: false });
+  assert.equal(bypassed.body.data.cached, false);
+
+  const followUp = await ask(auth, sessionId, {
+    message: 'How do I prime the pump?',
+    history: [{ role: 'user', text: 'Tell me about the pump.' }],
+  });
+  assert.equal(followUp.body.data.cached, false);
+
+  const history = await request(app)
+    .get(`/api/v1/sessions/${sessionId}/history`)
+    .set(auth.authHeader);
+  assert.equal(history.body.data.length, 12);
+});
+
+test('a follow-up is answered from the cache after the same last exchange', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const exchange = [
+    { role: 'user', text: 'Tell me about the pump.' },
+    { role: 'assistant', text: 'It must be primed before use.' },
+  ];
+
+  const first = await ask(auth, sessionId, { message: 'How long does that take?', history: exchange });
+  assert.equal(first.body.data.cached, false);
+  const repeated = await ask(auth, sessionId, { message: 'how long does that take', history: exchange });
+  assert.equal(repeated.body.data.cached, true);
+  assert.equal(repeated.body.data.answer, first.body.data.answer);
+
+  const otherExchange = [exchange[0], { role: 'assistant', text: 'It has a warranty.' }];
+  const elsewhere = await ask(auth, sessionId, { message: 'How long does that take?', history: otherExchange });
+  assert.equal(elsewhere.body.data.cached, false);
+
+  // With stored history, editing a follow-up into a near-identical one reuses the answer.
+  const serverSession = await createIndexedSession(auth);
+  const serverBase = `/api/v2/sessions/${serverSession.sessionId}`;
+  await request(app).post(`${serverBase}/chat`).set(auth.authHeader).send({ message: 'How do I prime the pump?' });
+  const followUp = await request(app).post(`${serverBase}/chat`).set(auth.authHeader).send({ message: 'How long does it take?' });
+  assert.equal(followUp.body.data.cached, false);
+  const edited = await request(app)
+    .post(`${serverBase}/messages/${followUp.body.data.userMessageId}/edit`)
+    .set(auth.authHeader)
+    .send({ message: 'how long does it take' });
+  assert.equal(edited.status, 200);
+  assert.equal(edited.body.data.cached, true);
+});
+
+test('indexing or deleting a document invalidates cached answers', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, pdf } = await createIndexedSession(auth);
+  const body = { message: 'How do I prime the pump?' };
+
+  await ask(auth, sessionId, body);
+  assert.equal((await ask(auth, sessionId, body)).body.data.cached, true);
+
+  await addIndexedDocument({
+    userId: auth.user.id,
+    sessionId,
+    title: 'addendum',
+    texts: ['Priming the pump now takes five minutes.'],
+  });
+  assert.equal(countCacheEntriesStmt.get(sessionId).count, 0);
+  assert.equal((await ask(auth, sessionId, body)).body.data.cached, false);
+  assert.equal((await ask(auth, sessionId, body)).body.data.cached, true);
+
+  const deleted = await request(app).delete(`/api/v1/pdfs/${pdf.id}`).set(auth.authHeader);
+  assert.equal(deleted.status, 200);
+  assert.equal((await ask(auth, sessionId, body)).body.data.cached, false);
+
+  const invalid = await ask(auth, sessionId, { ...body, useCache: 'no' });
+  assert.equal(invalid.status, 422);
+});
+
+test('an answer computed while the documents changed is not stored', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const optionsKey = buildOptionsKey({ responseStyle: 'structured' });
+
+  const entry = await lookupCachedAnswer({ sessionId, query: 'How do I prime the pump?', optionsKey });
+  assert.equal(entry.hit, null);
+  invalidateAnswerCache(sessionId);
+  storeCachedAnswer(entry, { answer: 'stale' });
+  assert.equal(countCacheEntriesStmt.get(sessionId).count, 0);
+
+  const fresh = await lookupCachedAnswer({ sessionId, query: 'How do I prime the pump?', optionsKey });
+  storeCachedAnswer(fresh, { answer: 'fresh' });
+  const hit = await lookupCachedAnswer({ sessionId, query: 'How do I prime the pump?', optionsKey });
+  assert.equal(hit.hit.answer, 'fresh');
+  assert.equal(hit.similarity, 1);
+});
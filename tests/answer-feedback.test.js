@@ -0,0 +1,120 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+async function askAndFindAnswer(auth, sessionId, body) {
+  const chat = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ useCache: false, ...body });
+  assert.equal(chat.status, 200);
+  assert.equal(chat.body.data.model, 'fake:fake');
+
+  const history = await request(app).get(`/api/v1/sessions/${sessionId}/history`).set(auth.authHeader);
+  const messages = history.body.data;
+  return {
+    question: messages[messages.length - 2],
+    answer: messages[messages.length - 1],
+  };
+}
+
+test('feedback is stored on assistant answers and shown in history', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const { question, answer } = await askAndFindAnswer(auth, sessionId, { message: 'How long does priming take?' });
+  assert.equal(answer.role, 'assistant');
+  assert.equal(answer.feedback, null);
+
+  const url = `/api/v1/sessions/${sessionId}/messages/${answer.id}/feedback`;
+  const first = await request(app)
+    .post(url)
+    .set(auth.authHeader)
+    .send({ rating: 'negative', reasons: ['incorrect', 'incorrect', 'not_grounded'], comment: '  Wrong duration.  ' });
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.data.reasons, ['incorrect', 'not_grounded']);
+  assert.equal(first.body.data.comment, 'Wrong duration.');
+
+  const second = await request(app).post(url).set(auth.authHeader).send({ rating: 'positive' });
+  assert.equal(second.status, 200);
+
+  const history = await request(app).get(`/api/v1/sessions/${sessionId}/history`).set(auth.authHeader);
+  const stored = history.body.data.find((message) => message.id === answer.id);
+  assert.equal(stored.feedback.rating, 'positive');
+  assert.deepEqual(stored.feedback.reasons, []);
+  assert.equal(stored.feedback.comment, null);
+
+  const onQuestion = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/messages/${question.id}/feedback`)
+    .set(auth.authHeader)
+    .send({ rating: 'negative' });
+  assert.equal(onQuestion.status, 422);
+  assert.equal(onQuestion.body.error.code, 'FEEDBACK_NOT_ALLOWED');
+
+  assert.equal((await request(app).post(url).set(auth.authHeader).send({ rating: 'meh' })).status, 422);
+  assert.equal((await request(app).post(url).set(auth.authHeader).send({ rating: 'negative', reasons: ['rude'] })).status, 422);
+  assert.equal((await request(app)
+    .post(`/api/v1/sessions/${sessionId}/messages/999999/feedback`)
+    .set(auth.authHeader)
+    .send({ rating: 'negative' })).status, 404);
+  assert.equal((await request(app).post(url).set(other.authHeader).send({ rating: 'negative' })).status, 400);
+});
+
+test('the summary breaks negative feedback down by session, document, model and style', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const first = await createIndexedSession(auth, { title: 'Pumps', documentTitle: 'Pumps manual' });
+  const second = await createIndexedSession(auth, { title: 'Valves', documentTitle: 'Valves manual' });
+
+  const rate = async (sessionId, body, feedback) => {
+    const { answer } = await askAndFindAnswer(auth, sessionId, body);
+    const response = await request(app)
+      .post(`/api/v1/sessions/${sessionId}/messages/${answer.id}/feedback`)
+      .set(auth.authHeader)
+      .send(feedback);
+    assert.equal(response.status, 200);
+  };
+  await rate(first.sessionId, { message: 'How long does priming take?', responseStyle: 'plain' }, { rating: 'negative', reasons: ['incomplete'] });
+  await rate(first.sessionId, { message: 'Must the pump be primed?', responseStyle: 'plain' }, { rating: 'negative', reasons: ['incomplete', 'formatting'] });
+  await rate(second.sessionId, { message: 'How long does priming take?' }, { rating: 'positive' });
+
+  const response = await request(app).get('/api/v1/feedback/summary').set(auth.authHeader);
+  assert.equal(response.status, 200);
+  const summary = response.body.data;
+  assert.deepEqual(summary.totals, { rated: 3, negative: 2, negativeRate: 0.6667 });
+  assert.deepEqual(summary.negativeReasons, [{ reason: 'incomplete', count: 2 }, { reason: 'formatting', count: 1 }]);
+  assert.deepEqual(summary.bySession.map((row) => [row.sessionId, row.title, row.negative, row.rated]), [
+    [first.sessionId, 'Pumps', 2, 2],
+    [second.sessionId, 'Valves', 0, 1],
+  ]);
+  assert.deepEqual(summary.byDocument.map((row) => [row.pdfId, row.title, row.negative]), [
+    [first.pdf.id, 'Pumps manual', 2],
+    [second.pdf.id, 'Valves manual', 0],
+  ]);
+  assert.deepEqual(summary.byModel, [{ model: 'fake:fake', rated: 3, negative: 2, negativeRate: 0.6667 }]);
+  assert.deepEqual(summary.byResponseStyle.map((row) => [row.responseStyle, row.negativeRate]), [
+    ['plain', 1],
+    ['structured', 0],
+  ]);
+
+  const scoped = await request(app)
+    .get('/api/v1/feedback/summary')
+    .query({ sessionId: String(second.sessionId) })
+    .set(auth.authHeader);
+  assert.deepEqual(scoped.body.data.totals, { rated: 1, negative: 0, negativeRate: 0 });
+
+  const future = await request(app)
+    .get('/api/v1/feedback/summary')
+    .query({ since: '2999-01-01T00:00:00.000Z' })
+    .set(auth.authHeader);
+  assert.equal(future.body.data.totals.rated, 0);
+
+  const otherSummary = await request(app).get('/api/v1/feedback/summary').set(other.authHeader);
+  assert.equal(otherSummary.body.data.totals.rated, 0);
+  assert.deepEqual(otherSummary.body.data.bySession, []);
+});
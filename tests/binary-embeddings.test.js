@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../src/config/database');
+const { runMigrations } = require('../src/database/migrations');
+const { runCleanupCycle } = require('../src/services/cleanupService');
+const { createSession, deleteSession } = require('../src/services/sessionService');
+const { createUser } = require('../src/services/authService');
+const { addChunks, similaritySearch } = require('../src/services/vectorService');
+const { encodeVector, decodeVector } = require('../src/utils/vectorCodec');
+
+// embeddingModel as backfilled at startup for rows that predate it.
+const insertLegacyChunkStmt = db.prepare(`
+  INSERT INTO chunks (id, sessionId, pdfId, chunkKey, text, embedding, embeddingVectorLength, embeddingModel, createdAt)
+  VALUES (
+    @id, @sessionId, NULL, @chunkKey, @text, @embedding, @embeddingVectorLength,
+    'transformers:Xenova/all-MiniLM-L6-v2', @createdAt
+  )
+`);
+
+const selectEmbeddingTypesStmt = db.prepare(`
+  SELECT text, typeof(embedding) AS storage
+  FROM chunks
+  WHERE sessionId = ?
+  ORDER BY text ASC
+`);
+
+test('vector codec round-trips Float32 bytes and legacy JSON', () => {
+  const encoded = encodeVector([0.25, -1, 3.5]);
+  assert.equal(encoded.length, 12);
+  assert.deepEqual(Array.from(decodeVector(encoded)), [0.25, -1, 3.5]);
+
+  const unaligned = Buffer.concat([Buffer.from([0]), encoded]).subarray(1);
+  assert.deepEqual(Array.from(decodeVector(unaligned)), [0.25, -1, 3.5]);
+
+  assert.deepEqual(decodeVector('[1,2]'), [1, 2]);
+  assert.equal(decodeVector('not json'), null);
+  assert.equal(decodeVector(Buffer.from([1, 2, 3])), null);
+});
+
+test('new chunks store BLOB embeddings and legacy JSON rows stay searchable until converted', async () => {
+  const user = await createUser({
+    name: `Binary User ${Date.now()}`,
+    email: `binary_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `Binary Embeddings ${Date.now()}`);
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: null,
+    items: [{ text: 'binary chunk', embedding: [0.6, 0.8], chunkKey: 'binary' }],
+  });
+  insertLegacyChunkStmt.run({
+    id: uuidv4(),
+    sessionId: session.id,
+    chunkKey: 'legacy',
+    text: 'legacy chunk',
+    embedding: JSON.stringify([1, 0]),
+    embeddingVectorLength: 2,
+    createdAt: new Date().toISOString(),
+  });
+
+  assert.deepEqual(selectEmbeddingTypesStmt.all(session.id), [
+    { text: 'binary chunk', storage: 'blob' },
+    { text: 'legacy chunk', storage: 'text' },
+  ]);
+
+  const mixed = await similaritySearch({
+    sessionId: session.id,
+    queryEmbedding: [1, 0],
+    topK: 2,
+  });
+  assert.deepEqual(mixed.map((item) => item.text), ['legacy chunk', 'binary chunk']);
+  assert.ok(Math.abs(mixed[1].score - 0.6) < 1e-6);
+
+  // Startup migrations leave the conversion to the cleanup worker.
+  runMigrations({ dryRun: false });
+  assert.equal(selectEmbeddingTypesStmt.all(session.id)[1].storage, 'text');
+
+  const cycle = await runCleanupCycle();
+  assert.ok(cycle.convertedEmbeddings >= 1);
+  assert.deepEqual(selectEmbeddingTypesStmt.all(session.id), [
+    { text: 'binary chunk', storage: 'blob' },
+    { text: 'legacy chunk', storage: 'blob' },
+  ]);
+
+  const converted = await similaritySearch({
+    sessionId: session.id,
+    queryEmbedding: [1, 0],
+    topK: 2,
+  });
+  assert.deepEqual(converted.map((item) => item.text), ['legacy chunk', 'binary chunk']);
+
+  deleteSession(session.id, user.id);
+});
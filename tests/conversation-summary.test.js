@@ -0,0 +1,132 @@
+// A recording wrapper around the fake LLM shows which prompts were sent; a
+// small history window lets a few turns trigger a summary update.
+process.env.LLM_PROVIDER = 'recording';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.RAG_HISTORY_LIMIT = '2';
+process.env.RAG_SUMMARY_MIN_MESSAGES = '2';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { registerLlmProvider } = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const { addMessage, clearSessionHistory, activateMessage } = require('../src/services/chatHistoryService');
+const {
+  getSessionSummary,
+  getSummaryForPrompt,
+  updateSessionSummary,
+} = require('../src/services/conversationSummaryService');
+const { buildPromptWithBudget } = require('../src/services/ragService');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+const prompts = [];
+let beforeSummary = null;
+registerLlmProvider({
+  ...fakeProvider,
+  name: 'recording',
+  generate: async (args) => {
+    prompts.push(args.prompt);
+    if (beforeSummary && args.task === 'summarize') {
+      beforeSummary();
+    }
+    return fakeProvider.generate(args);
+  },
+  openStream: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.openStream(args);
+  },
+});
+
+async function waitForSummary(sessionId, summarizedMessages) {
+  const deadline = Date.now() + 5000;
+  while (Date.now() < deadline) {
+    const summary = getSessionSummary(sessionId);
+    if (summary && summary.summarizedMessages >= summarizedMessages) {
+      return summary;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error('Summary was not updated in time.');
+}
+
+function ask(auth, sessionId, message) {
+  return request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message, useCache: false });
+}
+
+test('the summary block is fixed prompt text and left out when empty', () => {
+  const base = { message: 'Q?', history: [], candidates: [], responseStyle: 'plain' };
+  const without = buildPromptWithBudget(base);
+  const withSummary = buildPromptWithBudget({ ...base, conversationSummary: 'The user asked about priming.' });
+
+  assert.doesNotMatch(without.prompt, /CONVERSATION SUMMARY/);
+  assert.match(withSummary.prompt, /CONVERSATION SUMMARY \(earlier turns\):\nThe user asked about priming\.\n\nCHAT HISTORY:/);
+  assert.ok(withSummary.promptTokens.system > without.promptTokens.system);
+});
+
+test('turns leaving the history window are summarized and sent with later questions', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+
+  assert.equal((await ask(auth, sessionId, 'How do I prime the pump?')).status, 200);
+  assert.equal(getSessionSummary(sessionId), null);
+
+  assert.equal((await ask(auth, sessionId, 'How long does priming take?')).status, 200);
+  const first = await waitForSummary(sessionId, 2);
+  assert.equal(first.summary, 'The user asked: How do I prime the pump?');
+
+  prompts.length = 0;
+  assert.equal((await ask(auth, sessionId, 'Is priming needed every time?')).status, 200);
+  const answerPrompt = prompts.find((prompt) => prompt.startsWith('SYSTEM:'));
+  assert.match(answerPrompt, /CONVERSATION SUMMARY \(earlier turns\):\nThe user asked: How do I prime the pump\?/);
+
+  const second = await waitForSummary(sessionId, 4);
+  assert.equal(second.summary, 'The user asked: How do I prime the pump?\nThe user asked: How long does priming take?');
+
+  const cleared = await request(app)
+    .delete(`/api/v1/sessions/${sessionId}/history`)
+    .set(auth.authHeader);
+  assert.equal(cleared.status, 200);
+  assert.equal(getSessionSummary(sessionId), null);
+
+  prompts.length = 0;
+  assert.equal((await ask(auth, sessionId, 'What about the valve?')).status, 200);
+  assert.doesNotMatch(prompts.find((prompt) => prompt.startsWith('SYSTEM:')), /CONVERSATION SUMMARY/);
+});
+
+test('a summary finished after the history was cleared is discarded', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  for (const text of ['one', 'two', 'three', 'four']) {
+    addMessage({ userId: auth.user.id, sessionId, role: 'user', text });
+  }
+
+  beforeSummary = () => clearSessionHistory(sessionId, auth.user.id);
+  try {
+    const result = await updateSessionSummary(sessionId);
+    assert.equal(result.newMessages, 0);
+  } finally {
+    beforeSummary = null;
+  }
+  assert.equal(getSessionSummary(sessionId), null);
+});
+
+test('a summary only applies while its messages are on the active branch', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const ids = ['one', 'two', 'three', 'four']
+    .map((text) => addMessage({ userId: auth.user.id, sessionId, role: 'user', text }));
+
+  assert.equal((await updateSessionSummary(sessionId)).newMessages, 2);
+  assert.equal(getSessionSummary(sessionId).lastMessageId, ids[1]);
+  assert.match(getSummaryForPrompt(sessionId), /one/);
+
+  addMessage({ userId: auth.user.id, sessionId, parentId: null, role: 'user', text: 'another start' });
+  assert.equal(getSummaryForPrompt(sessionId), null);
+
+  activateMessage(sessionId, auth.user.id, ids[0]);
+  assert.match(getSummaryForPrompt(sessionId), /one/);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const embeddingRequests = [];
+
+// Local stand-in for an OpenAI-compatible /embeddings endpoint; replies out of order.
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const payload = JSON.parse(body);
+    embeddingRequests.push({ url: req.url, authorization: req.headers.authorization, payload });
+    const data = payload.input.map((text, index) => ({ index, embedding: [text.length, index] }));
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ data: data.reverse() }));
+  });
+});
+
+let createSession;
+let createUser;
+let addChunks;
+let similaritySearch;
+let generateEmbeddings;
+let getEmbeddingModelId;
+let getEmbeddingProvider;
+let openaiEmbeddings;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.EMBEDDING_PROVIDER = 'hash';
+  process.env.EMBEDDING_HASH_DIMENSIONS = '64';
+  process.env.EMBEDDING_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.EMBEDDING_API_KEY = 'test-key';
+  ({ createSession } = require('../src/services/sessionService'));
+  ({ createUser } = require('../src/services/authService'));
+  ({ addChunks, similaritySearch } = require('../src/services/vectorService'));
+  ({ generateEmbeddings, getEmbeddingModelId } = require('../src/services/embeddingService'));
+  ({ getEmbeddingProvider } = require('../src/embeddings'));
+  openaiEmbeddings = require('../src/embeddings/openaiCompatibleProvider');
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test('env selects the embedding provider and unknown names are rejected', () => {
+  assert.equal(getEmbeddingProvider().name, 'hash');
+  assert.equal(getEmbeddingModelId(), 'hash:hash-64');
+  assert.throws(() => getEmbeddingProvider('nope'), (error) => error.code === 'UNKNOWN_EMBEDDING_PROVIDER');
+});
+
+test('hash embeddings are deterministic and normalized', async () => {
+  const [first, second, unrelated] = await generateEmbeddings([
+    'Prime the pump before use.',
+    'Prime the pump before use.',
+    'Quarterly revenue grew.',
+  ]);
+
+  assert.equal(first.length, 64);
+  assert.deepEqual(first, second);
+  assert.ok(Math.abs(Math.hypot(...first) - 1) < 1e-9);
+  assert.notDeepEqual(first, unrelated);
+});
+
+test('similarity search only compares vectors from the same model', async () => {
+  const user = await createUser({
+    name: `Embedding User ${Date.now()}`,
+    email: `embedding_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `Embedding Models ${Date.now()}`);
+  const [vector] = await generateEmbeddings(['pump priming']);
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: null,
+    items: [{ text: 'current model chunk', embedding: vector, chunkKey: 'current' }],
+  });
+  addChunks({
+    sessionId: session.id,
+    pdfId: null,
+    embeddingModel: 'other:model',
+    items: [{ text: 'other model chunk', embedding: vector, chunkKey: 'other' }],
+  });
+
+  const results = await similaritySearch({ sessionId: session.id, queryEmbedding: vector, topK: 5 });
+  assert.deepEqual(results.map((row) => row.text), ['current model chunk']);
+
+  const otherResults = await similaritySearch({
+    sessionId: session.id,
+    queryEmbedding: vector,
+    topK: 5,
+    embeddingModel: 'other:model',
+  });
+  assert.deepEqual(otherResults.map((row) => row.text), ['other model chunk']);
+});
+
+test('OpenAI-compatible embeddings keep input order', async () => {
+  assert.deepEqual(await openaiEmbeddings.embed(['a', 'bbb']), [[1, 0], [3, 1]]);
+  assert.deepEqual(embeddingRequests.map(({ url, authorization, payload }) => ({ url, authorization, model: payload.model })), [
+    { url: '/v1/embeddings', authorization: 'Bearer test-key', model: 'text-embedding-3-small' },
+  ]);
+  assert.equal(await openaiEmbeddings.getTokenizer(), null);
+});
@@ -0,0 +1,88 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const db = require('../src/config/database');
+const {
+  loadDataset,
+  validateDataset,
+  scoreRetrieval,
+  scoreAnswer,
+  runEvaluation,
+  compareRuns,
+} = require('../src/services/evaluationService');
+
+const SAMPLE_DATASET = path.join(__dirname, '..', 'scripts', 'eval', 'sample-dataset.json');
+const countUsersStmt = db.prepare('SELECT COUNT(*) AS count FROM users');
+
+test('retrieval scores credit each expected passage once', () => {
+  const chunks = [
+    { document: 'a', text: 'Unrelated text.' },
+    { document: 'a', text: 'The pump must be primed. Priming takes two minutes.' },
+    { document: 'b', text: 'priming takes two minutes' },
+    { document: 'b', text: 'The valve opens at 6 bar.' },
+  ];
+  const passages = [
+    { document: 'a', text: 'Priming takes two   MINUTES.' },
+    { document: 'b', text: 'opens at 6 bar' },
+  ];
+
+  const scores = scoreRetrieval(chunks, passages, 4);
+  assert.deepEqual(scores.relevance, [false, true, false, true]);
+  assert.equal(scores.recallAtK, 1);
+  assert.equal(scores.firstRelevantRank, 2);
+  assert.equal(scores.reciprocalRank, 0.5);
+  const dcg = (1 / Math.log2(3)) + (1 / Math.log2(5));
+  const idealDcg = 1 + (1 / Math.log2(3));
+  assert.ok(Math.abs(scores.ndcgAtK - (dcg / idealDcg)) < 1e-9);
+
+  const topOne = scoreRetrieval(chunks, passages, 1);
+  assert.equal(topOne.recallAtK, 0);
+  assert.equal(topOne.reciprocalRank, 0);
+  assert.equal(topOne.ndcgAtK, 0);
+});
+
+test('answer scores and dataset validation', () => {
+  assert.deepEqual(scoreAnswer('Priming takes two minutes.', 'two minutes'), { containsExpected: true, tokenF1: 2 / 3 });
+  assert.equal(scoreAnswer('', 'two minutes').tokenF1, 0);
+
+  assert.throws(() => validateDataset({ documents: [], questions: [] }), /documents must be a non-empty array/);
+  assert.throws(() => validateDataset({
+    documents: [{ id: 'a', text: 'x' }],
+    questions: [{ question: 'q?', expectedPassages: [{ document: 'missing' }] }],
+  }), /unknown document "missing"/);
+});
+
+test('the sample dataset is indexed, retrieved, answered and compared', async () => {
+  const dataset = loadDataset(SAMPLE_DATASET);
+  const progress = [];
+  const usersBefore = countUsersStmt.get().count;
+  const report = await runEvaluation(dataset, { topK: 3, answers: true, onProgress: (event) => progress.push(event) });
+  assert.equal(countUsersStmt.get().count, usersBefore);
+
+  assert.equal(report.dataset, 'sample');
+  assert.equal(report.config.k, 3);
+  assert.equal(report.config.embeddingModel, 'hash:hash-384');
+  assert.deepEqual(report.documents.map((document) => document.id), ['pump', 'valve']);
+  assert.equal(report.metrics.questions, 4);
+  assert.equal(report.metrics.recallAtK, 1);
+  assert.ok(report.metrics.mrr > 0.5);
+  assert.equal(report.metrics.answers.evaluated, 4);
+  assert.equal(report.metrics.answers.errors, 0);
+  assert.equal(progress.length, 4);
+
+  const [first] = report.questions;
+  assert.equal(first.id, 'priming-time');
+  assert.ok(first.retrieved.length <= 3);
+  assert.equal(first.retrieved[first.firstRelevantRank - 1].relevant, true);
+  assert.match(first.answer.text, /^Chunk 1 says: /);
+  assert.equal(typeof first.answer.tokenF1, 'number');
+  assert.doesNotThrow(() => JSON.parse(JSON.stringify(report)));
+
+  const worse = { ...report, metrics: { ...report.metrics, recallAtK: 0.5 } };
+  const comparison = compareRuns(worse, report);
+  assert.deepEqual(comparison.recallAtK, { baseline: 0.5, current: 1, delta: 0.5 });
+  assert.equal(comparison['answers.tokenF1'].delta, 0);
+});
@@ -0,0 +1,111 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.FAKE_LLM_MODEL = 'fake-404,fake';
+process.env.FAKE_LLM_TOKEN_DELAY_MS = '2';
+process.env.LLM_TIMEOUT_MS = '1000';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const llm = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const {
+  buildPrompt,
+  normalizeAnswerPayload,
+  rewriteQuery,
+  generateSessionTitle,
+} = require('../src/services/ragService');
+
+const CANDIDATES = [
+  { pdfId: 7, score: 0.91, text: 'The XJ-9000 pump must be primed before use. Priming takes two minutes.' },
+  { pdfId: 8, score: 0.52, text: 'Replace the gasket every year.' },
+];
+
+function withModels(models, run) {
+  const original = fakeProvider.getModelCandidates;
+  fakeProvider.getModelCandidates = () => models;
+  return run().finally(() => {
+    fakeProvider.getModelCandidates = original;
+  });
+}
+
+test('structured answers cite the retrieved chunks deterministically', async () => {
+  const prompt = buildPrompt({
+    message: 'How do I start the pump?',
+    history: [],
+    candidates: CANDIDATES,
+    responseStyle: 'structured',
+  });
+
+  const first = await llm.generateText({ prompt });
+  assert.equal(await llm.generateText({ prompt }), first);
+
+  const payload = normalizeAnswerPayload({ rawText: first, responseStyle: 'structured' });
+  assert.equal(payload.answer, 'Chunk 1 says: The XJ-9000 pump must be primed before use.');
+  assert.deepEqual(payload.responseSchema.sections.map((section) => section.title), [
+    'Answer',
+    'Key Points',
+    'Evidence',
+    'Follow-up',
+  ]);
+  assert.match(payload.formattedAnswer, /- Chunk 1: pdfId 7\n- Chunk 2: pdfId 8/);
+});
+
+test('plain prompts and empty context get short answers', async () => {
+  const prompt = buildPrompt({ message: 'Anything?', history: [], candidates: [], responseStyle: 'plain' });
+  assert.equal(await llm.generateText({ prompt }), 'No document context matched "Anything?".');
+});
+
+test('streaming yields the same answer token by token', async () => {
+  const prompt = buildPrompt({
+    message: 'How do I start the pump?',
+    history: [],
+    candidates: CANDIDATES,
+    responseStyle: 'plain',
+  });
+  const tokens = [];
+  const streamed = await llm.streamText({ prompt, onToken: (token) => tokens.push(token) });
+
+  assert.equal(streamed, await llm.generateText({ prompt }));
+  assert.ok(tokens.length > 5);
+  assert.equal(tokens.join(''), streamed);
+});
+
+test('query rewriting and titles work offline', async () => {
+  const rewritten = await rewriteQuery({
+    message: 'What about the second one?',
+    history: [
+      { role: 'user', text: 'Which pumps does the manual cover?' },
+      { role: 'assistant', text: 'The XJ-9000 and the XJ-7000.' },
+    ],
+    enabled: true,
+  });
+  assert.deepEqual(rewritten, {
+    query: 'Which pumps does the manual cover? What about the second one?',
+    rewritten: true,
+  });
+
+  assert.equal(await generateSessionTitle('How do I prime the XJ-9000 pump quickly?'), 'How do I prime the');
+});
+
+test('failure models simulate rate limits and timeouts', async () => {
+  await assert.rejects(
+    fakeProvider.generate({ model: 'fake-429', prompt: 'x' }),
+    (error) => error.status === 429
+  );
+
+  await withModels(['fake-429'], () => assert.rejects(
+    llm.generateText({ prompt: 'x' }),
+    (error) => error.message === 'Fake LLM generation request failed.' && error.llm.status === 429
+  ));
+
+  await withModels(['fake-404'], () => assert.rejects(
+    llm.streamText({ prompt: 'x' }),
+    (error) => error.message === 'Generation model "fake-404" is unavailable.'
+  ));
+
+  const startedAt = Date.now();
+  await withModels(['fake-timeout'], () => assert.rejects(
+    llm.generateText({ prompt: 'x' }),
+    (error) => error.llm.message === 'Fake LLM request timeout.'
+  ));
+  assert.ok(Date.now() - startedAt >= 900);
+});
@@ -0,0 +1,119 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { createPdfRecord, markPdfIndexed } = require('../src/services/pdfRecordService');
+const { addChunks } = require('../src/services/vectorService');
+const { generateEmbeddings } = require('../src/services/embeddingService');
+const { verifyGrounding, parseVerdicts } = require('../src/services/groundingService');
+const { extractGroundingClaims, normalizeAnswerPayload } = require('../src/services/ragService');
+const { createAuthContext } = require('./helpers');
+
+const CANDIDATES = [
+  { chunkId: 'c1', pdfId: 7, text: 'The XJ-9000 pump must be primed before use. Priming takes two minutes.' },
+  { chunkId: 'c2', pdfId: 8, text: 'Replace the gasket every year.' },
+];
+
+test('lexical check flags each claim against its best chunk', async () => {
+  const grounding = await verifyGrounding({
+    claims: ['Priming the pump takes two minutes.', 'The pump runs on solar power.', '...'],
+    candidates: CANDIDATES,
+    check: 'lexical',
+  });
+
+  assert.equal(grounding.method, 'lexical');
+  assert.equal(grounding.totalPoints, 2);
+  assert.equal(grounding.supportedPoints, 1);
+  assert.equal(grounding.score, 0.5);
+  assert.deepEqual(grounding.points.map((point) => [point.supported, point.chunkId]), [
+    [true, 'c1'],
+    [false, 'c1'],
+  ]);
+  assert.equal(grounding.points[0].verifiedBy, 'lexical');
+
+  assert.equal(await verifyGrounding({ claims: ['x'], candidates: CANDIDATES, check: 'off' }), null);
+});
+
+test('llm check overrides the lexical flag with the model verdict', async () => {
+  const claims = ['Priming the pump takes two minutes.', 'The gasket lasts about ten years.'];
+  const lexical = await verifyGrounding({ claims, candidates: CANDIDATES, check: 'lexical' });
+  assert.deepEqual(lexical.points.map((point) => point.supported), [true, true]);
+
+  const verified = await verifyGrounding({ claims, candidates: CANDIDATES, check: 'llm' });
+  assert.equal(verified.method, 'llm');
+  assert.deepEqual(verified.points.map((point) => [point.supported, point.verifiedBy]), [
+    [true, 'llm'],
+    [false, 'llm'],
+  ]);
+  assert.equal(verified.score, 0.5);
+
+  assert.deepEqual([...parseVerdicts('1: supported\n2) Unsupported - no chunk says so\nnoise').entries()], [
+    [1, true],
+    [2, false],
+  ]);
+});
+
+test('claims come from key points or plain sentences, never from fallback lines', () => {
+  const structured = normalizeAnswerPayload({
+    rawText: 'Answer:\nPrime it.\n\nKey Points:\n- Prime the pump first.\n- Replace the gasket yearly.',
+    responseStyle: 'structured',
+  });
+  assert.deepEqual(extractGroundingClaims(structured), ['Prime the pump first.', 'Replace the gasket yearly.']);
+
+  const fallback = normalizeAnswerPayload({ rawText: '', responseStyle: 'structured' });
+  assert.deepEqual(extractGroundingClaims(fallback), []);
+
+  const plain = normalizeAnswerPayload({ rawText: 'Prime it first. Then wait two minutes!', responseStyle: 'plain' });
+  assert.deepEqual(extractGroundingClaims(plain), ['Prime it first.', 'Then wait two minutes!']);
+});
+
+test('chat returns grounding and stores it with the assistant message', async () => {
+  const auth = await createAuthContext(app);
+  const sessionResponse = await request(app)
+    .post('/api/v1/sessions')
+    .set(auth.authHeader)
+    .send({ title: `Grounding ${Date.now()}` });
+  const sessionId = sessionResponse.body.data.id;
+
+  const pdf = createPdfRecord({ userId: auth.user.id, sessionId, title: 'manual', filename: 'manual.txt', type: 'txt' });
+  const texts = CANDIDATES.map((candidate) => candidate.text);
+  const vectors = await generateEmbeddings(texts);
+  addChunks({
+    sessionId,
+    pdfId: pdf.id,
+    items: texts.map((text, index) => ({ text, embedding: vectors[index], chunkKey: `manual:${index}` })),
+  });
+  markPdfIndexed(pdf.id, texts.length);
+
+  const response = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?', responseStyle: 'structured', groundingCheck: 'lexical' });
+  assert.equal(response.status, 200);
+  const { grounding } = response.body.data;
+  assert.equal(grounding.method, 'lexical');
+  assert.equal(grounding.totalPoints, 2);
+  assert.equal(grounding.score, 1);
+
+  const history = await request(app)
+    .get(`/api/v1/sessions/${sessionId}/history`)
+    .set(auth.authHeader);
+  const [userMessage, assistantMessage] = history.body.data;
+  assert.equal(userMessage.grounding, null);
+  assert.deepEqual(assistantMessage.grounding, grounding);
+
+  const unchecked = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?' });
+  assert.equal(unchecked.body.data.grounding, null);
+
+  const invalid = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?', groundingCheck: 'strict' });
+  assert.equal(invalid.status, 422);
+});
@@ -1,6 +1,11 @@
 const PDFDocument = require('pdfkit');
 const request = require('supertest');
-const { markPdfIndexed } = require('../src/services/pdfRecordService');
+const { createPdfRecord, markPdfIndexed } = require('../src/services/pdfRecordService');
+const { createSession } = require('../src/services/sessionService');
+const { addChunks } = require('../src/services/vectorService');
+const { generateEmbeddings } = require('../src/services/embeddingService');
+
+const DEFAULT_DOCUMENT_TEXTS = ['The pump must be primed before use. Priming takes two minutes.'];
 
 async function createAuthContext(app, options = {}) {
   const unique = `${Date.now()}_${Math.random().toString(16).slice(2, 8)}`;
@@ -101,8 +106,45 @@ async function waitForPdfStatus(
   throw new Error(`Timed out waiting for pdf ${pdfId} status=${expectedStatus}`);
 }
 
+// Stores a text document as indexing would leave it: embedded chunks keyed
+// `${title}:${index}`. embeddingModel defaults to the configured model.
+async function addIndexedDocument({
+  userId,
+  sessionId,
+  title = 'manual',
+  texts = DEFAULT_DOCUMENT_TEXTS,
+  storagePath = '',
+  embeddingModel,
+}) {
+  const pdf = createPdfRecord({ userId, sessionId, title, filename: `${title}.txt`, storagePath, type: 'txt' });
+  const vectors = await generateEmbeddings(texts, { embeddingModel });
+  addChunks({
+    sessionId,
+    pdfId: pdf.id,
+    embeddingModel,
+    items: texts.map((text, index) => ({ text, embedding: vectors[index], chunkKey: `${title}:${index}` })),
+  });
+  markPdfIndexed(pdf.id, texts.length);
+  return pdf;
+}
+
+// A session of the auth context's user with one indexed document; options
+// other than title go to addIndexedDocument.
+async function createIndexedSession(auth, { title = `Test session ${Date.now()}`, documentTitle, ...document } = {}) {
+  const session = createSession(auth.user.id, title);
+  const pdf = await addIndexedDocument({
+    ...document,
+    userId: auth.user.id,
+    sessionId: session.id,
+    title: documentTitle,
+  });
+  return { sessionId: session.id, pdf };
+}
+
 module.exports = {
   createAuthContext,
+  addIndexedDocument,
+  createIndexedSession,
   buildSamplePdfBuffer,
   waitForPdfStatus,
 };
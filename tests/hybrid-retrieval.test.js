@@ -0,0 +1,165 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('../src/config/database');
+const { createSession, deleteSession } = require('../src/services/sessionService');
+const { createPdfRecord, deletePdfRecord } = require('../src/services/pdfRecordService');
+const { createUser } = require('../src/services/authService');
+const { addChunks, similaritySearch, keywordSearch, buildKeywordMatchQuery } = require('../src/services/vectorService');
+const { fuseRankedResults } = require('../src/services/ragService');
+
+const countFtsRowsBySessionStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks_fts
+  WHERE rowid IN (SELECT rowid FROM chunks WHERE sessionId = ?)
+`);
+
+const countFtsMatchesStmt = db.prepare(`
+  SELECT COUNT(*) AS count
+  FROM chunks_fts
+  WHERE chunks_fts MATCH ?
+`);
+
+async function createFixture(label) {
+  const user = await createUser({
+    name: `Hybrid User ${Date.now()}`,
+    email: `hybrid_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `${label} ${Date.now()}`);
+  const pdf = createPdfRecord({
+    userId: user.id,
+    sessionId: session.id,
+    title: 'Hybrid PDF',
+    filename: 'hybrid.pdf',
+    storagePath: '/tmp/hybrid.pdf',
+  });
+  return { user, session, pdf };
+}
+
+test('keyword query builder quotes terms and ignores FTS syntax', () => {
+  assert.equal(buildKeywordMatchQuery('What is part XJ-9000?'), '"what" OR "is" OR "part" OR "xj-9000"');
+  assert.equal(buildKeywordMatchQuery('say "NEAR" AND (x OR y)*'), '"say" OR "near" OR "and" OR "or"');
+  assert.equal(buildKeywordMatchQuery('   ?!  '), '');
+});
+
+test('hybrid fusion surfaces exact-term chunks that vector search ranks last', async () => {
+  const { user, session, pdf } = await createFixture('Hybrid Retrieval');
+
+  const items = [];
+  for (let i = 0; i < 30; i += 1) {
+    items.push({
+      text: `general discussion of pumps and valves ${i}`,
+      embedding: [1, 0.05 * (30 - i)],
+      chunkKey: `filler-${i}`,
+    });
+  }
+  items.push({
+    text: 'Replacement procedure for part XJ-9000 gasket.',
+    embedding: [0, 1],
+    chunkKey: 'needle',
+  });
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: pdf.id,
+    items,
+    replacePdfChunks: true,
+  });
+
+  const vectorResults = await similaritySearch({
+    sessionId: session.id,
+    queryEmbedding: [1, 0],
+    topK: 5,
+  });
+  assert.equal(vectorResults.some((item) => item.text.includes('XJ-9000')), false);
+
+  const keywordResults = keywordSearch({
+    sessionId: session.id,
+    query: 'How do I replace the XJ-9000?',
+    topK: 5,
+  });
+  assert.equal(keywordResults[0].text, 'Replacement procedure for part XJ-9000 gasket.');
+  assert.ok(keywordResults.every((item) => Number.isFinite(item.score)));
+
+  const fused = fuseRankedResults([
+    { source: 'vector', results: vectorResults },
+    { source: 'keyword', results: keywordResults },
+  ], { topK: 5 });
+  assert.ok(fused.some((item) => item.text.includes('XJ-9000')));
+  const needle = fused.find((item) => item.text.includes('XJ-9000'));
+  assert.equal(needle.ranking.keyword.rank, 1);
+  assert.equal(needle.ranking.vector, undefined);
+
+  deleteSession(session.id, user.id);
+});
+
+test('fusion rewards chunks ranked by both lists', () => {
+  const fused = fuseRankedResults([
+    { source: 'vector', results: [{ chunkId: 'a', score: 0.9 }, { chunkId: 'b', score: 0.8 }] },
+    { source: 'keyword', results: [{ chunkId: 'c', score: 4 }, { chunkId: 'b', score: 3 }] },
+  ]);
+
+  assert.equal(fused[0].chunkId, 'b');
+  assert.deepEqual(fused[0].ranking, {
+    vector: { rank: 2, score: 0.8 },
+    keyword: { rank: 2, score: 3 },
+  });
+});
+
+test('keyword index follows re-indexing and pdf/session deletion', async () => {
+  const { user, session, pdf } = await createFixture('Hybrid Sync');
+  const marker = `marker${Date.now()}${Math.random().toString(16).slice(2, 8)}`;
+
+  const rows = [
+    { text: 'alpha photosynthesis', embedding: [1, 0], chunkKey: 'chunk-a' },
+    { text: 'beta chlorophyll', embedding: [0, 1], chunkKey: 'chunk-b' },
+  ];
+  addChunks({ sessionId: session.id, pdfId: pdf.id, items: rows, replacePdfChunks: true });
+  addChunks({ sessionId: session.id, pdfId: pdf.id, items: rows, replacePdfChunks: false });
+  assert.equal(countFtsRowsBySessionStmt.get(session.id).count, 2);
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: pdf.id,
+    items: [{ text: 'gamma mitochondria', embedding: [1, 1], chunkKey: 'chunk-a' }],
+    replacePdfChunks: true,
+  });
+  assert.equal(keywordSearch({ sessionId: session.id, query: 'photosynthesis' }).length, 0);
+  assert.equal(keywordSearch({ sessionId: session.id, query: 'mitochondria' }).length, 1);
+
+  deletePdfRecord(pdf.id, user.id);
+  assert.equal(keywordSearch({ sessionId: session.id, query: 'mitochondria' }).length, 0);
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: null,
+    items: [{ text: `delta ribosome ${marker}`, embedding: [1, 0], chunkKey: 'loose' }],
+  });
+  assert.equal(countFtsRowsBySessionStmt.get(session.id).count, 1);
+  assert.equal(countFtsMatchesStmt.get(`"${marker}"`).count, 1);
+  deleteSession(session.id, user.id);
+  assert.equal(countFtsMatchesStmt.get(`"${marker}"`).count, 0);
+});
+
+test('keyword index follows cascading deletes, so reused rowids can be indexed again', async () => {
+  const first = await createFixture('Hybrid Cascade');
+  const marker = `cascade${Date.now()}${Math.random().toString(16).slice(2, 8)}`;
+  addChunks({
+    sessionId: first.session.id,
+    pdfId: first.pdf.id,
+    items: [{ text: `epsilon vacuole ${marker}`, embedding: [1, 0], chunkKey: 'cascade' }],
+  });
+
+  // The newest chunk rows go with the user, so the next insert reuses their rowid.
+  db.prepare('DELETE FROM users WHERE id = ?').run(first.user.id);
+  assert.equal(countFtsMatchesStmt.get(`"${marker}"`).count, 0);
+
+  const second = await createFixture('Hybrid Cascade');
+  addChunks({
+    sessionId: second.session.id,
+    pdfId: second.pdf.id,
+    items: [{ text: `zeta lysosome ${marker}`, embedding: [1, 0], chunkKey: 'cascade' }],
+  });
+  assert.equal(keywordSearch({ sessionId: second.session.id, query: marker }).length, 1);
+  deleteSession(second.session.id, second.user.id);
+});
@@ -1,3 +1,6 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const request = require('supertest');
@@ -0,0 +1,104 @@
+// Small enough that the library below exceeds it while each session does not.
+process.env.MAX_CHUNKS_PER_QUERY = '4';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { createSession } = require('../src/services/sessionService');
+const { createPdfRecord } = require('../src/services/pdfRecordService');
+const { addChunks, similaritySearchByUser, keywordSearchByUser } = require('../src/services/vectorService');
+const { buildSnippet } = require('../src/services/searchService');
+const { createAuthContext } = require('./helpers');
+
+function seedDocument(userId, label, text, embedding) {
+  const session = createSession(userId, `${label} ${Date.now()}`);
+  const pdf = createPdfRecord({
+    userId,
+    sessionId: session.id,
+    title: `${label} notes`,
+    filename: `${label}.pdf`,
+    storagePath: `/tmp/${label}.pdf`,
+  });
+  addChunks({
+    sessionId: session.id,
+    pdfId: pdf.id,
+    items: [{ text, embedding, chunkKey: `${label}-0` }],
+    replacePdfChunks: true,
+  });
+  return { session, pdf };
+}
+
+test('library search spans every session of the caller and nobody else', async () => {
+  const owner = await createAuthContext(app);
+  const stranger = await createAuthContext(app);
+  const marker = `osmosis${Date.now()}`;
+
+  const biology = seedDocument(owner.user.id, 'Biology', `${marker} moves water across membranes`, [1, 0]);
+  const chemistry = seedDocument(owner.user.id, 'Chemistry', `${marker} pressure in solutions`, [0.8, 0.2]);
+  seedDocument(stranger.user.id, 'Foreign', `${marker} in someone else's notes`, [1, 0]);
+
+  const vectorResults = await similaritySearchByUser({ userId: owner.user.id, queryEmbedding: [1, 0], topK: 10 });
+  assert.deepEqual(
+    vectorResults.map((item) => item.pdfId).sort((a, b) => a - b),
+    [biology.pdf.id, chemistry.pdf.id]
+  );
+  assert.equal(vectorResults[0].pdfId, biology.pdf.id);
+
+  const keywordResults = keywordSearchByUser({ userId: owner.user.id, query: marker, topK: 10 });
+  assert.equal(keywordResults.length, 2);
+  assert.ok(keywordResults.every((item) => item.text.startsWith(marker)));
+});
+
+test('library search finds matches in every session when the library exceeds the scan cap', async () => {
+  const owner = await createAuthContext(app);
+  const marker = `capped${Date.now()}`;
+  const expected = [];
+
+  for (let sessionIndex = 0; sessionIndex < 4; sessionIndex += 1) {
+    const session = createSession(owner.user.id, `Capped ${sessionIndex}`);
+    const pdf = createPdfRecord({
+      userId: owner.user.id,
+      sessionId: session.id,
+      title: `Capped ${sessionIndex}`,
+      filename: `capped-${sessionIndex}.pdf`,
+      storagePath: `/tmp/capped-${sessionIndex}.pdf`,
+    });
+    // One match per session among chunks that never score.
+    addChunks({
+      sessionId: session.id,
+      pdfId: pdf.id,
+      items: [0, 1, 2, 3].map((index) => ({
+        text: `${marker} chunk ${index}`,
+        embedding: index === 0 ? [1, 0] : [-1, 0],
+        chunkKey: `capped-${index}`,
+      })),
+    });
+    expected.push(pdf.id);
+  }
+
+  const results = await similaritySearchByUser({ userId: owner.user.id, queryEmbedding: [1, 0], topK: 10 });
+  assert.deepEqual(results.map((item) => item.pdfId).sort((a, b) => a - b), expected);
+});
+
+test('GET /api/v1/search requires a query', async () => {
+  const auth = await createAuthContext(app);
+
+  const response = await request(app)
+    .get('/api/v1/search')
+    .set(auth.authHeader);
+  assert.equal(response.status, 422);
+  assert.equal(response.body.error.code, 'VALIDATION_ERROR');
+
+  const unauthenticated = await request(app).get('/api/v1/search?q=water');
+  assert.equal(unauthenticated.status, 401);
+});
+
+test('snippets are trimmed around the first query term', () => {
+  const text = `${'filler '.repeat(80)}the mitochondria is the powerhouse of the cell ${'tail '.repeat(80)}`;
+  const snippet = buildSnippet(text, 'Mitochondria energy');
+  assert.ok(snippet.startsWith('...'));
+  assert.ok(snippet.endsWith('...'));
+  assert.ok(snippet.includes('mitochondria is the powerhouse'));
+  assert.equal(buildSnippet('short text', 'anything'), 'short text');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Local stand-in for an OpenAI-compatible server and an Ollama server.
+function handle(req, res, body) {
+  const payload = body ? JSON.parse(body) : {};
+  const lastMessage = payload.messages?.[payload.messages.length - 1]?.content || '';
+
+  if (req.url === '/v1/chat/completions') {
+    if (payload.model === 'missing-model') {
+      res.writeHead(404, { 'content-type': 'application/json' });
+      return res.end(JSON.stringify({ error: { message: 'model not found' } }));
+    }
+    if (payload.stream) {
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      for (const delta of ['Hello', ' from', ` ${payload.model}`]) {
+        res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`);
+      }
+      return res.end('data: [DONE]\n\n');
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({
+      choices: [{ message: { content: `echo(${payload.model}, t=${payload.temperature}): ${lastMessage}` } }],
+    }));
+  }
+
+  if (req.url === '/v1/models') {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ data: [{ id: 'local-model' }, { id: 'other-model' }] }));
+  }
+
+  if (req.url === '/api/chat') {
+    if (payload.stream) {
+      res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+      res.write(`${JSON.stringify({ message: { content: 'Local' }, done: false })}\n`);
+      res.write(`${JSON.stringify({ message: { content: ' llama' }, done: false })}\n`);
+      return res.end(`${JSON.stringify({ message: { content: '' }, done: true })}\n`);
+    }
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({
+      message: { content: `ollama(${payload.model}, n=${payload.options.num_predict}): ${lastMessage}` },
+    }));
+  }
+
+  if (req.url === '/api/tags') {
+    res.writeHead(200, { 'content-type': 'application/json' });
+    return res.end(JSON.stringify({ models: [{ name: 'llama3.1:latest' }] }));
+  }
+
+  res.writeHead(404);
+  return res.end();
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => handle(req, res, body));
+});
+
+let llm;
+let ollamaProvider;
+
+test.before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  process.env.LLM_PROVIDER = 'openai';
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${port}/v1`;
+  process.env.OPENAI_MODEL = 'missing-model,local-model';
+  process.env.OLLAMA_BASE_URL = `http://127.0.0.1:${port}`;
+  process.env.OLLAMA_MODEL = 'llama3.1';
+  llm = require('../src/llm');
+  ollamaProvider = require('../src/llm/ollamaProvider');
+});
+
+test.after(() => new Promise((resolve) => server.close(resolve)));
+
+test('env selects the provider and unknown names are rejected', () => {
+  assert.equal(llm.getLlmProvider().name, 'openai');
+  assert.deepEqual(llm.listLlmProviders(), ['gemini', 'openai', 'ollama', 'fake']);
+  assert.throws(() => llm.getLlmProvider('nope'), (error) => error.code === 'UNKNOWN_LLM_PROVIDER');
+});
+
+test('OpenAI-compatible generation falls back past a missing model', async () => {
+  const text = await llm.generateText({ prompt: 'ping', options: { temperature: 0 } });
+  assert.equal(text, 'echo(local-model, t=0): ping');
+});
+
+test('OpenAI-compatible streaming forwards each delta', async () => {
+  const tokens = [];
+  const text = await llm.streamText({ prompt: 'ping', onToken: (token) => tokens.push(token) });
+
+  assert.equal(text, 'Hello from local-model');
+  assert.deepEqual(tokens, ['Hello', ' from', ' local-model']);
+  assert.deepEqual(await llm.listModels(), ['local-model', 'other-model']);
+});
+
+test('Ollama provider generates, streams and lists models', async () => {
+  const text = await ollamaProvider.generate({
+    model: 'llama3.1',
+    prompt: 'ping',
+    options: { maxOutputTokens: 16 },
+  });
+  assert.equal(text, 'ollama(llama3.1, n=16): ping');
+
+  const stream = await ollamaProvider.openStream({ model: 'llama3.1', prompt: 'ping' });
+  let streamed = '';
+  for await (const token of stream) {
+    streamed += token;
+  }
+  assert.equal(streamed, 'Local llama');
+  assert.deepEqual(await ollamaProvider.listModels(), ['llama3.1:latest']);
+});
+
+test('a failing provider surfaces a generation error', async () => {
+  const provider = llm.getLlmProvider();
+  const original = provider.getModelCandidates;
+  provider.getModelCandidates = () => ['missing-model'];
+  try {
+    await assert.rejects(llm.generateText({ prompt: 'ping' }), (error) => {
+      assert.equal(error.statusCode, 500);
+      assert.equal(error.message, 'Generation model "missing-model" is unavailable.');
+      assert.equal(error.llm.provider, 'openai');
+      assert.equal(error.llm.status, 404);
+      return true;
+    });
+  } finally {
+    provider.getModelCandidates = original;
+  }
+});
@@ -0,0 +1,123 @@
+// A recording wrapper around the fake LLM shows which history reached the prompt.
+process.env.LLM_PROVIDER = 'recording';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { registerLlmProvider } = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+const prompts = [];
+registerLlmProvider({
+  ...fakeProvider,
+  name: 'recording',
+  generate: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.generate(args);
+  },
+  openStream: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.openStream(args);
+  },
+});
+
+async function send(auth, url, body) {
+  prompts.length = 0;
+  const response = await request(app).post(url).set(auth.authHeader).send({ historySource: 'server', ...body });
+  const prompt = prompts.find((text) => text.startsWith('SYSTEM:'));
+  return {
+    response,
+    history: prompt ? prompt.split('CHAT HISTORY:\n')[1].split('\n\nDOCUMENT CONTEXT:')[0] : null,
+  };
+}
+
+async function getHistory(auth, sessionId) {
+  const response = await request(app).get(`/api/v1/sessions/${sessionId}/history`).set(auth.authHeader);
+  return response.body.data;
+}
+
+test('regenerate adds an alternative answer and edit starts a new branch', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const base = `/api/v1/sessions/${sessionId}`;
+
+  const first = await send(auth, `${base}/chat`, { message: 'How do I prime the pump?', useCache: false });
+  const second = await send(auth, `${base}/chat`, { message: 'How long does priming take?', useCache: false });
+  assert.equal(second.response.status, 200);
+  const { userMessageId: questionId, messageId: answerId } = second.response.body.data;
+  assert.ok(questionId && answerId);
+
+  const regenerated = await send(auth, `${base}/messages/${answerId}/regenerate`, {});
+  assert.equal(regenerated.response.status, 200);
+  assert.equal(regenerated.response.body.data.userMessageId, questionId);
+  assert.equal(regenerated.response.body.data.cached, false);
+  assert.equal(regenerated.history, second.history);
+  const newAnswerId = regenerated.response.body.data.messageId;
+
+  let history = await getHistory(auth, sessionId);
+  assert.deepEqual(history.map((message) => message.id), [
+    first.response.body.data.userMessageId,
+    first.response.body.data.messageId,
+    questionId,
+    newAnswerId,
+  ]);
+  assert.equal(history[3].parentId, questionId);
+  assert.deepEqual([history[3].siblingIndex, history[3].siblingCount], [2, 2]);
+  assert.deepEqual([history[2].siblingIndex, history[2].siblingCount], [1, 1]);
+
+  const alternatives = await request(app).get(`${base}/messages/${newAnswerId}/alternatives`).set(auth.authHeader);
+  assert.deepEqual(alternatives.body.data.map((message) => [message.id, message.active]), [
+    [answerId, false],
+    [newAnswerId, true],
+  ]);
+
+  const edited = await send(auth, `${base}/messages/${history[0].id}/edit`, { message: 'Where is the priming port?' });
+  assert.equal(edited.response.status, 200);
+  assert.equal(edited.history, 'No prior history.');
+  history = await getHistory(auth, sessionId);
+  assert.deepEqual(history.map((message) => [message.role, message.text.slice(0, 25)]), [
+    ['user', 'Where is the priming port'],
+    ['assistant', edited.response.body.data.answer.slice(0, 25)],
+  ]);
+  assert.equal(history[0].parentId, null);
+  assert.equal(history[0].siblingCount, 2);
+
+  const followUp = await send(auth, `${base}/chat`, { message: 'And how long does it take?', useCache: false });
+  assert.match(followUp.history, /^USER: Where is the priming port\?/);
+  assert.doesNotMatch(followUp.history, /How do I prime the pump/);
+
+  const activated = await request(app).post(`${base}/messages/${answerId}/activate`).set(auth.authHeader);
+  assert.deepEqual(activated.body.data, { activeMessageId: answerId });
+  history = await getHistory(auth, sessionId);
+  assert.deepEqual(history.map((message) => message.id).slice(2), [questionId, answerId]);
+
+  const continued = await send(auth, `${base}/chat`, { message: 'Is priming needed every time?', useCache: false });
+  assert.match(continued.history, /How long does priming take\?/);
+  assert.doesNotMatch(continued.history, /priming port/);
+});
+
+test('branching endpoints check the message and the session owner', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const base = `/api/v1/sessions/${sessionId}`;
+  const { response } = await send(auth, `${base}/chat`, { message: 'How do I prime the pump?' });
+  const { userMessageId, messageId } = response.body.data;
+
+  const editAnswer = await request(app).post(`${base}/messages/${messageId}/edit`).set(auth.authHeader).send({ message: 'x' });
+  assert.equal(editAnswer.status, 422);
+  assert.equal(editAnswer.body.error.code, 'EDIT_NOT_ALLOWED');
+  assert.equal((await request(app).post(`${base}/messages/${userMessageId}/edit`).set(auth.authHeader).send({})).status, 422);
+  assert.equal((await request(app).post(`${base}/messages/999999/regenerate`).set(auth.authHeader).send({})).status, 404);
+  assert.equal((await request(app).get(`${base}/messages/999999/alternatives`).set(auth.authHeader)).status, 404);
+  assert.equal((await request(app).post(`${base}/messages/${messageId}/regenerate`).set(other.authHeader).send({})).status, 400);
+
+  const regeneratedFromQuestion = await send(auth, `${base}/messages/${userMessageId}/regenerate`, {});
+  assert.equal(regeneratedFromQuestion.response.body.data.userMessageId, userMessageId);
+  const history = await getHistory(auth, sessionId);
+  assert.equal(history.length, 2);
+  assert.equal(history[1].siblingCount, 2);
+});
@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const { parseDocument } = require('../src/parsers');
+const { buildPagedText } = require('../src/parsers/utils');
+const { chunkDocument, locateChunkPages } = require('../src/services/chunkService');
+const { createSession, deleteSession } = require('../src/services/sessionService');
+const { createPdfRecord } = require('../src/services/pdfRecordService');
+const { createUser } = require('../src/services/authService');
+const { addChunks, similaritySearch, getChunkLocations } = require('../src/services/vectorService');
+
+function buildMultiPagePdfBuffer(pageTexts) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, pdfVersion: '1.3', compress: false });
+  const chunks = [];
+  return new Promise((resolve, reject) => {
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    pageTexts.forEach((text, index) => {
+      if (index > 0) {
+        doc.addPage();
+      }
+      doc.fontSize(12).text(text);
+    });
+    doc.end();
+  });
+}
+
+test('PDF parsing keeps page boundaries as offsets into the document text', async () => {
+  const filePath = path.join(os.tmpdir(), `paged_${Date.now()}.pdf`);
+  await fs.writeFile(filePath, await buildMultiPagePdfBuffer([
+    'Page one introduces photosynthesis.',
+    'Page two covers the Calvin cycle.',
+    'Page three summarises chlorophyll.',
+  ]));
+
+  try {
+    const { text, pages } = await parseDocument({ filePath, fileType: 'pdf' });
+    assert.deepEqual(pages.map((page) => page.pageNumber), [1, 2, 3]);
+    assert.equal(text.slice(pages[1].start, pages[1].end), 'Page two covers the Calvin cycle.');
+    assert.ok(pages.every((page, index) => index === 0 || page.start > pages[index - 1].end));
+  } finally {
+    await fs.unlink(filePath).catch(() => {});
+  }
+
+  const plain = await parseDocument({ filePath: __filename, fileType: 'txt' });
+  assert.deepEqual(plain.pages, []);
+});
+
+test('chunk offsets map back to the source text and its pages', () => {
+  const { text, pages } = buildPagedText([
+    { pageNumber: 1, text: 'alpha   beta\n\ngamma' },
+    { pageNumber: 2, text: '' },
+    { pageNumber: 3, text: 'delta epsilon zeta eta theta' },
+  ]);
+  assert.deepEqual(pages.map((page) => page.pageNumber), [1, 3]);
+
+  const chunks = chunkDocument(text, { chunkSize: 12, overlap: 3, strategy: 'window' });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.equal(text.slice(chunk.start, chunk.end).replace(/\s+/g, ' '), chunk.text);
+  }
+
+  assert.deepEqual(locateChunkPages(chunks[0], pages), { pageStart: 1, pageEnd: 1 });
+  const spanning = chunks.find((chunk) => chunk.start < pages[0].end && chunk.end > pages[1].start);
+  assert.deepEqual(locateChunkPages(spanning, pages), { pageStart: 1, pageEnd: 3 });
+  assert.deepEqual(locateChunkPages(chunks[0], []), { pageStart: null, pageEnd: null });
+});
+
+test('chunk locations are stored and looked up by chunk id', async () => {
+  const user = await createUser({
+    name: `Pages User ${Date.now()}`,
+    email: `pages_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `Pages ${Date.now()}`);
+  const pdf = createPdfRecord({
+    userId: user.id,
+    sessionId: session.id,
+    title: 'Paged PDF',
+    filename: 'paged.pdf',
+    storagePath: '/tmp/paged.pdf',
+  });
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: pdf.id,
+    items: [
+      {
+        text: 'located chunk',
+        embedding: [1, 0],
+        chunkKey: 'p1',
+        pageStart: 4,
+        pageEnd: 5,
+        charStart: 120,
+        charEnd: 480,
+        headingPath: ['Specs', 'Pressure'],
+      },
+      { text: 'legacy chunk', embedding: [0, 1], chunkKey: 'p2' },
+    ],
+    replacePdfChunks: true,
+  });
+
+  const results = await similaritySearch({ sessionId: session.id, queryEmbedding: [1, 0.5], topK: 2 });
+  const locations = getChunkLocations(results.map((item) => item.chunkId));
+  const located = results.find((item) => item.text === 'located chunk');
+  const legacy = results.find((item) => item.text === 'legacy chunk');
+  assert.deepEqual(locations.get(located.chunkId), {
+    pageStart: 4,
+    pageEnd: 5,
+    charStart: 120,
+    charEnd: 480,
+    headingPath: ['Specs', 'Pressure'],
+  });
+  assert.deepEqual(locations.get(legacy.chunkId), {
+    pageStart: null,
+    pageEnd: null,
+    charStart: null,
+    charEnd: null,
+    headingPath: [],
+  });
+
+  deleteSession(session.id, user.id);
+});
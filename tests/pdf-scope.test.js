@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSession, deleteSession } = require('../src/services/sessionService');
+const {
+  createPdfRecord,
+  markPdfIndexed,
+  markPdfFailed,
+  getPdfReadinessBySession,
+  resolvePdfScope,
+} = require('../src/services/pdfRecordService');
+const { createUser } = require('../src/services/authService');
+const { addChunks, similaritySearch, keywordSearch, getChunkCountBySession } = require('../src/services/vectorService');
+
+async function createFixture() {
+  const user = await createUser({
+    name: `Scope User ${Date.now()}`,
+    email: `scope_${Date.now()}_${Math.random().toString(16).slice(2, 8)}@example.com`,
+    password: 'SecurePass123!',
+  });
+  const session = createSession(user.id, `Scoped Chat ${Date.now()}`);
+  const pdfs = ['chapter 1.pdf', 'chapter 3.pdf', 'broken.pdf'].map((filename) => createPdfRecord({
+    userId: user.id,
+    sessionId: session.id,
+    title: filename,
+    filename,
+    storagePath: `/tmp/${filename}`,
+  }));
+  return { user, session, pdfs };
+}
+
+test('pdf scope resolves include/exclude lists and rejects foreign or empty selections', async () => {
+  const { user, session, pdfs } = await createFixture();
+  const [first, third, broken] = pdfs.map((pdf) => pdf.id);
+
+  assert.equal(resolvePdfScope(session.id, user.id, {}), null);
+  assert.deepEqual(resolvePdfScope(session.id, user.id, { pdfIds: [third, first, third] }), [first, third]);
+  assert.deepEqual(resolvePdfScope(session.id, user.id, { excludePdfIds: [broken] }), [first, third]);
+  assert.deepEqual(resolvePdfScope(session.id, user.id, { pdfIds: [first, third], excludePdfIds: [first] }), [third]);
+
+  assert.throws(
+    () => resolvePdfScope(session.id, user.id, { pdfIds: [first, 999999999] }),
+    (error) => error.statusCode === 404 && error.code === 'PDF_NOT_FOUND'
+  );
+  assert.throws(
+    () => resolvePdfScope(session.id, user.id, { pdfIds: [first], excludePdfIds: [first] }),
+    (error) => error.statusCode === 400 && error.code === 'EMPTY_PDF_SCOPE'
+  );
+
+  deleteSession(session.id, user.id);
+});
+
+test('scoped readiness ignores unselected documents and searches only return selected chunks', async () => {
+  const { user, session, pdfs } = await createFixture();
+  const [first, third, broken] = pdfs;
+
+  addChunks({
+    sessionId: session.id,
+    pdfId: first.id,
+    items: [{ text: 'chapter one covers enzymes', embedding: [1, 0], chunkKey: 'c1' }],
+    replacePdfChunks: true,
+  });
+  addChunks({
+    sessionId: session.id,
+    pdfId: third.id,
+    items: [{ text: 'chapter three covers enzymes in depth', embedding: [0.9, 0.1], chunkKey: 'c3' }],
+    replacePdfChunks: true,
+  });
+  markPdfIndexed(first.id, 1);
+  markPdfIndexed(third.id, 1);
+  markPdfFailed(broken.id);
+
+  assert.equal(getPdfReadinessBySession(session.id, user.id).failed, 1);
+  assert.deepEqual(getPdfReadinessBySession(session.id, user.id, [third.id]), {
+    uploaded: 1,
+    indexed: 1,
+    processing: 0,
+    failed: 0,
+  });
+
+  assert.equal(getChunkCountBySession(session.id), 2);
+  assert.equal(getChunkCountBySession(session.id, [third.id]), 1);
+
+  const vectorResults = await similaritySearch({
+    sessionId: session.id,
+    queryEmbedding: [1, 0],
+    topK: 5,
+    pdfIds: [third.id],
+  });
+  assert.deepEqual(vectorResults.map((item) => item.pdfId), [third.id]);
+
+  const keywordResults = keywordSearch({ sessionId: session.id, query: 'enzymes', pdfIds: [first.id] });
+  assert.deepEqual(keywordResults.map((item) => item.pdfId), [first.id]);
+  assert.equal(keywordSearch({ sessionId: session.id, query: 'enzymes' }).length, 2);
+
+  deleteSession(session.id, user.id);
+});
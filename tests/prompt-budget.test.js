@@ -0,0 +1,105 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.RAG_TOKEN_TO_CHAR_RATIO = '4';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { estimateTokens, allocatePromptBudget } = require('../src/services/promptBudgetService');
+const { buildPromptWithBudget } = require('../src/services/ragService');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+const formatHistoryEntry = (entry) => entry.text;
+const formatChunk = (chunk) => chunk.text;
+
+test('history loses its oldest entries first', () => {
+  const history = ['a'.repeat(38), 'b'.repeat(38), 'c'.repeat(38)].map((text) => ({ role: 'user', text }));
+  const { history: kept, usage } = allocatePromptBudget({
+    fixedText: '',
+    history,
+    candidates: [],
+    formatHistoryEntry,
+    formatChunk,
+    budget: 25,
+  });
+
+  assert.deepEqual(kept.map((entry) => entry.text[0]), ['b', 'c']);
+  assert.equal(usage.droppedHistoryEntries, 1);
+  assert.equal(usage.history, 20);
+});
+
+test('the lowest-scoring chunks are cut or dropped, in place', () => {
+  const candidates = [
+    { chunkId: 'low', score: 0.1, text: 'l'.repeat(400) },
+    { chunkId: 'high', score: 0.9, text: 'h'.repeat(400) },
+    { chunkId: 'mid', score: 0.5, text: 'm '.repeat(200) },
+  ];
+  const { candidates: kept, usage } = allocatePromptBudget({
+    fixedText: 'x'.repeat(40),
+    history: [],
+    candidates,
+    formatHistoryEntry,
+    formatChunk,
+    budget: 10 + 101 + 60,
+  });
+
+  assert.deepEqual(kept.map((chunk) => chunk.chunkId), ['high', 'mid']);
+  assert.equal(kept[0].text, candidates[1].text);
+  assert.equal(kept[1].truncated, true);
+  assert.match(kept[1].text, /^m m .* \[\.\.\.\]$/);
+  assert.ok(estimateTokens(kept[1].text) <= 60);
+  assert.equal(usage.droppedChunks, 1);
+  assert.equal(usage.truncatedChunks, 1);
+  assert.ok(usage.system + usage.history + usage.context <= usage.budget);
+});
+
+test('the assembled prompt stays within the budget and reports its estimate', () => {
+  const history = Array.from({ length: 6 }, (_, index) => ({
+    role: index % 2 ? 'assistant' : 'user',
+    text: `Turn ${index} ${'words '.repeat(60)}`,
+  }));
+  const candidates = Array.from({ length: 5 }, (_, index) => ({
+    chunkId: `c${index}`,
+    pdfId: 1,
+    score: 1 - (index / 10),
+    text: `Chunk text ${index} ${'content '.repeat(120)}`,
+  }));
+
+  const roomy = buildPromptWithBudget({ message: 'Q?', history, candidates, responseStyle: 'plain', tokenBudget: 100_000 });
+  assert.equal(roomy.candidates.length, 5);
+  assert.equal(roomy.promptTokens.droppedHistoryEntries, 0);
+  assert.equal(roomy.promptTokens.estimated, estimateTokens(roomy.prompt));
+
+  const tight = buildPromptWithBudget({ message: 'Q?', history, candidates, responseStyle: 'plain', tokenBudget: 900 });
+  assert.ok(tight.promptTokens.estimated <= 900);
+  assert.ok(tight.promptTokens.droppedHistoryEntries > 0);
+  assert.ok(tight.promptTokens.droppedChunks > 0);
+  assert.doesNotMatch(tight.prompt, /Turn 0 /);
+  assert.match(tight.prompt, /Turn 5 /);
+  assert.match(tight.prompt, /Chunk 1 \(pdfId=1, score=1\.0000\):\nChunk text 0/);
+  assert.doesNotMatch(tight.prompt, /Chunk text 4/);
+});
+
+test('chat responses carry the prompt token estimate', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+
+  const response = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?' });
+  assert.equal(response.status, 200);
+  const { promptTokens } = response.body.data;
+  assert.equal(promptTokens.budget, 8000);
+  assert.ok(promptTokens.estimated > promptTokens.system);
+  assert.ok(promptTokens.context > 0);
+  assert.equal(promptTokens.droppedChunks, 0);
+
+  const cached = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?' });
+  assert.equal(cached.body.data.cached, true);
+  assert.equal(cached.body.data.promptTokens, null);
+});
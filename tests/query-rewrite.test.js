@@ -0,0 +1,104 @@
+// A recording wrapper around the fake LLM shows the prompts and can make the
+// rewrite requests fail like a rate-limited model.
+process.env.LLM_PROVIDER = 'recording';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { registerLlmProvider } = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const { cleanRewrittenQuery, rewriteQuery } = require('../src/services/ragService');
+const { addIndexedDocument, createAuthContext, createIndexedSession } = require('./helpers');
+
+const HISTORY = [
+  { role: 'user', text: 'Which pumps does the manual cover?' },
+  { role: 'assistant', text: 'The XJ-9000 and the XJ-7000.' },
+];
+
+const prompts = [];
+let failRewrites = false;
+registerLlmProvider({
+  ...fakeProvider,
+  name: 'recording',
+  generate: async (args) => {
+    prompts.push(args.prompt);
+    if (failRewrites && args.task === 'rewriteQuery') {
+      const error = new Error('Fake rate limit exceeded.');
+      error.status = 429;
+      throw error;
+    }
+    return fakeProvider.generate(args);
+  },
+});
+
+test('rewritten queries are reduced to one clean line', () => {
+  assert.equal(cleanRewrittenQuery('"XJ-7000 pump maintenance interval"'), 'XJ-7000 pump maintenance interval');
+  assert.equal(cleanRewrittenQuery('Standalone query: **XJ-7000 gasket**\nExplanation: resolved "the second one"'), 'XJ-7000 gasket');
+  assert.equal(cleanRewrittenQuery('\n\n  Query: XJ-7000 wiring  \n'), 'XJ-7000 wiring');
+  assert.equal(cleanRewrittenQuery(''), '');
+  assert.equal(cleanRewrittenQuery('x'.repeat(800)).length, 500);
+});
+
+test('rewriting is skipped without history or when disabled', async () => {
+  assert.deepEqual(
+    await rewriteQuery({ message: 'What about the second one?', history: [], enabled: true }),
+    { query: 'What about the second one?', rewritten: false }
+  );
+  assert.deepEqual(
+    await rewriteQuery({ message: 'What about the second one?', history: HISTORY, enabled: false }),
+    { query: 'What about the second one?', rewritten: false }
+  );
+});
+
+test('a failed rewrite falls back to the question as asked', async () => {
+  failRewrites = true;
+  try {
+    const result = await rewriteQuery({
+      message: 'What about the second one?',
+      history: HISTORY,
+      enabled: true,
+      sessionId: 1,
+    });
+
+    assert.deepEqual(result, { query: 'What about the second one?', rewritten: false });
+  } finally {
+    failRewrites = false;
+  }
+});
+
+test('a chat follow-up is retrieved with the rewritten query', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, pdf: gasket } = await createIndexedSession(auth, {
+    documentTitle: 'gasket',
+    texts: ['Replace the XJ-7000 gasket once a year.'],
+  });
+  const filter = await addIndexedDocument({
+    userId: auth.user.id,
+    sessionId,
+    title: 'filter',
+    texts: ['How often? Check the intake filter every week.'],
+  });
+  const history = [
+    { role: 'user', text: 'Tell me about the XJ-7000 gasket.' },
+    { role: 'assistant', text: 'It seals the pump housing.' },
+  ];
+  const ask = (rewrite) => request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How often?', history, rewriteQuery: rewrite, useCache: false });
+
+  const verbatim = await ask(false);
+  assert.equal(verbatim.status, 200);
+  assert.equal(verbatim.body.data.rewrittenQuery, null);
+  assert.equal(verbatim.body.data.sources[0].pdfId, filter.id);
+
+  prompts.length = 0;
+  const rewritten = await ask(true);
+  assert.equal(rewritten.status, 200);
+  assert.equal(rewritten.body.data.rewrittenQuery, 'Tell me about the XJ-7000 gasket. How often?');
+  assert.equal(rewritten.body.data.sources[0].pdfId, gasket.id);
+  // Only retrieval uses the rewrite; the model still answers the question as asked.
+  assert.match(prompts[prompts.length - 1], /USER QUESTION:\nHow often\?$/);
+});
@@ -0,0 +1,168 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.EMBEDDING_HASH_DIMENSIONS = '64';
+process.env.RAG_RETRIEVAL_MODE = 'vector';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const db = require('../src/config/database');
+const { similaritySearch } = require('../src/services/vectorService');
+const { generateEmbeddings } = require('../src/services/embeddingService');
+const { runChatQuery } = require('../src/services/ragService');
+const { reembedChunks } = require('../src/services/reembeddingService');
+const { addIndexedDocument, createAuthContext, createIndexedSession } = require('./helpers');
+
+const PREVIOUS_MODEL = 'hash:hash-32';
+const CURRENT_MODEL = 'hash:hash-64';
+
+const selectChunkModelsStmt = db.prepare(`
+  SELECT pdfId, embeddingModel, embeddingVectorLength
+  FROM chunks
+  WHERE sessionId = ?
+  ORDER BY pdfId ASC, rowid ASC
+`);
+
+async function setupSession(auth) {
+  const { sessionId, pdf: current } = await createIndexedSession(auth, {
+    documentTitle: 'current',
+    texts: ['Solar panels convert sunlight into electricity.'],
+    embeddingModel: CURRENT_MODEL,
+  });
+  const previous = await addIndexedDocument({
+    userId: auth.user.id,
+    sessionId,
+    title: 'previous',
+    texts: ['The pump must be primed before use.', 'Replace the pump gasket every year.'],
+    embeddingModel: PREVIOUS_MODEL,
+  });
+  return { sessionId, current, previous };
+}
+
+async function waitForJob(auth, jobId) {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    const response = await request(app).get(`/api/v1/jobs/${jobId}`).set(auth.authHeader);
+    if (response.body.data.status === 'completed' || response.body.data.status === 'failed') {
+      return response.body.data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish.`);
+}
+
+test('chunks of a previous model stay retrievable until they are re-embedded', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, previous } = await setupSession(auth);
+
+  const before = await runChatQuery({ sessionId, message: 'How do I prime the pump?', history: [], topK: 3 });
+  assert.ok(before.sources.some((source) => source.pdfId === previous.id));
+
+  const status = await request(app)
+    .get('/api/v1/embeddings/reembed')
+    .query({ sessionId: String(sessionId) })
+    .set(auth.authHeader);
+  assert.equal(status.status, 200);
+  assert.equal(status.body.data.embeddingModel, CURRENT_MODEL);
+  assert.equal(status.body.data.totalChunks, 3);
+  assert.equal(status.body.data.staleChunks, 2);
+
+  const started = await request(app)
+    .post('/api/v1/embeddings/reembed')
+    .set(auth.authHeader)
+    .send({ sessionId });
+  assert.equal(started.status, 202);
+  assert.ok(started.body.data.jobId);
+
+  const job = await waitForJob(auth, started.body.data.jobId);
+  assert.equal(job.status, 'completed');
+  assert.equal(job.type, 'reembedChunks');
+  assert.equal(job.progress, 100);
+  assert.equal(job.result.convertedDocuments, 1);
+  assert.equal(job.result.convertedChunks, 2);
+
+  assert.deepEqual(
+    [...new Set(selectChunkModelsStmt.all(sessionId).map((row) => `${row.embeddingModel}/${row.embeddingVectorLength}`))],
+    [`${CURRENT_MODEL}/64`]
+  );
+
+  const after = await runChatQuery({ sessionId, message: 'How do I prime the pump?', history: [], topK: 3 });
+  assert.ok(after.sources.some((source) => source.pdfId === previous.id));
+
+  const idle = await request(app).post('/api/v1/embeddings/reembed').set(auth.authHeader);
+  assert.equal(idle.status, 200);
+  assert.equal(idle.body.data.staleChunks, 0);
+  assert.equal(idle.body.data.jobId, null);
+});
+
+test('rankings of different embedding models are fused instead of compared by score', async () => {
+  const auth = await createAuthContext(app);
+  const question = 'How do I prime the pump?';
+
+  // Exact matches score 1 on the current model and would fill the pool alone.
+  const { sessionId } = await createIndexedSession(auth, {
+    documentTitle: 'current',
+    texts: [question, question, question],
+    embeddingModel: CURRENT_MODEL,
+  });
+  const previous = await addIndexedDocument({
+    userId: auth.user.id,
+    sessionId,
+    title: 'previous',
+    texts: ['The pump must be primed before use.'],
+    embeddingModel: PREVIOUS_MODEL,
+  });
+
+  const result = await runChatQuery({ sessionId, message: question, history: [], topK: 2, candidatePool: 2 });
+  assert.ok(result.sources.some((source) => source.pdfId === previous.id));
+});
+
+test('a vector scan counts only the chunks of the query model', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, previous } = await setupSession(auth);
+  const scan = async (embeddingModel, pdfIds = null) => {
+    const [queryEmbedding] = await generateEmbeddings(['How do I prime the pump?'], { embeddingModel });
+    const progress = [];
+    await similaritySearch({ sessionId, queryEmbedding, embeddingModel, pdfIds, onProgress: (event) => progress.push(event) });
+    return progress[progress.length - 1];
+  };
+
+  assert.deepEqual(await scan(CURRENT_MODEL), { processed: 1, total: 1 });
+  assert.deepEqual(await scan(PREVIOUS_MODEL), { processed: 2, total: 2 });
+  assert.deepEqual(await scan(CURRENT_MODEL, [previous.id]), { processed: 0, total: 0 });
+});
+
+test('a rerun only converts what is left and reports progress from there', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await setupSession(auth);
+  const progress = [];
+
+  const result = await reembedChunks({ userId: auth.user.id, onProgress: (update) => progress.push(update) });
+  assert.equal(result.convertedChunks, 2);
+  assert.equal(result.totalChunks, 3);
+  // One of three chunks was already on the current model.
+  assert.deepEqual(progress[0], { stage: 'embedding', progress: 33 });
+  assert.equal(progress[progress.length - 1].progress, 99);
+
+  const rerun = await reembedChunks({ sessionId });
+  assert.equal(rerun.convertedChunks, 0);
+  assert.equal(rerun.convertedDocuments, 0);
+});
+
+test('re-embedding validates the session scope', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId } = await setupSession(other);
+
+  const response = await request(app)
+    .post('/api/v1/embeddings/reembed')
+    .set(auth.authHeader)
+    .send({ sessionId });
+  assert.equal(response.status, 400);
+
+  const invalid = await request(app)
+    .get('/api/v1/embeddings/reembed')
+    .query({ sessionId: 'abc' })
+    .set(auth.authHeader);
+  assert.equal(invalid.status, 422);
+});
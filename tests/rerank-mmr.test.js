@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  rerankCandidates,
+  selectDiverseCandidates,
+  assertRerankerAvailable,
+  registerReranker,
+  listRerankers,
+} = require('../src/services/rerankService');
+
+function candidate(chunkId, score, text = '') {
+  return { chunkId, pdfId: 'pdf', text, score, ranking: { vector: { rank: 0, score } } };
+}
+
+test('MMR skips near-duplicate chunks in favour of distinct ones', () => {
+  const candidates = [
+    candidate('a', 0.95),
+    candidate('a-copy', 0.94),
+    candidate('b', 0.8),
+  ];
+  const vectors = new Map([
+    ['a', [1, 0, 0]],
+    ['a-copy', [0.99, 0.01, 0]],
+    ['b', [0, 1, 0]],
+  ]);
+
+  const diverse = selectDiverseCandidates(candidates, vectors, { lambda: 0.5, topK: 2 });
+  assert.deepEqual(diverse.map((item) => item.chunkId), ['a', 'b']);
+  assert.equal(diverse[1].ranking.mmr.rank, 2);
+  assert.equal(diverse[1].ranking.mmr.lambda, 0.5);
+  assert.ok(diverse[1].ranking.vector);
+
+  const relevanceOnly = selectDiverseCandidates(candidates, vectors, { lambda: 1, topK: 2 });
+  assert.deepEqual(relevanceOnly.map((item) => item.chunkId), ['a', 'a-copy']);
+});
+
+test('lexical reranker promotes chunks containing the query terms', async () => {
+  const candidates = [
+    candidate('generic', 0.9, 'General overview of the product line.'),
+    candidate('specific', 0.85, 'The warranty period for the pump is five years.'),
+    candidate('unrelated', 0.3, 'Shipping addresses and invoicing contacts.'),
+  ];
+
+  const reranked = await rerankCandidates({
+    query: 'pump warranty period',
+    candidates,
+    reranker: 'lexical',
+  });
+  assert.equal(reranked[0].chunkId, 'specific');
+  assert.equal(reranked[0].ranking.rerank.reranker, 'lexical');
+  assert.equal(reranked[0].ranking.rerank.rank, 1);
+
+  const untouched = await rerankCandidates({ query: 'pump', candidates, reranker: 'none' });
+  assert.deepEqual(untouched.map((item) => item.chunkId), ['generic', 'specific', 'unrelated']);
+});
+
+test('failing reranker keeps retrieval order and unknown names are rejected', async () => {
+  registerReranker('test-broken', async () => {
+    throw new Error('reranker offline');
+  });
+  assert.ok(listRerankers().includes('test-broken'));
+
+  const candidates = [candidate('first', 0.9), candidate('second', 0.1)];
+  const result = await rerankCandidates({ query: 'x', candidates, reranker: 'test-broken' });
+  assert.deepEqual(result.map((item) => item.chunkId), ['first', 'second']);
+
+  assert.equal(assertRerankerAvailable('LEXICAL'), 'lexical');
+  assert.throws(
+    () => assertRerankerAvailable('cross-encoder'),
+    (error) => error.statusCode === 422 && error.code === 'UNKNOWN_RERANKER'
+  );
+});
@@ -0,0 +1,85 @@
+// A recording wrapper around the fake LLM captures the prompt chat really sends.
+process.env.LLM_PROVIDER = 'recording';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.RAG_RETRIEVAL_MODE = 'hybrid';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { registerLlmProvider } = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+const prompts = [];
+registerLlmProvider({
+  ...fakeProvider,
+  name: 'recording',
+  generate: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.generate(args);
+  },
+});
+
+const MANUAL_TEXTS = [
+  'The pump must be primed before use. Priming takes two minutes.',
+  'Clean the intake filter every month to keep the flow steady.',
+  'The warranty covers the motor for three years.',
+];
+
+test('retrieve returns ranked chunks with stage rankings, timings and the chat prompt', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, pdf } = await createIndexedSession(auth, { documentTitle: 'Pump manual', texts: MANUAL_TEXTS });
+  const body = { message: 'How long does priming the pump take?', reranker: 'lexical', responseStyle: 'plain' };
+
+  prompts.length = 0;
+  const response = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/retrieve`)
+    .set(auth.authHeader)
+    .send({ ...body, topK: 2 });
+  assert.equal(response.status, 200);
+  assert.equal(prompts.length, 0);
+
+  const data = response.body.data;
+  assert.equal(data.retrievalMode, 'hybrid');
+  assert.equal(data.retrievalQuery, body.message);
+  assert.equal(data.chunks.length, 2);
+  const [top] = data.chunks;
+  assert.equal(top.rank, 1);
+  assert.equal(top.pdfId, pdf.id);
+  assert.equal(top.documentTitle, 'Pump manual');
+  assert.match(top.text, /^The pump must be primed/);
+  assert.equal(top.inPrompt, true);
+  for (const stage of ['vector', 'keyword', 'fusion', 'rerank', 'mmr']) {
+    assert.equal(typeof top.ranking[stage].rank, 'number', stage);
+  }
+  for (const timing of ['rewriteMs', 'vectorMs', 'keywordMs', 'rerankMs', 'mmrMs', 'totalMs']) {
+    assert.equal(typeof data.timings[timing], 'number', timing);
+  }
+  assert.ok(data.promptTokens.estimated > 0);
+
+  const history = await request(app).get(`/api/v1/sessions/${sessionId}/history`).set(auth.authHeader);
+  assert.deepEqual(history.body.data, []);
+
+  const full = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/retrieve`)
+    .set(auth.authHeader)
+    .send(body);
+  prompts.length = 0;
+  const chat = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ ...body, useCache: false });
+  assert.equal(chat.status, 200);
+  assert.equal(full.body.data.prompt, prompts.find((prompt) => prompt.startsWith('SYSTEM:')));
+});
+
+test('retrieve validates its body and the session owner', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth, { documentTitle: 'Pump manual', texts: MANUAL_TEXTS });
+  const url = `/api/v1/sessions/${sessionId}/retrieve`;
+
+  assert.equal((await request(app).post(url).set(auth.authHeader).send({ message: 'x', topK: 20 })).status, 422);
+  assert.equal((await request(app).post(url).set(other.authHeader).send({ message: 'x' })).status, 400);
+});
@@ -0,0 +1,150 @@
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const { createPdfRecord } = require('../src/services/pdfRecordService');
+const { uploadsRoot } = require('../src/services/uploadService');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+// The document has a stored file so the tests can follow it through deletes.
+async function setupSession(auth) {
+  fs.mkdirSync(uploadsRoot, { recursive: true });
+  const storagePath = path.join(uploadsRoot, `fork-${Date.now()}-${Math.random().toString(16).slice(2)}.txt`);
+  fs.writeFileSync(storagePath, 'The pump must be primed before use.');
+
+  const { sessionId, pdf } = await createIndexedSession(auth, {
+    title: 'Pump study',
+    documentTitle: 'Pump manual',
+    storagePath,
+    texts: [
+      'The pump must be primed before use. Priming takes two minutes.',
+      'Clean the intake filter every month to keep the flow steady.',
+    ],
+  });
+  return { sessionId, pdf, storagePath };
+}
+
+async function ask(auth, sessionId, message) {
+  const response = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message, useCache: false });
+  assert.equal(response.status, 200);
+  return response.body.data;
+}
+
+function getHistory(auth, sessionId) {
+  return request(app).get(`/api/v1/sessions/${sessionId}/history`).set(auth.authHeader).then((res) => res.body.data);
+}
+
+test('a fork shares the documents and copies the history up to a message', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, pdf, storagePath } = await setupSession(auth);
+  const first = await ask(auth, sessionId, 'How long does priming take?');
+  await ask(auth, sessionId, 'How often should the filter be cleaned?');
+  const processing = createPdfRecord({ userId: auth.user.id, sessionId, title: 'Draft', filename: 'draft.txt', type: 'txt' });
+
+  const response = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/fork`)
+    .set(auth.authHeader)
+    .send({ messageId: first.messageId });
+  assert.equal(response.status, 200);
+  const fork = response.body.data;
+  assert.equal(fork.session.title, 'Pump study (fork)');
+  assert.deepEqual(fork.forkedFrom, { sessionId, messageId: first.messageId });
+  assert.equal(fork.copiedDocuments, 1);
+  assert.equal(fork.copiedChunks, 2);
+  assert.equal(fork.copiedMessages, 2);
+  assert.deepEqual(fork.skippedPdfIds, [processing.id]);
+
+  const forkId = fork.session.id;
+  const forkPdfs = (await request(app).get(`/api/v1/sessions/${forkId}/pdfs`).set(auth.authHeader)).body.data;
+  assert.equal(forkPdfs.length, 1);
+  assert.notEqual(forkPdfs[0].id, pdf.id);
+  assert.equal(forkPdfs[0].path, storagePath);
+  assert.equal(forkPdfs[0].status, 'indexed');
+  assert.equal(forkPdfs[0].indexedChunks, 2);
+
+  const forkHistory = await getHistory(auth, forkId);
+  assert.deepEqual(forkHistory.map((message) => [message.role, message.text]), [
+    ['user', 'How long does priming take?'],
+    ['assistant', first.answer],
+  ]);
+  assert.equal(forkHistory[1].parentId, forkHistory[0].id);
+
+  const tangent = await ask(auth, forkId, 'Where is the priming port?');
+  assert.ok(tangent.sources.length > 0);
+  assert.ok(tangent.sources.every((source) => source.pdfId === forkPdfs[0].id));
+  assert.equal((await getHistory(auth, forkId)).length, 4);
+  assert.equal((await getHistory(auth, sessionId)).length, 4);
+
+  const whole = await request(app).post(`/api/v1/sessions/${sessionId}/fork`).set(auth.authHeader).send({ title: 'Everything' });
+  assert.equal(whole.body.data.session.title, 'Everything');
+  assert.equal(whole.body.data.copiedMessages, 4);
+
+  assert.equal((await request(app).delete(`/api/v1/sessions/${sessionId}`).set(auth.authHeader)).status, 200);
+  assert.equal(fs.existsSync(storagePath), true);
+  assert.equal((await ask(auth, forkId, 'How long does priming take?')).usedChunksCount > 0, true);
+
+  await request(app).delete(`/api/v1/sessions/${whole.body.data.session.id}`).set(auth.authHeader);
+  assert.equal(fs.existsSync(storagePath), true);
+  await request(app).delete(`/api/v1/sessions/${forkId}`).set(auth.authHeader);
+  assert.equal(fs.existsSync(storagePath), false);
+});
+
+test('library search shows the chunks of a forked document once', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId, pdf } = await setupSession(auth);
+  const search = async () => {
+    const response = await request(app)
+      .get('/api/v1/search')
+      .query({ q: 'How often is the intake filter cleaned?', limit: 10 })
+      .set(auth.authHeader);
+    assert.equal(response.status, 200);
+    return response.body.data.results;
+  };
+  const before = await search();
+  assert.equal(before.length, 2);
+
+  const fork = await request(app).post(`/api/v1/sessions/${sessionId}/fork`).set(auth.authHeader).send({});
+  await request(app).post(`/api/v1/sessions/${fork.body.data.session.id}/fork`).set(auth.authHeader).send({});
+
+  const after = await search();
+  assert.equal(after.length, 2);
+  assert.deepEqual(after.map((result) => result.chunkId), before.map((result) => result.chunkId));
+  assert.ok(after.every((result) => result.pdfId === pdf.id));
+
+  // Once the original is gone, a copy stands in for it.
+  await request(app).delete(`/api/v1/sessions/${sessionId}`).set(auth.authHeader);
+  const remaining = await search();
+  assert.equal(remaining.length, 2);
+  assert.ok(remaining.every((result) => result.sessionId !== sessionId));
+});
+
+test('fork checks the message and the session owner', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId, storagePath } = await setupSession(auth);
+  const url = `/api/v1/sessions/${sessionId}/fork`;
+
+  const empty = await request(app).post(url).set(auth.authHeader).send({});
+  assert.equal(empty.status, 200);
+  assert.equal(empty.body.data.copiedMessages, 0);
+  assert.equal(empty.body.data.forkedFrom.messageId, null);
+
+  assert.equal((await request(app).post(url).set(auth.authHeader).send({ messageId: 999999 })).status, 404);
+  assert.equal((await request(app).post(url).set(other.authHeader).send({})).status, 400);
+
+  const forkPdf = (await request(app).get(`/api/v1/sessions/${empty.body.data.session.id}/pdfs`).set(auth.authHeader)).body.data[0];
+  const removed = await request(app).delete(`/api/v1/pdfs/${forkPdf.id}?removeFile=true`).set(auth.authHeader);
+  assert.equal(removed.status, 200);
+  assert.equal(fs.existsSync(storagePath), true);
+
+  await request(app).delete(`/api/v1/sessions/${sessionId}`).set(auth.authHeader);
+  assert.equal(fs.existsSync(storagePath), false);
+});
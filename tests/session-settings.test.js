@@ -0,0 +1,122 @@
+// A recording wrapper around the fake LLM shows which prompt each chat path sent.
+process.env.LLM_PROVIDER = 'recording';
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const app = require('../src/app');
+const { registerLlmProvider } = require('../src/llm');
+const fakeProvider = require('../src/llm/fakeProvider');
+const { buildPrompt } = require('../src/services/ragService');
+const { createAuthContext, createIndexedSession } = require('./helpers');
+
+const prompts = [];
+registerLlmProvider({
+  ...fakeProvider,
+  name: 'recording',
+  generate: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.generate(args);
+  },
+  openStream: async (args) => {
+    prompts.push(args.prompt);
+    return fakeProvider.openStream(args);
+  },
+});
+
+test('settings default, merge partial updates and are scoped to the owner', async () => {
+  const auth = await createAuthContext(app);
+  const other = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+  const settingsUrl = `/api/v1/sessions/${sessionId}/settings`;
+
+  const initial = await request(app).get(settingsUrl).set(auth.authHeader);
+  assert.equal(initial.status, 200);
+  assert.deepEqual(initial.body.data, {
+    sessionId,
+    customInstruction: null,
+    persona: 'default',
+    answerLanguage: null,
+    documentOnly: false,
+    updatedAt: null,
+  });
+
+  const updated = await request(app)
+    .patch(settingsUrl)
+    .set(auth.authHeader)
+    .send({ persona: 'tutor', documentOnly: true, customInstruction: '  Quote the manual.  ' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.data.persona, 'tutor');
+  assert.equal(updated.body.data.documentOnly, true);
+  assert.equal(updated.body.data.customInstruction, 'Quote the manual.');
+  assert.ok(updated.body.data.updatedAt);
+
+  const merged = await request(app)
+    .patch(settingsUrl)
+    .set(auth.authHeader)
+    .send({ answerLanguage: 'German', customInstruction: null });
+  assert.equal(merged.body.data.persona, 'tutor');
+  assert.equal(merged.body.data.documentOnly, true);
+  assert.equal(merged.body.data.answerLanguage, 'German');
+  assert.equal(merged.body.data.customInstruction, null);
+
+  const empty = await request(app).patch(settingsUrl).set(auth.authHeader).send({});
+  assert.equal(empty.status, 422);
+  const unknownPersona = await request(app).patch(settingsUrl).set(auth.authHeader).send({ persona: 'pirate' });
+  assert.equal(unknownPersona.status, 422);
+
+  const foreign = await request(app).patch(settingsUrl).set(other.authHeader).send({ persona: 'concise' });
+  assert.equal(foreign.status, 400);
+  assert.equal((await request(app).get(settingsUrl).set(other.authHeader)).status, 400);
+});
+
+test('buildPrompt keeps the global SYSTEM block unless settings change it', () => {
+  const base = { message: 'Q?', history: [], candidates: [], responseStyle: 'structured' };
+  assert.equal(buildPrompt(base), buildPrompt({ ...base, settings: { persona: 'default', documentOnly: false } }));
+  assert.match(buildPrompt(base), /you may answer normally/);
+
+  const prompt = buildPrompt({
+    ...base,
+    settings: { persona: 'explainer', documentOnly: true, answerLanguage: 'French', customInstruction: 'Use metric units.' },
+  });
+  assert.doesNotMatch(prompt, /you may answer normally/);
+  assert.match(prompt, /Answer only from the document context/);
+  assert.match(prompt, /Act as a friendly explainer/);
+  assert.match(prompt, /Write the answer in French, but keep the section labels below in English\./);
+  assert.match(prompt, /Session instructions:\nUse metric units\.\n\nResponse format/);
+
+  const plain = buildPrompt({ ...base, responseStyle: 'plain', settings: { answerLanguage: 'French' } });
+  assert.match(plain, /Write the answer in French\.\n\nCHAT HISTORY:/);
+});
+
+test('sync and streaming chat send the session settings to the model', async () => {
+  const auth = await createAuthContext(app);
+  const { sessionId } = await createIndexedSession(auth);
+
+  await request(app)
+    .patch(`/api/v1/sessions/${sessionId}/settings`)
+    .set(auth.authHeader)
+    .send({ persona: 'concise', customInstruction: 'Always mention the priming time.' });
+
+  prompts.length = 0;
+  const sync = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat`)
+    .set(auth.authHeader)
+    .send({ message: 'How do I prime the pump?', useCache: false });
+  assert.equal(sync.status, 200);
+
+  const stream = await request(app)
+    .post(`/api/v1/sessions/${sessionId}/chat?stream=true`)
+    .set(auth.authHeader)
+    .set('Accept', 'text/event-stream')
+    .send({ message: 'How long does priming take?', useCache: false });
+  assert.ok(stream.text.includes('event: done'));
+
+  const answerPrompts = prompts.filter((prompt) => prompt.startsWith('SYSTEM:'));
+  assert.equal(answerPrompts.length, 2);
+  for (const prompt of answerPrompts) {
+    assert.match(prompt, /Be brief and precise/);
+    assert.match(prompt, /Session instructions:\nAlways mention the priming time\./);
+  }
+});
@@ -1,3 +1,8 @@
+// Deterministic offline generation and embeddings so the full stream can be asserted.
+process.env.LLM_PROVIDER = 'fake';
+process.env.EMBEDDING_PROVIDER = 'hash';
+process.env.FAKE_LLM_TOKEN_DELAY_MS = '1';
+
 const test = require('node:test');
 const assert = require('node:assert/strict');
 const request = require('supertest');
@@ -43,6 +48,15 @@ aiTest('chat streaming emits SSE tokens and persists conversation on completion'
   assert.ok(streamResponse.text.includes('event: token'));
   assert.ok(streamResponse.text.includes('event: done'));
 
+  const doneEvent = streamResponse.text
+    .split('\n\n')
+    .find((block) => block.startsWith('event: done'));
+  const done = JSON.parse(doneEvent.split('\ndata: ')[1]);
+  assert.equal(done.ok, true);
+  assert.ok(done.data.sources.length > 0);
+  assert.match(done.data.answer, /^Chunk 1 says: /);
+  assert.match(done.data.formattedAnswer, /Evidence:\n- Chunk 1: pdfId /);
+
   const history = await request(app)
     .get(`/api/v1/sessions/${sessionId}/history`)
     .set(auth.authHeader);
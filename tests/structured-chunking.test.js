@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument } = require('../src/services/chunkService');
+const { getIndexingParams } = require('../src/services/indexingService');
+
+const GUIDE = [
+  '# Pump Manual',
+  '',
+  'This manual covers the XJ-9000 pump. Read it before installing.',
+  '',
+  '## Installation',
+  '',
+  'Mount the pump on a level surface. Connect the inlet hose first.',
+  'Tighten every clamp by hand. Prime the pump before switching it on.',
+  '',
+  '### Electrical',
+  '',
+  'Use a grounded outlet.',
+  '',
+  '## Maintenance',
+  '',
+  'Replace the gasket every year.',
+].join('\n');
+
+test('structured chunks follow headings and record the section path', () => {
+  const chunks = chunkDocument(GUIDE, { chunkSize: 120, overlap: 40, strategy: 'structured' });
+
+  assert.deepEqual(chunks.map((chunk) => chunk.headingPath), [
+    ['Pump Manual'],
+    ['Pump Manual', 'Installation'],
+    ['Pump Manual', 'Installation'],
+    ['Pump Manual', 'Installation', 'Electrical'],
+    ['Pump Manual', 'Maintenance'],
+  ]);
+  assert.ok(chunks[1].text.startsWith('Installation\n\n'));
+  assert.equal(chunks[4].text, 'Maintenance\n\nReplace the gasket every year.');
+  assert.ok(chunks.every((chunk) => !chunk.text.includes('#')));
+
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.length <= 120, chunk.text);
+    // Chunks end on sentence boundaries and their offsets cover their own text.
+    assert.match(chunk.text, /[.!?]$/);
+    assert.ok(GUIDE.slice(chunk.start, chunk.end).endsWith(chunk.text.split(/\s/).pop()));
+  }
+
+  // Overlap repeats whole sentences between chunks of the same section.
+  const lastSentence = chunks[1].text.split('. ').pop();
+  assert.ok(chunks[2].text.startsWith(lastSentence));
+});
+
+test('oversized sentences fall back to sliding windows', () => {
+  const text = `Short intro.\n\n${'word '.repeat(60)}end.`;
+  const chunks = chunkDocument(text, { chunkSize: 50, overlap: 10, strategy: 'structured' });
+
+  assert.equal(chunks[0].text, 'Short intro.');
+  assert.ok(chunks.length > 3);
+  assert.ok(chunks.every((chunk) => chunk.text.length <= 50));
+  assert.ok(chunks[chunks.length - 1].text.endsWith('end.'));
+});
+
+test('window strategy remains available and unknown strategies are rejected', () => {
+  const windows = chunkDocument(GUIDE, { chunkSize: 100, overlap: 20, strategy: 'window' });
+  assert.ok(windows.every((chunk) => chunk.text.length <= 100 && chunk.headingPath.length === 0));
+  assert.ok(!windows[0].text.includes('\n'));
+  assert.ok(windows[0].text.startsWith('Pump Manual This manual'));
+  assert.ok(windows.every((chunk) => !chunk.text.includes('#')));
+
+  assert.throws(() => chunkDocument(GUIDE, { strategy: 'semantic' }), /Unknown chunking strategy/);
+});
+
+test('indexing params pick the chunking strategy per file type', () => {
+  assert.equal(getIndexingParams('text', { fileType: 'md' }).strategy, 'structured');
+  assert.equal(getIndexingParams('text', { fileType: 'csv' }).strategy, 'window');
+});
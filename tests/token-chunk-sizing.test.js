@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { chunkDocument } = require('../src/services/chunkService');
+const {
+  getIndexingParams,
+  measureChunkTokens,
+  measureCharacterSizedTruncation,
+} = require('../src/services/indexingService');
+
+// Stands in for the model tokenizer: one token per word, plus [CLS]/[SEP].
+const wordTokenizer = {
+  maxTokens: 40,
+  specialTokens: 2,
+  countTokens: (text) => String(text || '').split(/\s+/).filter(Boolean).length,
+};
+
+const SECTION = Array.from(
+  { length: 30 },
+  (_, index) => `Sentence number ${index + 1} explains one more step of the calibration routine.`,
+).join(' ');
+const DOCUMENT = `# Calibration\n\n${SECTION}\n\n## Appendix\n\n${'word '.repeat(120).trim()}`;
+
+test('tokenizer-driven params cap chunks at the model sequence length', () => {
+  const params = getIndexingParams(DOCUMENT, { tokenizer: wordTokenizer });
+
+  assert.equal(params.unit, 'tokens');
+  assert.equal(params.chunkSize, 38);
+  assert.ok(params.overlap < params.chunkSize);
+  assert.equal(params.measure, wordTokenizer.countTokens);
+
+  const fallback = getIndexingParams(DOCUMENT);
+  assert.equal(fallback.unit, 'chars');
+  assert.equal(fallback.measure, undefined);
+});
+
+for (const strategy of ['structured', 'window']) {
+  test(`${strategy} chunks measured in tokens all fit the model`, () => {
+    const params = getIndexingParams(DOCUMENT, { tokenizer: wordTokenizer });
+    const chunks = chunkDocument(DOCUMENT, { ...params, strategy });
+
+    assert.ok(chunks.length > 3);
+    for (const chunk of chunks) {
+      assert.ok(wordTokenizer.countTokens(chunk.text) <= params.chunkSize, chunk.text);
+      assert.ok(chunk.end > chunk.start);
+    }
+
+    const stats = measureChunkTokens(chunks, wordTokenizer);
+    assert.equal(stats.measuredChunks, chunks.length);
+    assert.equal(stats.truncatedChunks, 0);
+    assert.ok(stats.maxChunkTokens <= wordTokenizer.maxTokens);
+  });
+}
+
+test('character-sized chunks report how many the model would truncate', () => {
+  const chunks = chunkDocument(DOCUMENT, { chunkSize: 400, overlap: 80, strategy: 'window' });
+  const stats = measureChunkTokens(chunks, wordTokenizer);
+
+  assert.equal(stats.measuredChunks, chunks.length);
+  assert.ok(stats.truncatedChunks > 0);
+  assert.ok(stats.maxChunkTokens > wordTokenizer.maxTokens);
+  assert.deepEqual(measureChunkTokens(chunks, null), {
+    measuredChunks: 0,
+    maxChunkTokens: null,
+    truncatedChunks: null,
+  });
+});
+
+test('indexing reports how many character-sized chunks the tokenizer sizing saved', () => {
+  const stats = measureCharacterSizedTruncation(DOCUMENT, { fileType: 'md', tokenizer: wordTokenizer });
+  const fallbackChunks = chunkDocument(DOCUMENT, getIndexingParams(DOCUMENT, { fileType: 'md' }));
+
+  assert.equal(stats.measuredChunks, fallbackChunks.length);
+  assert.ok(stats.truncatedChunks > 0);
+  assert.deepEqual(measureCharacterSizedTruncation(DOCUMENT, { fileType: 'md', tokenizer: null }), {
+    measuredChunks: 0,
+    truncatedChunks: null,
+  });
+});